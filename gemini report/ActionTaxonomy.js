@@ -0,0 +1,119 @@
+// ====================================================================================
+// ACTION TAXONOMY: FRIENDLY NAMES, CATEGORIES AND EXCLUSIONS FOR THE RAW ACTIONS
+// ====================================================================================
+
+const ACTION_TAXONOMY_HEADERS = ['App', 'Action', 'Friendly name', 'Category', 'Include'];
+const UNMAPPED_ACTIONS_HEADER = ['App', 'Action', 'Sum(Count)', 'Count(User)'];
+const UNCATEGORIZED_ACTION = 'Uncategorized';
+
+/**
+ * Reads the action taxonomy sheet: one row per raw app and action, with the name to show, its
+ * category and whether to include it. A blank App matches the action in every app; a blank
+ * Include means include.
+ * @param {string} spreadsheetId The ACTION_TAXONOMY_SPREADSHEET_ID spreadsheet.
+ * @param {string} sheetName The tab holding the taxonomy.
+ * @returns {Map<string, {name: string, category: string, include: boolean}>} Entries by actionTaxonomyKey.
+ */
+function loadActionTaxonomy(spreadsheetId, sheetName) {
+    const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(sheetName);
+    if (!sheet) {
+        throw new Error(`The action taxonomy spreadsheet has no "${sheetName}" tab.`);
+    }
+    const values = sheet.getDataRange().getValues();
+    const headers = values.shift() || [];
+    const missing = ACTION_TAXONOMY_HEADERS.filter(header => headers.indexOf(header) === -1);
+    if (missing.length > 0) {
+        throw new Error(`The action taxonomy sheet is missing columns (${missing.join(', ')}).`);
+    }
+    const [appIndex, actionIndex, nameIndex, categoryIndex, includeIndex] = ACTION_TAXONOMY_HEADERS.map(header => headers.indexOf(header));
+
+    const taxonomy = new Map();
+    values.forEach(row => {
+        const action = String(row[actionIndex]).trim();
+        if (!action) return;
+        const include = String(row[includeIndex]).trim().toLowerCase();
+        taxonomy.set(actionTaxonomyKey(String(row[appIndex]).trim(), action), {
+            name: String(row[nameIndex]).trim() || action,
+            category: String(row[categoryIndex]).trim() || UNCATEGORIZED_ACTION,
+            include: ['false', '0', 'no', 'exclude'].indexOf(include) === -1
+        });
+    });
+    Logger.log(`Read ${taxonomy.size} actions from the action taxonomy.`);
+    return taxonomy;
+}
+
+
+/**
+ * Applies the taxonomy to raw rows: drops excluded actions, replaces each action with its friendly
+ * name and adds its category as a new last column. Actions missing from the taxonomy keep their
+ * raw name, go under "Uncategorized" and are recorded in unmappedActions.
+ * @param {Array<Array<*>>} rows The raw activity rows.
+ * @param {Map<string, Object>} taxonomy From loadActionTaxonomy.
+ * @param {{userIndex: number, appIndex: number, actionIndex: number, countIndex: number}} indices
+ *     Column positions in the rows.
+ * @param {Map<string, Object>} [unmappedActions] Filled with {app, action, sum, users} per missing action.
+ * @returns {Array<Array<*>>} New rows, each one column longer.
+ */
+function applyActionTaxonomy(rows, taxonomy, indices, unmappedActions) {
+    const mapped = [];
+    rows.forEach(row => {
+        const app = row[indices.appIndex];
+        const action = row[indices.actionIndex];
+        const entry = taxonomy.get(actionTaxonomyKey(app, action)) || taxonomy.get(actionTaxonomyKey('', action));
+        if (entry && !entry.include) return;
+
+        const newRow = [...row];
+        if (entry) {
+            newRow[indices.actionIndex] = entry.name;
+        } else if (unmappedActions) {
+            const key = actionTaxonomyKey(app, action);
+            if (!unmappedActions.has(key)) {
+                unmappedActions.set(key, { app: app, action: action, sum: 0, users: new Set() });
+            }
+            const unmapped = unmappedActions.get(key);
+            unmapped.sum += parseInt(row[indices.countIndex], 10) || 0;
+            if (row[indices.userIndex]) unmapped.users.add(row[indices.userIndex]);
+        }
+        newRow.push(entry ? entry.category : UNCATEGORIZED_ACTION);
+        mapped.push(newRow);
+    });
+    return mapped;
+}
+
+
+/**
+ * Returns the taxonomy key for an app and action.
+ * @param {string} app The app, or '' for any app.
+ * @param {string} action The raw action.
+ * @returns {string} The key.
+ */
+function actionTaxonomyKey(app, action) {
+    return `${app}|||${action}`;
+}
+
+
+/**
+ * Writes the Unmapped actions tab: the actions in the window that the taxonomy does not list yet,
+ * most used first, so they can be added to it.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Map<string, Object>} unmappedActions From applyActionTaxonomy.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ */
+function writeUnmappedActionsSheet(spreadsheet, unmappedActions, reportWindow) {
+    const rows = Array.from(unmappedActions.values())
+        .map(entry => [entry.app, entry.action, entry.sum, entry.users.size])
+        .sort((a, b) => b[2] - a[2] || String(a[0]).localeCompare(String(b[0])) || String(a[1]).localeCompare(String(b[1])));
+
+    const sheetName = getReportTabName('UNMAPPED_ACTIONS');
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    const results = [UNMAPPED_ACTIONS_HEADER, ...rows];
+    sheet.getRange(1, 1, results.length, UNMAPPED_ACTIONS_HEADER.length).setValues(results);
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`${rows.length} actions are missing from the action taxonomy; see ${sheetName}.`);
+}
@@ -0,0 +1,157 @@
+// ====================================================================================
+// AGGREGATE HISTORY: APPEND EACH RUN'S AGGREGATES TO A BIGQUERY TABLE
+// ====================================================================================
+
+// One long-format table holds every grain; filter on `grain` to get the cut you need.
+const HISTORY_TABLE_SCHEMA = [
+    { name: 'run_date', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'run_id', type: 'STRING', mode: 'REQUIRED' },
+    { name: 'run_timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' },
+    { name: 'window_start', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'window_end', type: 'DATE', mode: 'REQUIRED' },
+    { name: 'window_preset', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'grain', type: 'STRING', mode: 'REQUIRED' }, // ALL, OU, APP, OU_APP or USER_APP
+    { name: 'ou', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'app', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'user', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'sum_count', type: 'INTEGER', mode: 'NULLABLE' },
+    { name: 'user_count', type: 'INTEGER', mode: 'NULLABLE' },
+    { name: 'staff_count', type: 'INTEGER', mode: 'NULLABLE' },
+    { name: 'adoption_pct', type: 'FLOAT', mode: 'NULLABLE' }
+];
+
+/**
+ * Appends this run's aggregates to the history table named by the BQ_HISTORY_TABLE script
+ * property (project.dataset.table). The table is created on first use, partitioned by run_date.
+ * Does nothing when BQ_HISTORY_TABLE is not set.
+ * @param {Object} reportWindow The window the aggregates cover.
+ * @param {Object} results The aggregate grids: { results5, results6, results7, results8, results9 },
+ *     each with its header row first and before small-group suppression.
+ * @param {number} deadline When the run's BigQuery time budget ends, from getBigQueryRunDeadline.
+ */
+function appendAggregateSnapshot(reportWindow, results, deadline) {
+    const properties = PropertiesService.getScriptProperties();
+    const historyTable = properties.getProperty('BQ_HISTORY_TABLE');
+    if (!historyTable) {
+        Logger.log('BQ_HISTORY_TABLE is not set. Skipping the history snapshot.');
+        return;
+    }
+
+    const tableReference = parseTableReference(historyTable, properties.getProperty('BQ_GEMINI_PROJECT_ID'));
+    const snapshotRows = buildAggregateSnapshotRows(reportWindow, results, new Date());
+    if (snapshotRows.length === 0) {
+        Logger.log('No aggregates to snapshot. Skipping the history snapshot.');
+        return;
+    }
+
+    const request = {
+        configuration: {
+            load: {
+                destinationTable: tableReference,
+                sourceFormat: 'NEWLINE_DELIMITED_JSON',
+                writeDisposition: 'WRITE_APPEND',
+                createDisposition: 'CREATE_IF_NEEDED',
+                schema: { fields: HISTORY_TABLE_SCHEMA },
+                timePartitioning: { type: 'DAY', field: 'run_date' }
+            }
+        }
+    };
+    const ndjson = snapshotRows.map(row => JSON.stringify(row)).join('\n');
+    const blob = Utilities.newBlob(ndjson, 'application/octet-stream');
+
+    runBigQueryJob(tableReference.projectId, request, { deadline: deadline, mediaBlob: blob });
+    Logger.log(`Appended ${snapshotRows.length} snapshot rows to ${historyTable} for ${reportWindow.label}.`);
+}
+
+
+/**
+ * Flattens the aggregate grids into history rows, one per ALL/OU/APP/OU_APP/USER_APP group.
+ * @param {Object} reportWindow The window the aggregates cover.
+ * @param {Object} results The aggregate grids (see appendAggregateSnapshot).
+ * @param {Date} runTime When the run happened.
+ * @returns {Array<Object>} Rows matching HISTORY_TABLE_SCHEMA.
+ */
+function buildAggregateSnapshotRows(reportWindow, results, runTime) {
+    const base = {
+        run_date: Utilities.formatDate(runTime, reportWindow.timeZone, 'yyyy-MM-dd'),
+        run_id: Utilities.formatDate(runTime, 'UTC', "yyyyMMdd'T'HHmmss'Z'"),
+        run_timestamp: runTime.toISOString(),
+        window_start: reportWindow.startDate,
+        window_end: reportWindow.endDate,
+        window_preset: reportWindow.preset
+    };
+    const snapshotRow = (grain, fields) => {
+        const row = Object.assign({}, base, {
+            grain: grain, ou: null, app: null, user: null, sum_count: null, user_count: null, staff_count: null, adoption_pct: null
+        }, fields);
+        // Blank cells (such as adoption without a staff count) are kept as null
+        ['sum_count', 'user_count', 'staff_count', 'adoption_pct'].forEach(field => { row[field] = numberOrNull(row[field]); });
+        return row;
+    };
+    const rows = [];
+    // Columns are found by header, since optional columns (change, hours saved, tier) move them
+    const addGrid = (grid, grain, headersByField) => {
+        const indexes = {};
+        Object.keys(headersByField).forEach(field => {
+            indexes[field] = grid[0].indexOf(headersByField[field]);
+            if (indexes[field] === -1) {
+                throw new Error(`The ${grain} aggregates have no "${headersByField[field]}" column to snapshot.`);
+            }
+        });
+        grid.slice(1).forEach(row => {
+            const fields = {};
+            Object.keys(indexes).forEach(field => { fields[field] = row[indexes[field]]; });
+            rows.push(snapshotRow(grain, fields));
+        });
+    };
+    const metrics = { sum_count: 'Sum(Count)', user_count: 'Count(User)', staff_count: 'Number of active staff emails', adoption_pct: 'Adoption %' };
+
+    addGrid(results.results9, 'ALL', metrics);
+    addGrid(results.results8, 'OU', Object.assign({ ou: 'OU' }, metrics));
+    addGrid(results.results7, 'APP', Object.assign({ app: 'App' }, metrics));
+    addGrid(results.results6, 'OU_APP', Object.assign({ ou: 'OU', app: 'App' }, metrics));
+
+    // User leaderboard: ['User', 'OU', ...apps, 'Overall', ...]; only apps the user actually used
+    const header5 = results.results5[0];
+    const userIndex = header5.indexOf('User');
+    const ouIndex = header5.indexOf('OU');
+    const apps = header5.slice(ouIndex + 1, header5.indexOf('Overall'));
+    results.results5.slice(1).forEach(row => {
+        apps.forEach(app => {
+            const count = row[header5.indexOf(app)];
+            if (count > 0) {
+                rows.push(snapshotRow('USER_APP', { ou: row[ouIndex], app: app, user: row[userIndex], sum_count: count }));
+            }
+        });
+    });
+
+    return rows;
+}
+
+
+/**
+ * Returns a value if it is a number, otherwise null.
+ * @param {*} value A grid cell.
+ * @returns {?number} The number, or null.
+ */
+function numberOrNull(value) {
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+
+/**
+ * Splits a "project.dataset.table" (or "dataset.table") name into a BigQuery table reference.
+ * @param {string} tableName The table name, optionally wrapped in backticks.
+ * @param {string} defaultProjectId The project to use when the name has no project part.
+ * @returns {{projectId: string, datasetId: string, tableId: string}} The table reference.
+ */
+function parseTableReference(tableName, defaultProjectId) {
+    const parts = tableName.replace(/`/g, '').trim().split(/[.:]/);
+    if (parts.length === 2 && defaultProjectId) {
+        parts.unshift(defaultProjectId);
+    }
+    if (parts.length !== 3 || parts.some(part => !part)) {
+        throw new Error(`Invalid BigQuery table name "${tableName}". Expected project.dataset.table.`);
+    }
+    return { projectId: parts[0], datasetId: parts[1], tableId: parts[2] };
+}
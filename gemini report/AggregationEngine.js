@@ -0,0 +1,467 @@
+// ====================================================================================
+// AGGREGATION ENGINE: BUILDS THE SUMMARY SHEETS DESCRIBED IN AGGREGATION_SPECS
+// ====================================================================================
+
+/**
+ * Column metrics a spec can use. Each receives the group, the column definition and the context.
+ */
+const AGGREGATION_METRICS = {
+    sum: group => group.sum,
+    hoursSaved: group => (group.minutesSaved || 0) / 60,
+    users: group => group.users.size,
+    share: (group, column, context) => {
+        const total = column.within
+            ? getFieldTotals(context, column.within)[group.values[column.within]] || 0
+            : context.totalSum;
+        return (total > 0) ? (group.sum / total) : 0;
+    },
+    staff: (group, column, context) => getScopeStaffCount(group, column, context),
+    adoption: (group, column, context) => {
+        const staffCount = getScopeStaffCount(group, column, context);
+        return (staffCount > 0) ? (group.users.size / staffCount) : 0;
+    },
+    firstOu: group => group.firstOu,
+    maxUser: group => getMaxUser(group).user,
+    maxUserOu: group => getMaxUser(group).ou,
+    maxUserAction: group => getMaxUser(group).action,
+    tier: (group, column, context) => classifyEngagementTier(group.sum, getContextEngagementTiers(context)),
+    tierUsers: (group, column, context) => countEngagementTiers(group, context)[column.tier],
+    tierShare: (group, column, context) => {
+        const counts = countEngagementTiers(group, context);
+        const total = ENGAGEMENT_TIER_NAMES.reduce((sum, tier) => sum + counts[tier], 0);
+        return (total > 0) ? (counts[column.tier] / total) : 0;
+    }
+};
+
+/**
+ * Prepares the raw rows for runAggregationSpec.
+ * @param {Array<Array<*>>} rows The raw activity rows, without the header.
+ * @param {Object<string, number>} fields Column index of every field the specs can refer to;
+ *     must include user, count and ou.
+ * @param {Object<string, number>} staffCountMap Active staff per OU.
+ * @param {number} totalGeminiStaffCount Active staff across the OUs with Gemini usage.
+ * @param {Array<Array<*>>} [previousRows] The previous window's rows, laid out like rows. Without
+ *     them the specs' change columns are left out.
+ * @returns {Object} The aggregation context. Its groupSizes start empty; set groupSizes[field] to
+ *     the staff per value of a field for staff and adoption columns scoped to that field.
+ *     runAggregationSpec fills unsuppressedGrids with each tab's grid before small-group suppression.
+ */
+function createAggregationContext(rows, fields, staffCountMap, totalGeminiStaffCount, previousRows) {
+    let totalSum = 0;
+    const users = new Set();
+    rows.forEach(row => {
+        totalSum += parseInt(row[fields.count], 10) || 0;
+        if (row[fields.user]) {
+            users.add(row[fields.user]);
+        }
+    });
+    return {
+        rows: rows,
+        fields: fields,
+        staffCountMap: staffCountMap,
+        totalGeminiStaffCount: totalGeminiStaffCount,
+        totalSum: totalSum,
+        totalUsers: users.size,
+        fieldTotals: {},
+        groupSizes: {},
+        suppressions: [],
+        unsuppressedGrids: {},
+        previous: previousRows ? createAggregationContext(previousRows, fields, staffCountMap, totalGeminiStaffCount) : null
+    };
+}
+
+
+/**
+ * Builds, writes, formats and charts the sheet described by one spec.
+ * @param {Spreadsheet} ss The central report spreadsheet.
+ * @param {Object} spec An entry of AGGREGATION_SPECS.
+ * @param {Object} context From createAggregationContext.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ * @returns {Array<Array<*>>} The grid written, header row first.
+ */
+function runAggregationSpec(ss, spec, context, reportWindow) {
+    const sheetName = getReportTabName(spec.tab);
+    Logger.log(`Starting aggregation for ${sheetName}...`);
+    const table = buildAggregationTable(spec, context);
+
+    let sheet = ss.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = ss.insertSheet(sheetName);
+    }
+    const grid = [table.header, ...table.rows];
+    context.unsuppressedGrids[spec.tab] = [table.header, ...table.unsuppressedRows];
+    sheet.getRange(1, 1, grid.length, table.header.length).setValues(grid);
+    if (table.rows.length > 0) {
+        applyColumnFormats(sheet, table);
+    }
+    const changeColumns = table.columns.map((column, i) => (column.change ? i + 1 : 0)).filter(Boolean);
+    highlightChangeColumns(sheet, changeColumns, table.rows.length);
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Successfully written data to ${sheetName}.`);
+
+    if (spec.charts) {
+        insertAggregationCharts(sheet, spec, table);
+    }
+    return grid;
+}
+
+
+/**
+ * Groups the context's rows by the spec's dimensions and computes its columns.
+ * @param {Object} spec An entry of AGGREGATION_SPECS.
+ * @param {Object} context From createAggregationContext.
+ * @returns {{header: string[], columns: Object[], rows: Array<Array<*>>, unsuppressedRows: Array<Array<*>>}}
+ *     The sorted table, and its rows as they were before small groups were suppressed (unsorted).
+ */
+function buildAggregationTable(spec, context) {
+    const columns = expandAggregationColumns(spec, context);
+    const groups = groupAggregationRows(spec, context);
+    const header = columns.map(column => column.header);
+    const rows = groups.map(group => columns.map(column => column.get(group)));
+    const unsuppressedRows = rows.map(row => [...row]);
+    suppressSmallGroups(spec, context, columns, groups, rows);
+
+    const sortKeys = (spec.sort || []).map(key => {
+        const index = header.indexOf(key.column);
+        if (index === -1) {
+            throw new Error(`Sort column "${key.column}" is not a column of ${spec.tab}.`);
+        }
+        return { index: index, direction: key.descending ? -1 : 1 };
+    });
+    rows.sort((a, b) => {
+        for (const key of sortKeys) {
+            const x = a[key.index];
+            const y = b[key.index];
+            if ((typeof x === 'number') !== (typeof y === 'number')) {
+                // Text in a number column (a suppressed "<N") sorts last whichever the direction
+                return typeof x === 'number' ? -1 : 1;
+            }
+            const compare = (typeof x === 'number')
+                ? x - y
+                : String(x).localeCompare(String(y));
+            if (compare !== 0) return compare * key.direction;
+        }
+        return 0;
+    });
+
+    return { header: header, columns: columns, rows: rows, unsuppressedRows: unsuppressedRows };
+}
+
+
+/**
+ * Resolves a spec's column definitions into {header, format, change, suppress, get(group)},
+ * expanding pivots. Change columns are dropped when the context has no previous window, and take
+ * suppress from the column they compare; columns that need a field the context lacks are dropped too.
+ * @param {Object} spec An entry of AGGREGATION_SPECS.
+ * @param {Object} context From createAggregationContext.
+ * @returns {Object[]} The output columns.
+ */
+function expandAggregationColumns(spec, context) {
+    const columns = [];
+    let previousGroups = null;
+    spec.columns.forEach(column => {
+        if (column.pivot) {
+            const index = context.fields[column.pivot];
+            const values = Array.from(new Set(context.rows.map(row => row[index]))).sort();
+            values.forEach(value => {
+                columns.push({
+                    header: value,
+                    format: column.format,
+                    get: group => (group.pivot[column.pivot] && group.pivot[column.pivot].get(value)) || 0
+                });
+            });
+        } else if (column.dimension) {
+            columns.push({ header: column.header, format: column.format, get: group => group.values[column.dimension] });
+        } else if (column.needs && context.fields[column.needs] === undefined) {
+            return;
+        } else if (column.metric) {
+            const metric = AGGREGATION_METRICS[column.metric];
+            if (!metric) {
+                throw new Error(`Unknown metric "${column.metric}" in ${spec.tab}. Expected one of: ${Object.keys(AGGREGATION_METRICS).join(', ')}.`);
+            }
+            columns.push({ header: column.header, format: column.format, suppress: column.suppress, get: group => metric(group, column, context) });
+        } else if (column.change) {
+            if (!context.previous) return;
+            const base = spec.columns.find(candidate => candidate.header === column.change && candidate.metric);
+            if (!base) {
+                throw new Error(`Change column "${column.header}" in ${spec.tab} refers to "${column.change}", which is not a metric column.`);
+            }
+            const metric = AGGREGATION_METRICS[base.metric];
+            if (!previousGroups) {
+                previousGroups = new Map(groupAggregationRows(spec, context.previous).map(group => [group.key, group]));
+            }
+            columns.push({
+                header: column.header,
+                format: column.format,
+                change: true,
+                suppress: base.suppress,
+                get: group => {
+                    // A group with no activity in the previous window counts as zero there
+                    const previousGroup = previousGroups.get(group.key)
+                        || { key: group.key, values: group.values, sum: 0, users: new Map(), firstOu: '', pivot: {} };
+                    const current = metric(group, base, context);
+                    const previous = metric(previousGroup, base, context.previous);
+                    if (column.relative) {
+                        return previous ? (current - previous) / previous : '';
+                    }
+                    return current - previous;
+                }
+            });
+        } else {
+            columns.push({ header: column.header, format: column.format, get: () => column.value });
+        }
+    });
+    return columns;
+}
+
+
+/**
+ * Accumulates the context's rows into one group per distinct combination of the spec's dimensions,
+ * in order of first appearance.
+ * @param {Object} spec An entry of AGGREGATION_SPECS.
+ * @param {Object} context From createAggregationContext.
+ * @returns {Object[]} The groups: {key, values, sum, minutesSaved, users, firstOu, pivot}.
+ */
+function groupAggregationRows(spec, context) {
+    const fields = context.fields;
+    const dimensions = spec.dimensions || [];
+    const required = spec.requires || dimensions;
+    const pivotFields = spec.columns.filter(column => column.pivot).map(column => column.pivot);
+    [...dimensions, ...required, ...pivotFields].forEach(field => {
+        if (fields[field] === undefined || fields[field] === -1) {
+            throw new Error(`Field "${field}" used by ${spec.tab} is not a column of the raw data.`);
+        }
+    });
+
+    const groups = new Map();
+    const newGroup = (key, row) => {
+        const group = { key: key, values: {}, sum: 0, minutesSaved: 0, users: new Map(), firstOu: row ? row[fields.ou] : '', pivot: {} };
+        dimensions.forEach(field => { group.values[field] = row[fields[field]]; });
+        pivotFields.forEach(field => { group.pivot[field] = new Map(); });
+        return group;
+    };
+    if (dimensions.length === 0) {
+        groups.set('', newGroup('', null)); // The overall row is written even when there is no data
+    }
+
+    context.rows.forEach(row => {
+        if (required.some(field => !row[fields[field]])) return;
+
+        const key = dimensions.map(field => row[fields[field]]).join('|||');
+        let group = groups.get(key);
+        if (!group) {
+            group = newGroup(key, row);
+            groups.set(key, group);
+        }
+
+        const count = parseInt(row[fields.count], 10) || 0;
+        group.sum += count;
+        if (fields.minutesSaved !== undefined) {
+            group.minutesSaved += Number(row[fields.minutesSaved]) || 0;
+        }
+        pivotFields.forEach(field => {
+            const value = row[fields[field]];
+            group.pivot[field].set(value, (group.pivot[field].get(value) || 0) + count);
+        });
+
+        const user = row[fields.user];
+        if (user) {
+            let userStats = group.users.get(user);
+            if (!userStats) {
+                userStats = { total: 0, ou: row[fields.ou], actions: new Map() };
+                group.users.set(user, userStats);
+            }
+            userStats.total += count;
+            const action = row[fields.action];
+            userStats.actions.set(action, (userStats.actions.get(action) || 0) + count);
+        }
+    });
+
+    return Array.from(groups.values());
+}
+
+
+/**
+ * Returns the group's highest-sum user (the first one seen wins ties), with their OU and the
+ * action they used most.
+ * @param {Object} group A group from groupAggregationRows.
+ * @returns {{user: string, ou: string, action: string}} The max user, or blanks for an empty group.
+ */
+function getMaxUser(group) {
+    if (group.maxUser) return group.maxUser;
+
+    let maxUser = '';
+    let maxUserTotalCount = -1;
+    group.users.forEach((userStats, user) => {
+        if (userStats.total > maxUserTotalCount) {
+            maxUserTotalCount = userStats.total;
+            maxUser = user;
+        }
+    });
+
+    let maxUserAction = '';
+    let maxActionCount = -1;
+    if (maxUser) {
+        group.users.get(maxUser).actions.forEach((count, action) => {
+            if (count > maxActionCount) {
+                maxActionCount = count;
+                maxUserAction = action;
+            }
+        });
+    }
+
+    group.maxUser = { user: maxUser, ou: maxUser ? group.users.get(maxUser).ou : '', action: maxUserAction };
+    return group.maxUser;
+}
+
+
+/**
+ * Returns the sum of Count per value of a field, over every row where that field is set.
+ * @param {Object} context From createAggregationContext; the totals are cached on it.
+ * @param {string} field The field name.
+ * @returns {Object<string, number>} The totals.
+ */
+function getFieldTotals(context, field) {
+    if (!context.fieldTotals[field]) {
+        const index = context.fields[field];
+        const totals = {};
+        context.rows.forEach(row => {
+            const value = row[index];
+            if (value) {
+                totals[value] = (totals[value] || 0) + (parseInt(row[context.fields.count], 10) || 0);
+            }
+        });
+        context.fieldTotals[field] = totals;
+    }
+    return context.fieldTotals[field];
+}
+
+
+/**
+ * Returns the staff count a staff or adoption column divides by.
+ * @param {Object} group A group from groupAggregationRows.
+ * @param {Object} column The column definition; scope is 'ou', 'all' or a field in the context's groupSizes.
+ * @param {Object} context From createAggregationContext.
+ * @returns {number} The staff count.
+ */
+function getScopeStaffCount(group, column, context) {
+    if (column.scope === 'all') {
+        return context.totalGeminiStaffCount;
+    }
+    if (column.scope && column.scope !== 'ou') {
+        return (context.groupSizes[column.scope] || {})[group.values[column.scope]] || 0;
+    }
+    return context.staffCountMap[group.values.ou] || 0;
+}
+
+
+/**
+ * Returns whether every field a spec groups by or requires is a column of the raw data.
+ * @param {Object} spec An entry of AGGREGATION_SPECS.
+ * @param {Object} context From createAggregationContext.
+ * @returns {boolean} True if the spec can run.
+ */
+function hasAggregationFields(spec, context) {
+    return [...(spec.dimensions || []), ...(spec.requires || [])]
+        .every(field => context.fields[field] !== undefined && context.fields[field] !== -1);
+}
+
+
+/**
+ * Sets each column's number format on the data rows, one range per run of adjacent columns
+ * sharing a format.
+ * @param {Sheet} sheet The sheet the table was written to.
+ * @param {{columns: Object[], rows: Array<Array<*>>}} table The table.
+ */
+function applyColumnFormats(sheet, table) {
+    let start = 0;
+    while (start < table.columns.length) {
+        const format = table.columns[start].format;
+        let end = start;
+        while (end + 1 < table.columns.length && table.columns[end + 1].format === format) {
+            end++;
+        }
+        if (format) {
+            sheet.getRange(2, start + 1, table.rows.length, end - start + 1).setNumberFormat(format);
+        }
+        start = end + 1;
+    }
+}
+
+
+/**
+ * Replaces the sheet's charts with the ones the spec describes.
+ * @param {Sheet} sheet The sheet the table was written to.
+ * @param {Object} spec An entry of AGGREGATION_SPECS.
+ * @param {{header: string[], rows: Array<Array<*>>}} table The table.
+ */
+function insertAggregationCharts(sheet, spec, table) {
+    const sheetName = sheet.getName();
+    const existingCharts = sheet.getCharts();
+    existingCharts.forEach(chart => sheet.removeChart(chart));
+    Logger.log(`Removed ${existingCharts.length} existing chart(s) from ${sheetName}.`);
+
+    if (table.rows.length === 0) {
+        Logger.log(`Skipping chart creation for ${sheetName} as there is no data.`);
+        return;
+    }
+
+    const columnIndex = header => {
+        const index = table.header.indexOf(header);
+        if (index === -1) {
+            throw new Error(`Chart column "${header}" is not a column of ${spec.tab}.`);
+        }
+        return index;
+    };
+    const firstFreeColumn = table.header.length + 2;
+
+    spec.charts.forEach(chartSpec => {
+        // Rows are sorted, so each partition is a contiguous run
+        const partitions = [];
+        if (chartSpec.partitionBy) {
+            const partitionIndex = columnIndex(chartSpec.partitionBy);
+            table.rows.forEach((row, i) => {
+                const last = partitions[partitions.length - 1];
+                if (last && last.label === row[partitionIndex]) {
+                    last.numRows++;
+                } else {
+                    partitions.push({ label: row[partitionIndex], start: i, numRows: 1 });
+                }
+            });
+        } else {
+            partitions.push({ label: '', start: 0, numRows: table.rows.length });
+        }
+
+        const anchorColumn = firstFreeColumn + (chartSpec.columnOffset || 0);
+        const maxCols = sheet.getMaxColumns();
+        if (anchorColumn > maxCols) {
+            const neededColumns = anchorColumn - maxCols;
+            sheet.insertColumnsAfter(maxCols, neededColumns);
+            Logger.log(`Added ${neededColumns} columns to ${sheetName} to make space for the chart.`);
+        }
+
+        partitions.forEach((partition, i) => {
+            const title = chartSpec.title.replace('{group}', partition.label);
+            let builder = sheet.newChart().setChartType(Charts.ChartType[chartSpec.type]);
+            [chartSpec.domain, ...chartSpec.series].forEach(header => {
+                builder = builder.addRange(sheet.getRange(partition.start + 2, columnIndex(header) + 1, partition.numRows));
+            });
+            builder = builder
+                .setMergeStrategy(Charts.ChartMergeStrategy.MERGE_COLUMNS)
+                .setOption('title', title);
+            if (chartSpec.width) {
+                builder = builder.setOption('width', chartSpec.width.base + (partition.numRows * chartSpec.width.perRow));
+            }
+            const options = chartSpec.options || {};
+            Object.keys(options).forEach(name => {
+                builder = builder.setOption(name, options[name]);
+            });
+            const anchorRow = (chartSpec.row || 2) + i * (chartSpec.rowStep || 0);
+            sheet.insertChart(builder.setPosition(anchorRow, anchorColumn, 0, 0).build());
+            Logger.log(`Created ${chartSpec.type.toLowerCase()} chart "${title}" in ${sheetName}.`);
+        });
+    });
+}
@@ -0,0 +1,349 @@
+// ====================================================================================
+// AGGREGATION SPECS: THE SUMMARY TABS BUILT FROM THE RAW ACTIVITY
+// ====================================================================================
+
+// Change columns show an arrow for the direction; highlightChangeColumns colours them
+const CHANGE_COUNT_FORMAT = '"▲ "#,##0;"▼ "#,##0;"– "0';
+const CHANGE_PERCENT_FORMAT = '"▲ "0.00%;"▼ "0.00%;"– "0.00%';
+
+/**
+ * Each entry describes one summary tab; runAggregationSpec (AggregationEngine.js) groups the
+ * raw rows, computes the columns, sorts, writes, formats and charts it. To add a cut (say
+ * App x Department), add an entry here rather than another block of code in aggregateData.
+ *
+ *   tab         Target tab id in REPORT_TABS (TabManifest.js).
+ *   dimensions  Raw fields that form one output row per distinct combination (user, app, action,
+ *               ou, or any other field aggregateData passes to createAggregationContext).
+ *               Empty for a single overall row.
+ *   requires    Fields that must be non-blank for a raw row to count; defaults to dimensions.
+ *   optional    Skip the tab, rather than fail, when one of those fields is not a column of the raw
+ *               data (Department and Manager are only there with REPORT_JOIN_DIRECTORY, Category
+ *               only with ACTION_TAXONOMY_SPREADSHEET_ID).
+ *   columns     Output columns, in order. Each has a header and one of:
+ *                 dimension: field           The group's value of that dimension.
+ *                 value: constant            The same value on every row.
+ *                 metric: name               One of AGGREGATION_METRICS:
+ *                   sum                        Sum of Count.
+ *                   hoursSaved                 Estimated hours saved: the rows' minutes saved / 60.
+ *                   users                      Distinct users.
+ *                   share                      Sum as a fraction of all rows, or of the rows sharing the
+ *                                              group's value of the field named by `within`.
+ *                   staff                      Active staff for the group's OU (scope: 'ou') or for
+ *                                              every OU with Gemini usage (scope: 'all'). Any other
+ *                                              scope names a field whose sizes aggregateData sets in
+ *                                              the context's groupSizes (department, manager).
+ *                   adoption                   Distinct users / staff, with the same scope.
+ *                   firstOu                    OU of the group's first raw row.
+ *                   maxUser, maxUserOu,        The user with the highest sum in the group (first one
+ *                   maxUserAction              wins ties), their OU and their most-used action.
+ *                   tier                       The engagement tier of the group's sum (EngagementTiers.js).
+ *                   tierUsers, tierShare       Users in the tier named by `tier`, and their share of the
+ *                                              OU's tiered users; staff with no activity are Inactive.
+ *                 change: header             The change in that metric column since the previous
+ *                                            window: current minus previous, or with relative: true
+ *                                            that difference over the previous value (blank when the
+ *                                            previous value is 0). Left out when period comparison is off.
+ *               A column with pivot: field instead of a header expands into one column per distinct
+ *               value of that field (sorted), each holding the metric for that value.
+ *               needs: field leaves the column out when that field is not a column of the raw data
+ *               (minutesSaved is only there with TIME_SAVED_SPREADSHEET_ID; see TimeSaved.js).
+ *               format is an optional number format for the column's data cells. suppress: true marks a
+ *               column that could identify individuals; with REPORT_MIN_GROUP_SIZE set it shows "<N"
+ *               for groups with fewer than N users (or, grouped by OU, N active staff). See Suppression.js.
+ *   sort        Keys applied in order: { column: header, descending: true|false }. Numbers compare
+ *               numerically, anything else with localeCompare.
+ *   charts      Optional. Each chart plots the domain column against the series columns:
+ *                 type                       A Charts.ChartType name (PIE, COLUMN, COMBO, ...).
+ *                 title                      '{group}' is replaced by the partition value.
+ *                 partitionBy                Draw one chart per run of rows sharing this column's value.
+ *                 row, rowStep, columnOffset Anchor row, rows between partitions, and columns to the
+ *                                            right of the first free column after the table.
+ *                 width                      { base, perRow }: width grows with the number of rows.
+ *                 options                    Passed to setOption as-is.
+ */
+const AGGREGATION_SPECS = [
+    {
+        tab: 'CATEGORIES',
+        dimensions: ['category'],
+        requires: ['category', 'user'],
+        optional: true,
+        columns: [
+            { header: 'Category', dimension: 'category' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'Category Count %', metric: 'share', format: '0.00%' },
+            { header: 'Count(User)', metric: 'users', format: '0', suppress: true },
+            { pivot: 'app', metric: 'sum', format: '0' }
+        ],
+        sort: [{ column: 'Sum(Count)', descending: true }, { column: 'Category' }],
+        charts: [
+            {
+                type: 'PIE',
+                title: 'Gemini Actions by Category',
+                domain: 'Category',
+                series: ['Sum(Count)'],
+                row: 2
+            }
+        ]
+    },
+    {
+        tab: 'ACTIONS',
+        dimensions: ['action'],
+        columns: [
+            { header: 'Action', dimension: 'action' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'Unique(User)', metric: 'users' }
+        ],
+        sort: [{ column: 'Action' }]
+    },
+    {
+        tab: 'APP_ACTIONS',
+        dimensions: ['app', 'action'],
+        columns: [
+            { header: 'App', dimension: 'app' },
+            { header: 'Action', dimension: 'action' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'Unique(User)', metric: 'users' }
+        ],
+        sort: [{ column: 'App' }, { column: 'Action' }]
+    },
+    {
+        tab: 'OU_APP_ACTIONS',
+        dimensions: ['ou', 'app', 'action'],
+        columns: [
+            { header: 'OU', dimension: 'ou' },
+            { header: 'App', dimension: 'app' },
+            { header: 'Action', dimension: 'action' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'Unique(User)', metric: 'users' }
+        ],
+        sort: [{ column: 'OU' }, { column: 'App' }, { column: 'Action' }]
+    },
+    {
+        tab: 'USERS',
+        dimensions: ['user'],
+        columns: [
+            { header: 'User', dimension: 'user' },
+            { header: 'OU', metric: 'firstOu' },
+            { pivot: 'app', metric: 'sum', format: '0' },
+            { header: 'Overall', metric: 'sum' },
+            { header: 'Tier', metric: 'tier' },
+            { header: 'Est. hours saved', metric: 'hoursSaved', format: '0.0', needs: 'minutesSaved' }
+        ],
+        sort: [{ column: 'Overall', descending: true }]
+    },
+    {
+        tab: 'TIERS',
+        dimensions: ['ou'],
+        requires: ['ou', 'user'],
+        columns: [
+            { header: 'OU', dimension: 'ou' },
+            { header: 'Power users', metric: 'tierUsers', tier: 'Power', format: '0', suppress: true },
+            { header: 'Regular users', metric: 'tierUsers', tier: 'Regular', format: '0', suppress: true },
+            { header: 'Light users', metric: 'tierUsers', tier: 'Light', format: '0', suppress: true },
+            { header: 'Inactive staff', metric: 'tierUsers', tier: 'Inactive', format: '0', suppress: true },
+            { header: 'Power %', metric: 'tierShare', tier: 'Power', format: '0.00%', suppress: true },
+            { header: 'Regular %', metric: 'tierShare', tier: 'Regular', format: '0.00%', suppress: true },
+            { header: 'Light %', metric: 'tierShare', tier: 'Light', format: '0.00%', suppress: true },
+            { header: 'Inactive %', metric: 'tierShare', tier: 'Inactive', format: '0.00%', suppress: true }
+        ],
+        sort: [{ column: 'OU' }],
+        charts: [
+            {
+                type: 'BAR',
+                title: 'Engagement Tiers by OU',
+                domain: 'OU',
+                series: ['Power %', 'Regular %', 'Light %', 'Inactive %'],
+                row: 2,
+                options: { isStacked: 'percent', legend: { position: 'top' } }
+            }
+        ]
+    },
+    {
+        tab: 'OU_APPS',
+        dimensions: ['ou', 'app'],
+        requires: ['ou', 'app', 'user'],
+        columns: [
+            { header: 'OU', dimension: 'ou' },
+            { header: 'App', dimension: 'app' },
+            { header: 'Sum(Count)', metric: 'sum', format: '0' },
+            { header: 'App Count %', metric: 'share', within: 'ou', format: '0.00%' },
+            { header: 'Count(User)', metric: 'users', format: '0', suppress: true },
+            { header: 'Number of active staff emails', metric: 'staff', scope: 'ou', format: '0' },
+            { header: 'Adoption %', metric: 'adoption', scope: 'ou', format: '0.00%', suppress: true },
+            { header: 'Max(User)', metric: 'maxUser', suppress: true },
+            { header: 'Max(User) Action', metric: 'maxUserAction', suppress: true },
+            { header: 'Est. hours saved', metric: 'hoursSaved', format: '0.0', needs: 'minutesSaved' },
+            { header: 'Sum(Count) change', change: 'Sum(Count)', format: CHANGE_COUNT_FORMAT },
+            { header: 'Sum(Count) change %', change: 'Sum(Count)', relative: true, format: CHANGE_PERCENT_FORMAT },
+            { header: 'Count(User) change', change: 'Count(User)', format: CHANGE_COUNT_FORMAT },
+            { header: 'Count(User) change %', change: 'Count(User)', relative: true, format: CHANGE_PERCENT_FORMAT },
+            { header: 'Adoption % change', change: 'Adoption %', format: CHANGE_PERCENT_FORMAT },
+            { header: 'Adoption % change %', change: 'Adoption %', relative: true, format: CHANGE_PERCENT_FORMAT }
+        ],
+        sort: [{ column: 'OU' }, { column: 'App' }],
+        charts: [
+            {
+                type: 'PIE',
+                title: 'App Usage Distribution for {group}',
+                domain: 'App',
+                series: ['App Count %'],
+                partitionBy: 'OU',
+                row: 2,
+                rowStep: 18
+            },
+            {
+                type: 'COLUMN',
+                title: 'App Adoption Rate for {group}',
+                domain: 'App',
+                series: ['Adoption %'],
+                partitionBy: 'OU',
+                row: 2,
+                rowStep: 18,
+                columnOffset: 8, // To the right of the pie chart
+                options: {
+                    hAxis: { title: 'App' },
+                    vAxis: { title: 'Adoption %', format: '#.##%' }
+                }
+            }
+        ]
+    },
+    {
+        tab: 'DEPARTMENTS',
+        dimensions: ['department'],
+        requires: ['department', 'user'],
+        optional: true,
+        columns: [
+            { header: 'Department', dimension: 'department' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'Count(User)', metric: 'users', format: '0', suppress: true },
+            { header: 'Department staff', metric: 'staff', scope: 'department', format: '0' },
+            { header: 'Adoption %', metric: 'adoption', scope: 'department', format: '0.00%', suppress: true }
+        ],
+        sort: [{ column: 'Adoption %', descending: true }, { column: 'Department' }],
+        charts: [
+            {
+                type: 'BAR',
+                title: 'Adoption Rate by Department',
+                domain: 'Department',
+                series: ['Adoption %'],
+                row: 2,
+                options: {
+                    hAxis: { title: 'Adoption %', format: '#.##%' },
+                    legend: { position: 'none' }
+                }
+            }
+        ]
+    },
+    {
+        tab: 'MANAGERS',
+        dimensions: ['manager'],
+        requires: ['manager', 'user'],
+        optional: true,
+        columns: [
+            { header: 'Manager', dimension: 'manager' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'Count(User)', metric: 'users', format: '0', suppress: true },
+            { header: 'Direct reports', metric: 'staff', scope: 'manager', format: '0' },
+            { header: 'Adoption %', metric: 'adoption', scope: 'manager', format: '0.00%', suppress: true }
+        ],
+        sort: [{ column: 'Manager' }]
+    },
+    {
+        tab: 'APPS',
+        dimensions: ['app'],
+        requires: ['app', 'user', 'action'],
+        columns: [
+            { header: 'App', dimension: 'app' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'App Count %', metric: 'share', format: '0.00%' },
+            { header: 'Count(User)', metric: 'users', format: '0', suppress: true },
+            { header: 'Number of active staff emails', metric: 'staff', scope: 'all', format: '0' },
+            { header: 'Adoption %', metric: 'adoption', scope: 'all', format: '0.00%', suppress: true },
+            { header: 'Max(User)', metric: 'maxUser', suppress: true },
+            { header: 'Max(User) OU', metric: 'maxUserOu', suppress: true },
+            { header: 'Max(User) Action', metric: 'maxUserAction', suppress: true },
+            { header: 'Est. hours saved', metric: 'hoursSaved', format: '0.0', needs: 'minutesSaved' },
+            { header: 'Sum(Count) change', change: 'Sum(Count)', format: CHANGE_COUNT_FORMAT },
+            { header: 'Sum(Count) change %', change: 'Sum(Count)', relative: true, format: CHANGE_PERCENT_FORMAT },
+            { header: 'Count(User) change', change: 'Count(User)', format: CHANGE_COUNT_FORMAT },
+            { header: 'Count(User) change %', change: 'Count(User)', relative: true, format: CHANGE_PERCENT_FORMAT },
+            { header: 'Adoption % change', change: 'Adoption %', format: CHANGE_PERCENT_FORMAT },
+            { header: 'Adoption % change %', change: 'Adoption %', relative: true, format: CHANGE_PERCENT_FORMAT }
+        ],
+        sort: [{ column: 'App' }],
+        charts: [
+            {
+                type: 'PIE',
+                title: 'App Usage Distribution by Count %',
+                domain: 'App',
+                series: ['App Count %'],
+                row: 2
+            },
+            {
+                type: 'COLUMN',
+                title: 'App Adoption Rate',
+                domain: 'App',
+                series: ['Adoption %'],
+                row: 20,
+                options: {
+                    hAxis: { title: 'App' },
+                    vAxis: { title: 'Adoption %', format: '#.##%' }
+                }
+            }
+        ]
+    },
+    {
+        tab: 'OUS',
+        dimensions: ['ou'],
+        requires: ['ou', 'user'],
+        columns: [
+            { header: 'OU', dimension: 'ou' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'OU Count %', metric: 'share', format: '0.00%' },
+            { header: 'Count(User)', metric: 'users', suppress: true },
+            { header: 'Number of active staff emails', metric: 'staff', scope: 'ou', format: '0' },
+            { header: 'Adoption %', metric: 'adoption', scope: 'ou', format: '0.00%', suppress: true },
+            { header: 'Est. hours saved', metric: 'hoursSaved', format: '0.0', needs: 'minutesSaved' },
+            { header: 'Sum(Count) change', change: 'Sum(Count)', format: CHANGE_COUNT_FORMAT },
+            { header: 'Sum(Count) change %', change: 'Sum(Count)', relative: true, format: CHANGE_PERCENT_FORMAT },
+            { header: 'Count(User) change', change: 'Count(User)', format: CHANGE_COUNT_FORMAT },
+            { header: 'Count(User) change %', change: 'Count(User)', relative: true, format: CHANGE_PERCENT_FORMAT },
+            { header: 'Adoption % change', change: 'Adoption %', format: CHANGE_PERCENT_FORMAT },
+            { header: 'Adoption % change %', change: 'Adoption %', relative: true, format: CHANGE_PERCENT_FORMAT }
+        ],
+        sort: [{ column: 'Adoption %', descending: true }],
+        charts: [
+            {
+                type: 'COMBO',
+                title: 'OU Adoption Rate and Staff Count',
+                domain: 'OU',
+                series: ['Adoption %', 'Number of active staff emails'],
+                row: 2,
+                width: { base: 200, perRow: 40 },
+                options: {
+                    hAxis: { title: 'Organizational Unit', slantedText: true, slantedTextAngle: 30 },
+                    vAxes: {
+                        0: { title: 'Adoption %', format: '#,##0.00%' },
+                        1: { title: 'Number of Staff' }
+                    },
+                    series: {
+                        0: { type: 'bars', targetAxisIndex: 0 },
+                        1: { type: 'line', targetAxisIndex: 1 }
+                    }
+                }
+            }
+        ]
+    },
+    {
+        tab: 'OVERALL',
+        dimensions: [],
+        columns: [
+            { header: 'Group', value: 'All' },
+            { header: 'Sum(Count)', metric: 'sum' },
+            { header: 'Count(User)', metric: 'users' },
+            { header: 'Number of active staff emails', metric: 'staff', scope: 'all' },
+            { header: 'Adoption %', metric: 'adoption', scope: 'all', format: '0.00%' },
+            { header: 'Est. hours saved', metric: 'hoursSaved', format: '0.0', needs: 'minutesSaved' }
+        ]
+    }
+];
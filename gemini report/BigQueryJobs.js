@@ -0,0 +1,318 @@
+// ====================================================================================
+// BIGQUERY JOBS: COST ESTIMATES, SUBMISSION, POLLING, ERROR CLASSIFICATION AND RESULT PAGING
+// ====================================================================================
+
+const DEFAULT_RESULT_PAGE_SIZE = 10000;
+const DEFAULT_MAX_RESULT_ROWS = 500000;
+const DEFAULT_JOB_TIMEOUT_SECONDS = 240; // Shared by every job of a run; leaves room for aggregation inside the 6-minute execution limit
+const JOB_POLL_INITIAL_MS = 500;
+const JOB_POLL_MAX_MS = 10000;
+const BIGQUERY_MAX_RETRIES = 5;
+const DEFAULT_PRICE_PER_TIB = 6.25; // On-demand analysis price in USD; override with BQ_PRICE_PER_TIB
+const BYTES_PER_TIB = Math.pow(1024, 4);
+
+// BigQuery error reasons (errorResult.reason / HTTP error reason) grouped into the categories we report on
+const BIGQUERY_ERROR_REASONS = {
+    QUOTA: ['quotaExceeded', 'rateLimitExceeded', 'billingTierLimitExceeded'],
+    COST_LIMIT: ['bytesBilledLimitExceeded'],
+    PERMISSION: ['accessDenied', 'billingNotEnabled', 'forbidden', 'unauthorized'],
+    RESULT_SIZE: ['responseTooLarge', 'resourcesExceeded'],
+    SYNTAX: ['invalidQuery', 'invalid'],
+    NOT_FOUND: ['notFound'],
+    TRANSIENT: ['backendError', 'internalError', 'jobBackendError', 'jobInternalError', 'serviceUnavailable'],
+    TIMEOUT: ['timeout', 'stopped']
+};
+
+const BIGQUERY_ERROR_HINTS = {
+    QUOTA: 'BigQuery quota or rate limit reached; wait for it to reset or narrow the reporting window.',
+    COST_LIMIT: 'The query would scan more than BQ_MAX_BYTES_BILLED; narrow the reporting window or raise the ceiling.',
+    PERMISSION: 'The script account lacks BigQuery access; check its roles on BQ_GEMINI_PROJECT_ID and the activity dataset.',
+    RESULT_SIZE: 'The query result or the work to produce it was too large; narrow the reporting window or aggregate more in the query template.',
+    SYNTAX: 'The query is invalid; check the query template and BQ_ACTIVITY_TABLE.',
+    NOT_FOUND: 'A project, dataset or table was not found; check BQ_GEMINI_PROJECT_ID and BQ_ACTIVITY_TABLE.',
+    TRANSIENT: 'BigQuery had a temporary backend problem; try the run again.',
+    TIMEOUT: 'The job did not finish in time; narrow the reporting window or raise BQ_JOB_TIMEOUT_SECONDS.',
+    UNKNOWN: 'See the execution log for details.'
+};
+
+
+/**
+ * Maps a BigQuery error reason or message to one of the BIGQUERY_ERROR_REASONS categories.
+ * @param {string} reason The error reason, if known.
+ * @param {string} message The error message.
+ * @returns {string} QUOTA, COST_LIMIT, PERMISSION, RESULT_SIZE, SYNTAX, NOT_FOUND, TRANSIENT, TIMEOUT or UNKNOWN.
+ */
+function classifyBigQueryError(reason, message) {
+    for (const category in BIGQUERY_ERROR_REASONS) {
+        if (reason && BIGQUERY_ERROR_REASONS[category].indexOf(reason) !== -1) {
+            return category;
+        }
+    }
+    const text = String(message || '').toLowerCase();
+    if (/bytes billed/.test(text)) return 'COST_LIMIT';
+    if (/quota|rate limit|too many requests/.test(text)) return 'QUOTA';
+    if (/access denied|permission|forbidden|not authorized|does not have/.test(text)) return 'PERMISSION';
+    if (/response too large|resources exceeded/.test(text)) return 'RESULT_SIZE';
+    if (/syntax error|invalid query|unrecognized name|no matching signature/.test(text)) return 'SYNTAX';
+    if (/not found/.test(text)) return 'NOT_FOUND';
+    if (/backend error|internal error|service unavailable|try again|timed out|econnreset/.test(text)) return 'TRANSIENT';
+    return 'UNKNOWN';
+}
+
+
+/**
+ * Builds an Error whose message names the failure category and what to do about it.
+ * The category and job ID are also attached as properties for callers that branch on them.
+ * @param {string} category A classifyBigQueryError category.
+ * @param {string} message The underlying BigQuery message.
+ * @param {string} [jobId] The job the error belongs to.
+ * @returns {Error} The classified error.
+ */
+function createBigQueryError(category, message, jobId) {
+    const jobText = jobId ? ` (job ${jobId})` : '';
+    const error = new Error(`BigQuery ${category} error${jobText}: ${message} — ${BIGQUERY_ERROR_HINTS[category] || BIGQUERY_ERROR_HINTS.UNKNOWN}`);
+    error.category = category;
+    error.jobId = jobId;
+    return error;
+}
+
+
+/**
+ * Calls a BigQuery advanced-service method, retrying transient and rate-limit failures
+ * with exponential backoff and jitter. Anything else is rethrown as a classified error.
+ * With a deadline, no wait runs past it and a failure after it is not retried.
+ * @param {string} description What the call does, for the log.
+ * @param {function(): *} call The call to make.
+ * @param {number} [deadline] When the run's BigQuery time budget ends, in milliseconds since the epoch.
+ * @returns {*} The call's result.
+ */
+function callBigQueryWithRetry(description, call, deadline) {
+    for (let attempt = 0; attempt < BIGQUERY_MAX_RETRIES; attempt++) {
+        try {
+            return call();
+        } catch (e) {
+            if (e.category) throw e;
+            const reason = e.details && e.details.errors && e.details.errors[0] ? e.details.errors[0].reason : '';
+            const category = classifyBigQueryError(reason, e.message);
+            const retryable = category === 'TRANSIENT' || reason === 'rateLimitExceeded';
+            Logger.log(`${description} attempt ${attempt + 1} of ${BIGQUERY_MAX_RETRIES} failed (${category}): ${e.message}`);
+            const timeLeft = deadline ? deadline - Date.now() : Infinity;
+            if (!retryable || attempt === BIGQUERY_MAX_RETRIES - 1 || timeLeft <= 0) {
+                throw createBigQueryError(category, e.message);
+            }
+            const sleepTime = Math.min(Math.pow(2, attempt + 1) * 1000 + Math.floor(Math.random() * 1000), timeLeft);
+            Logger.log(`Retrying in ${sleepTime / 1000} seconds...`);
+            Utilities.sleep(sleepTime);
+        }
+    }
+}
+
+
+/**
+ * Whether an insert failed because its job ID is already taken: an earlier attempt of the same
+ * insert reached BigQuery even though its response was lost.
+ * @param {Error} e The error from BigQuery.Jobs.insert.
+ * @returns {boolean} True for a 409 duplicate.
+ */
+function isDuplicateJobError(e) {
+    const details = e.details || {};
+    const reason = details.errors && details.errors[0] ? details.errors[0].reason : '';
+    return reason === 'duplicate' || details.code === 409 || /already exists/i.test(String(e.message));
+}
+
+
+/**
+ * Dry-runs a query to find out how many bytes it would scan and roughly what that costs.
+ * Dry runs are free and also surface syntax and permission errors before the real run.
+ * @param {string} projectId The project the query would run in.
+ * @param {string} query The SQL.
+ * @returns {{bytes: number, cost: number, pricePerTib: number, label: string}} The estimate.
+ */
+function estimateQueryCost(projectId, query) {
+    const pricePerTib = parseFloat(PropertiesService.getScriptProperties().getProperty('BQ_PRICE_PER_TIB')) || DEFAULT_PRICE_PER_TIB;
+    const request = {
+        configuration: { query: { query: query, useLegacySql: false }, dryRun: true }
+    };
+    const dryRunJob = callBigQueryWithRetry('BigQuery.Jobs.insert (dry run)', () => BigQuery.Jobs.insert(request, projectId));
+    const bytes = parseInt(dryRunJob.statistics.totalBytesProcessed, 10) || 0;
+    const cost = (bytes / BYTES_PER_TIB) * pricePerTib;
+    const label = `${formatBytes(bytes)} (~$${cost.toFixed(2)} at $${pricePerTib}/TiB)`;
+    Logger.log(`Dry run: the query would process ${label}.`);
+    return { bytes: bytes, cost: cost, pricePerTib: pricePerTib, label: label };
+}
+
+
+/**
+ * Throws a COST_LIMIT error when a dry-run estimate exceeds the configured byte ceiling.
+ * @param {{bytes: number, label: string}} estimate The estimate from estimateQueryCost.
+ * @param {number} maxBytesBilled The ceiling in bytes; 0 or empty disables the check.
+ */
+function enforceQueryCostCeiling(estimate, maxBytesBilled) {
+    if (!maxBytesBilled) return;
+    if (estimate.bytes > maxBytesBilled) {
+        throw createBigQueryError('COST_LIMIT', `Estimated scan of ${estimate.label} exceeds the ceiling of ${formatBytes(maxBytesBilled)}. The query was not run.`);
+    }
+    Logger.log(`Estimated scan is within the ceiling of ${formatBytes(maxBytesBilled)}.`);
+}
+
+
+/**
+ * Formats a byte count using binary units, e.g. "1.50 GiB".
+ * @param {number} bytes The byte count.
+ * @returns {string} The formatted size.
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 ? value : value.toFixed(2)} ${units[unitIndex]}`;
+}
+
+
+/**
+ * Returns when a run's BigQuery time budget ends: BQ_JOB_TIMEOUT_SECONDS (default 240) from now.
+ * Every job of the run (the current window, the previous one, the cohort lookback and the history
+ * load) shares it, so together they cannot run into the Apps Script time limit.
+ * @returns {number} The deadline, in milliseconds since the epoch.
+ */
+function getBigQueryRunDeadline() {
+    const timeoutSeconds = parseInt(PropertiesService.getScriptProperties().getProperty('BQ_JOB_TIMEOUT_SECONDS'), 10)
+        || DEFAULT_JOB_TIMEOUT_SECONDS;
+    return Date.now() + timeoutSeconds * 1000;
+}
+
+
+/**
+ * Submits a job (query or load) and waits for it to finish, polling with exponential backoff.
+ * If the job is still running at the deadline it is cancelled with BigQuery.Jobs.cancel
+ * and a TIMEOUT error is thrown, so the script never runs into the Apps Script time limit.
+ * A deadline that has already passed fails the same way before the job is submitted.
+ * The job gets its own ID up front, so retrying an insert whose response was lost picks up the
+ * job that attempt started rather than running (and billing) a second one.
+ * @param {string} projectId The project to run the job in.
+ * @param {Object} request The Jobs.insert request body.
+ * @param {{deadline: number, mediaBlob: GoogleAppsScript.Base.Blob}} [options] When the job must
+ *     be done, in milliseconds since the epoch (default getBigQueryRunDeadline(), i.e. a budget of
+ *     its own), and, for load jobs, the data to upload.
+ * @returns {Object} The completed job resource.
+ */
+function runBigQueryJob(projectId, request, options) {
+    const opts = options || {};
+    const deadline = opts.deadline || getBigQueryRunDeadline();
+    const timeoutSeconds = Math.floor((deadline - Date.now()) / 1000);
+    if (timeoutSeconds <= 0) {
+        throw createBigQueryError('TIMEOUT', 'The run\'s BQ_JOB_TIMEOUT_SECONDS budget was used up by its earlier steps, so this job was not submitted.');
+    }
+
+    const jobId = `gemini_report_${Utilities.getUuid()}`;
+    const jobRequest = Object.assign({}, request, { jobReference: { projectId: projectId, jobId: jobId } });
+    let job = callBigQueryWithRetry('BigQuery.Jobs.insert', () => {
+        try {
+            return opts.mediaBlob
+                ? BigQuery.Jobs.insert(jobRequest, projectId, opts.mediaBlob)
+                : BigQuery.Jobs.insert(jobRequest, projectId);
+        } catch (e) {
+            if (!isDuplicateJobError(e)) throw e;
+            Logger.log(`BigQuery job ${jobId} was already started by an earlier attempt. Waiting for it instead.`);
+            return BigQuery.Jobs.get(projectId, jobId);
+        }
+    }, deadline);
+    const getParams = job.jobReference.location ? { location: job.jobReference.location } : {};
+    Logger.log(`Submitted BigQuery job ${jobId}; waiting up to ${timeoutSeconds} seconds.`);
+
+    let sleepTimeMs = JOB_POLL_INITIAL_MS;
+    while (job.status.state !== 'DONE') {
+        if (Date.now() + sleepTimeMs > deadline) {
+            Logger.log(`BigQuery job ${jobId} still ${job.status.state} after ${timeoutSeconds} seconds. Cancelling it.`);
+            try {
+                BigQuery.Jobs.cancel(projectId, jobId, getParams);
+            } catch (e) {
+                Logger.log(`Could not cancel BigQuery job ${jobId}: ${e.message}`);
+            }
+            throw createBigQueryError('TIMEOUT', `Job was still running after ${timeoutSeconds} seconds and was cancelled.`, jobId);
+        }
+        Utilities.sleep(sleepTimeMs);
+        sleepTimeMs = Math.min(sleepTimeMs * 2, JOB_POLL_MAX_MS);
+        job = callBigQueryWithRetry('BigQuery.Jobs.get', () => BigQuery.Jobs.get(projectId, jobId, getParams), deadline);
+    }
+
+    const errorResult = job.status.errorResult;
+    if (errorResult) {
+        throw createBigQueryError(classifyBigQueryError(errorResult.reason, errorResult.message), errorResult.message, jobId);
+    }
+    return job;
+}
+
+/**
+ * Pages through every result page of a completed query job using pageToken, handing each
+ * page's rows to a callback as soon as it arrives so callers never hold raw pages in memory.
+ *
+ * @param {string} projectId The project that ran the job.
+ * @param {string} jobId The completed job's ID.
+ * @param {function(string[], Array<Array<*>>)} onRows Called per page with the column names and
+ *     that page's rows as arrays of cell values.
+ * @param {{maxRows: number, pageSize: number, location: string, deadline: number}} [options] Row cap
+ *     across all pages (default 500,000), rows requested per page (default 10,000), the job's
+ *     location, from its jobReference (jobs outside the US and EU multi-regions can only be read
+ *     with it), and the run's deadline, which retries of a page do not wait past.
+ * @returns {{headers: string[], rowCount: number, totalRows: number, pageCount: number, truncated: boolean}}
+ *     What was retrieved; truncated is true when maxRows stopped the paging early.
+ */
+function forEachQueryResultPage(projectId, jobId, onRows, options) {
+    const opts = options || {};
+    const maxRows = opts.maxRows || DEFAULT_MAX_RESULT_ROWS;
+    const pageSize = Math.min(opts.pageSize || DEFAULT_RESULT_PAGE_SIZE, maxRows);
+    let headers = [];
+    let totalRows = 0;
+    let rowCount = 0;
+    let pageCount = 0;
+    let truncated = false;
+    let pageToken;
+
+    do {
+        const params = { maxResults: pageSize };
+        if (opts.location) {
+            params.location = opts.location;
+        }
+        if (pageToken) {
+            params.pageToken = pageToken;
+        }
+        const page = callBigQueryWithRetry('BigQuery.Jobs.getQueryResults', () => BigQuery.Jobs.getQueryResults(projectId, jobId, params), opts.deadline);
+        pageCount++;
+
+        if (pageCount === 1) {
+            headers = page.schema ? page.schema.fields.map(field => field.name) : [];
+            totalRows = parseInt(page.totalRows, 10) || 0;
+        }
+
+        let rows = (page.rows || []).map(row => row.f.map(cell => cell.v));
+        if (rowCount + rows.length > maxRows) {
+            rows = rows.slice(0, maxRows - rowCount);
+            truncated = true;
+        }
+        rowCount += rows.length;
+        if (rows.length > 0) {
+            onRows(headers, rows);
+        }
+        Logger.log(`Fetched result page ${pageCount}: ${rows.length} rows (${rowCount} of ${totalRows} so far).`);
+
+        pageToken = page.pageToken;
+        if (pageToken && rowCount >= maxRows) {
+            truncated = true;
+        }
+    } while (pageToken && !truncated);
+
+    if (truncated) {
+        Logger.log(`WARNING: Stopped after ${rowCount} of ${totalRows} result rows because the row limit is ${maxRows} (BQ_MAX_ROWS).`);
+    } else if (rowCount !== totalRows) {
+        throw new Error(`BigQuery reported ${totalRows} result rows but ${rowCount} were retrieved across ${pageCount} page(s).`);
+    } else {
+        Logger.log(`Retrieved all ${rowCount} result rows across ${pageCount} page(s), matching totalRows.`);
+    }
+
+    return { headers: headers, rowCount: rowCount, totalRows: totalRows, pageCount: pageCount, truncated: truncated };
+}
@@ -0,0 +1,73 @@
+// ====================================================================================
+// DATA SOURCE: BIGQUERY ACTIVITY EXPORT
+// ====================================================================================
+
+/**
+ * Runs the activity query against the Workspace BigQuery export and streams the result pages.
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @param {function(string[], Array<Array<*>>)} onRows Called once per result page.
+ * @param {{deadline: number}} [options] When the run's BigQuery time budget ends, from
+ *     getBigQueryRunDeadline; without it the query gets a budget of its own.
+ * @returns {{headers: string[], rowCount: number}} The result columns and rows retrieved.
+ */
+function fetchBigQueryActivity(reportWindow, onRows, options) {
+    const properties = PropertiesService.getScriptProperties();
+    const projectId = properties.getProperty('BQ_GEMINI_PROJECT_ID');
+    const query = buildReportQuery(reportWindow);
+
+    // Dry-run first so every run logs its scan size, and refuse to run past the byte ceiling
+    const maxBytesBilled = parseInt(properties.getProperty('BQ_MAX_BYTES_BILLED'), 10) || 0;
+    enforceQueryCostCeiling(estimateQueryCost(projectId, query), maxBytesBilled);
+
+    const request = {
+        configuration: { query: { query: query, useLegacySql: false } }
+    };
+    if (maxBytesBilled) {
+        // BigQuery enforces the same ceiling server-side in case the estimate was low
+        request.configuration.query.maximumBytesBilled = String(maxBytesBilled);
+    }
+
+    Logger.log(`Starting the BigQuery query for ${reportWindow.label}...`);
+    const queryJob = runBigQueryJob(projectId, request, { deadline: options && options.deadline });
+    const jobId = queryJob.jobReference.jobId;
+    Logger.log('BigQuery job completed successfully.');
+
+    const maxRows = parseInt(properties.getProperty('BQ_MAX_ROWS'), 10) || DEFAULT_MAX_RESULT_ROWS;
+    return forEachQueryResultPage(projectId, jobId, onRows, {
+        maxRows: maxRows,
+        location: queryJob.jobReference.location,
+        deadline: options && options.deadline
+    });
+}
+
+
+/**
+ * Renders the activity query for a reporting window from the configured template
+ * (BQ_QUERY_TEMPLATE, or BQ_DAILY_QUERY_TEMPLATE when REPORT_DAILY_GRAIN is on).
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @returns {string} The SQL.
+ */
+function buildReportQuery(reportWindow) {
+    const properties = PropertiesService.getScriptProperties();
+    const templateName = isDailyGrainEnabled()
+        ? (properties.getProperty('BQ_DAILY_QUERY_TEMPLATE') || DEFAULT_DAILY_QUERY_TEMPLATE)
+        : (properties.getProperty('BQ_QUERY_TEMPLATE') || DEFAULT_QUERY_TEMPLATE);
+    return buildQueryFromTemplate(templateName, reportWindow);
+}
+
+
+/**
+ * Dry-runs the activity query for a reporting window and logs the estimated bytes and cost.
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @returns {{bytes: number, cost: number, pricePerTib: number, label: string}} The estimate.
+ */
+function estimateBigQueryReportCost(reportWindow) {
+    const properties = PropertiesService.getScriptProperties();
+    const projectId = properties.getProperty('BQ_GEMINI_PROJECT_ID');
+    const estimate = estimateQueryCost(projectId, buildReportQuery(reportWindow));
+    const maxBytesBilled = parseInt(properties.getProperty('BQ_MAX_BYTES_BILLED'), 10) || 0;
+    if (maxBytesBilled && estimate.bytes > maxBytesBilled) {
+        Logger.log(`WARNING: A real run would be aborted; the estimate exceeds BQ_MAX_BYTES_BILLED (${formatBytes(maxBytesBilled)}).`);
+    }
+    return estimate;
+}
@@ -0,0 +1,148 @@
+// ====================================================================================
+// CHAMPIONS: THE TOP-N USERS PER OU AND PER APP
+// ====================================================================================
+
+const DEFAULT_CHAMPIONS_TOP_N = 5;
+const CHAMPIONS_HEADER = ['Scope', 'Group', 'Rank', 'User', 'OU', 'Sum(Count)', 'Share of group', 'Top action'];
+
+/**
+ * Returns how many champions to list per group: the REPORT_TOP_N script property, default 5.
+ * @returns {number} A positive whole number.
+ */
+function getChampionsTopN() {
+    const value = PropertiesService.getScriptProperties().getProperty('REPORT_TOP_N');
+    if (!value) return DEFAULT_CHAMPIONS_TOP_N;
+    const topN = Number(value);
+    if (!(Number.isInteger(topN) && topN > 0)) {
+        throw new Error(`REPORT_TOP_N must be a positive whole number, got "${value}".`);
+    }
+    return topN;
+}
+
+
+/**
+ * Ranks the users of each group by their actions and keeps the top N. Tied users share a rank
+ * (1, 2, 2, 4), and everyone tied at rank N is kept, so a group can list more than N users.
+ * @param {Array<Array<*>>} rows The raw activity rows.
+ * @param {{userIndex: number, appIndex: number, actionIndex: number, countIndex: number, ouIndex: number}} indices
+ *     Column positions in the raw rows.
+ * @param {string} scope The label for the Scope column, e.g. 'OU' or 'App'.
+ * @param {number} groupIndex The column the groups are formed by.
+ * @param {number} topN From getChampionsTopN.
+ * @param {function(string, number): boolean} [keepGroup] Called with each group and its number of
+ *     users; groups it returns false for are left out.
+ * @returns {Array<Array<*>>} Rows matching CHAMPIONS_HEADER, by group, rank and user.
+ */
+function rankChampions(rows, indices, scope, groupIndex, topN, keepGroup) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const group = row[groupIndex];
+        const user = row[indices.userIndex];
+        if (!group || !user) return;
+        const count = parseInt(row[indices.countIndex], 10) || 0;
+        if (!groups.has(group)) {
+            groups.set(group, { total: 0, users: new Map() });
+        }
+        const groupStats = groups.get(group);
+        groupStats.total += count;
+        if (!groupStats.users.has(user)) {
+            groupStats.users.set(user, { sum: 0, ou: row[indices.ouIndex], actions: new Map() });
+        }
+        const userStats = groupStats.users.get(user);
+        userStats.sum += count;
+        const action = row[indices.actionIndex];
+        userStats.actions.set(action, (userStats.actions.get(action) || 0) + count);
+    });
+
+    const results = [];
+    Array.from(groups.keys()).sort((a, b) => String(a).localeCompare(String(b))).forEach(group => {
+        const groupStats = groups.get(group);
+        if (keepGroup && !keepGroup(group, groupStats.users.size)) return;
+        const ranked = Array.from(groupStats.users.entries())
+            .map(([user, userStats]) => ({ user: user, stats: userStats }))
+            .sort((a, b) => b.stats.sum - a.stats.sum || String(a.user).localeCompare(String(b.user)));
+
+        let rank = 0;
+        ranked.forEach((entry, i) => {
+            // Competition ranking: a user's rank is one more than the number of users ahead of them
+            if (i === 0 || entry.stats.sum !== ranked[i - 1].stats.sum) {
+                rank = i + 1;
+            }
+            if (rank > topN) return;
+            const share = groupStats.total > 0 ? entry.stats.sum / groupStats.total : 0;
+            results.push([scope, group, rank, entry.user, entry.stats.ou, entry.stats.sum, share, getTopAction(entry.stats.actions)]);
+        });
+    });
+    return results;
+}
+
+
+/**
+ * Returns the action with the highest count; ties go to the alphabetically first action.
+ * @param {Map<string, number>} actions Count per action.
+ * @returns {string} The action, or '' when there are none.
+ */
+function getTopAction(actions) {
+    let topAction = '';
+    let topCount = -1;
+    Array.from(actions.keys()).sort().forEach(action => {
+        if (actions.get(action) > topCount) {
+            topCount = actions.get(action);
+            topAction = action;
+        }
+    });
+    return topAction;
+}
+
+
+/**
+ * Writes a Champions tab: centrally the top users of each OU and of each app across every OU,
+ * or for one OU its own top users and each app's top users within it, without the OU column.
+ * With REPORT_MIN_GROUP_SIZE set, groups that the summary tabs would suppress are left out; the
+ * central tab logs them, and an OU's are already logged on By OU and By OU & app.
+ * @param {Spreadsheet} spreadsheet The central or OU spreadsheet.
+ * @param {string} sheetName The tab name for the spreadsheet's audience.
+ * @param {Array<Array<*>>} allData The raw activity rows, already filtered to the OU for an OU spreadsheet.
+ * @param {Object} indices Column positions in the raw rows (see rankChampions).
+ * @param {boolean} includeOu Whether to keep the OU column.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ * @param {function(string): string} [pseudonymize] From createPseudonymizer, for an OU with a Privacy setting.
+ * @param {Object} [context] From createAggregationContext (or the OU rollup's), for the minimum
+ *     group size and the active staff per OU; without it no group is left out.
+ */
+function writeChampionsSheet(spreadsheet, sheetName, allData, indices, includeOu, reportWindow, pseudonymize, context) {
+    const topN = getChampionsTopN();
+    const minGroupSize = context ? getContextMinGroupSize(context) : 0;
+    // An app's group spans every OU centrally, but is within the spreadsheet's OU otherwise
+    const spreadsheetOu = !includeOu && allData.length > 0 ? allData[0][indices.ouIndex] : '';
+    const keepGroup = scope => (group, users) => {
+        const ou = scope === 'OU' ? group : spreadsheetOu;
+        const staff = ou ? (context.staffCountMap[ou] || 0) : '';
+        const reason = getSmallGroupReason(minGroupSize, users, staff);
+        if (reason && includeOu) {
+            context.suppressions.push([sheetName, `${scope}: ${group}`, users, staff, reason, 'Left out']);
+        }
+        return !reason;
+    };
+    const rows = [
+        ...rankChampions(allData, indices, 'OU', indices.ouIndex, topN, minGroupSize ? keepGroup('OU') : null),
+        ...rankChampions(allData, indices, 'App', indices.appIndex, topN, minGroupSize ? keepGroup('App') : null)
+    ];
+    const dropOu = row => (includeOu ? row : [...row.slice(0, 4), ...row.slice(5)]);
+    const results = pseudonymizeGrid([dropOu(CHAMPIONS_HEADER), ...rows.map(dropOu)], pseudonymize);
+
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    sheet.getRange(1, 1, results.length, results[0].length).setValues(results);
+    if (rows.length > 0) {
+        const shareColumn = results[0].indexOf('Share of group') + 1;
+        sheet.getRange(2, shareColumn, rows.length, 1).setNumberFormat('0.00%');
+    }
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Wrote ${rows.length} champions (top ${topN} per OU and per app) to ${sheetName}.`);
+}
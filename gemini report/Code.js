@@ -0,0 +1,1033 @@
+/**
+ * Fetches activity from the configured data source and runs the aggregation for one reporting window.
+ * @param {Object} [options] Optional window overrides ({ preset, days, startDate, endDate, timeZone });
+ *     see resolveReportWindow. Without them the window comes from the script properties.
+ *     Pass { dataSource: 'REPORTS_API' } to override REPORT_DATA_SOURCE for this run, and
+ *     { dryRun: true } (or set BQ_DRY_RUN to true) to only estimate the query's cost.
+ */
+function runFullReportAndAggregation(options) {
+    try {
+        // STEP 0: Settle the reporting window and data source once so every step reports the same period
+        const reportWindow = resolveReportWindow(options);
+        const dataSource = getDataSource(options && options.dataSource);
+
+        if ((options && options.dryRun === true) || PropertiesService.getScriptProperties().getProperty('BQ_DRY_RUN') === 'true') {
+            if (dataSource.estimateCost) {
+                dataSource.estimateCost(reportWindow);
+                if (isPeriodComparisonEnabled()) {
+                    const previousWindow = getPreviousReportWindow(reportWindow);
+                    Logger.log(`The change columns also read the previous window (${previousWindow.label}):`);
+                    dataSource.estimateCost(previousWindow);
+                }
+                if (getCohortPeriod() && isDailyGrainEnabled()) {
+                    const lookbackWindow = getCohortLookbackWindow(reportWindow);
+                    Logger.log(`The cohort retention tab also reads the cohort lookback (${lookbackWindow.label}):`);
+                    dataSource.estimateCost(lookbackWindow);
+                }
+            } else {
+                Logger.log(`The ${dataSource.label} data source has no cost to estimate.`);
+            }
+            Logger.log('Dry-run mode: the data source was not read and no sheets were changed.');
+            return;
+        }
+
+        // One BigQuery time budget for the whole run, from the queries to the history load
+        const deadline = getBigQueryRunDeadline();
+
+        // STEP 1: Fetch the activity from the data source and write the raw data to the target sheet
+        runActivityReport(reportWindow, dataSource, deadline);
+
+        // STEP 2: Run all aggregation steps and distribution using the data just written
+        aggregateData(reportWindow, deadline);
+
+        Logger.log('🎉 Full report and aggregation process completed successfully! 🎉');
+
+    } catch (e) {
+        Logger.log(`🔥🔥🔥 A critical error occurred during the main process: ${e.message} 🔥🔥🔥`);
+        try {
+            SpreadsheetApp.getUi().alert(`An error occurred: ${e.message}`);
+        } catch (uiError) {
+            // No UI when run from a trigger; rethrow so the failure (and its BigQuery category) reaches the trigger's error notification
+            throw e;
+        }
+    }
+}
+
+
+/**
+ * Estimates the cost of the report query for the configured window without running it.
+ */
+function runDryRunReport() {
+    runFullReportAndAggregation({ dryRun: true });
+}
+
+
+/**
+ * Re-runs the full report for the last complete calendar month, regardless of the configured preset.
+ */
+function runLastFullMonthReport() {
+    runFullReportAndAggregation({ preset: 'LAST_FULL_MONTH' });
+}
+
+
+// ====================================================================================
+// SECTION 1: ACTIVITY DATA FETCH AND INITIAL WRITE
+// ====================================================================================
+
+const RAW_DATA_WRITE_BATCH_SIZE = 5000;
+
+/**
+ * Executes the BigQuery report on its own: fetches activity from BigQuery, merges with OU data,
+ * sorts, and saves it to the raw data sheet, whatever REPORT_DATA_SOURCE says.
+ * @param {Object} [reportWindow] The window from resolveReportWindow; resolved from script properties if omitted.
+ */
+function runBigQueryReport(reportWindow) {
+    runActivityReport(reportWindow || resolveReportWindow(), getDataSource('BIGQUERY'));
+}
+
+
+/**
+ * Fetches activity from a data source, merges with OU data, sorts, and saves to a specific Google Sheet.
+ * When period comparison is on, the previous window is fetched the same way for the change columns,
+ * and with cohort retention on (at daily grain) so is the cohort lookback.
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @param {Object} dataSource The data source from getDataSource.
+ * @param {number} [deadline] When the run's BigQuery time budget ends, from getBigQueryRunDeadline;
+ *     a budget starts now if omitted.
+ */
+function runActivityReport(reportWindow, dataSource, deadline) {
+    const properties = PropertiesService.getScriptProperties();
+    const targetSpreadsheetId = properties.getProperty('TARGET_SPREADSHEET_ID');
+    const ouSpreadsheetId = properties.getProperty('OU_SPREADSHEET_ID');
+    const ouSheetName = "Sheet1";
+    const ouLookup = createOULookupMap(ouSpreadsheetId, ouSheetName);
+    const directory = isDirectoryJoinEnabled() ? createDirectoryAttributeMap(ouSpreadsheetId, ouSheetName) : null;
+    // One BigQuery time budget for every window this run fetches
+    deadline = deadline || getBigQueryRunDeadline();
+
+    // Users missing from the OU sheet are reported on their own tab, and optionally kept under a catch-all OU
+    const unassignedOu = properties.getProperty('UNMAPPED_USERS_OU') || '';
+    const unmappedTracker = createUnmappedActivityTracker();
+
+    Logger.log(`Fetching activity from ${dataSource.label}...`);
+    const activity = fetchActivityWithOUs(reportWindow, dataSource, ouLookup, unassignedOu, unmappedTracker, directory, deadline);
+    if (activity.rowCount === 0) {
+        Logger.log(`${dataSource.label} returned no activity. Aborting subsequent steps.`);
+        throw new Error(`${dataSource.label} returned no activity for ${reportWindow.label}.`);
+    }
+    Logger.log(`Merge complete. ${activity.rows.length} of ${activity.rowCount} rows kept (${Object.keys(unmappedTracker.users).length} users had no OU match).`);
+
+    const spreadsheet = SpreadsheetApp.openById(targetSpreadsheetId);
+    migrateReportTabs(spreadsheet, REPORT_AUDIENCE_CENTRAL);
+    writeActivityTab(spreadsheet, 'RAW', activity, reportWindow);
+    writeUnmappedUsersSheet(spreadsheet, unmappedTracker, unassignedOu, reportWindow, dataSource.label);
+
+    if (isPeriodComparisonEnabled()) {
+        const previousWindow = getPreviousReportWindow(reportWindow);
+        try {
+            Logger.log(`Fetching the previous window (${previousWindow.label}) for the change columns...`);
+            const previousActivity = fetchActivityWithOUs(previousWindow, dataSource, ouLookup, unassignedOu, createUnmappedActivityTracker(), directory, deadline);
+            writeActivityTab(spreadsheet, 'PREVIOUS_RAW', previousActivity, previousWindow);
+        } catch (e) {
+            // The current window is already written; the summaries just go without change columns
+            Logger.log(`ERROR fetching the previous window: ${e.message}. Continuing without change columns.`);
+        }
+    }
+
+    if (getCohortPeriod()) {
+        if (!isDailyGrainEnabled()) {
+            Logger.log('REPORT_COHORT_RETENTION needs REPORT_DAILY_GRAIN set to true. Skipping the cohort lookback.');
+            return;
+        }
+        const lookbackWindow = getCohortLookbackWindow(reportWindow);
+        try {
+            Logger.log(`Fetching the cohort lookback (${lookbackWindow.label})...`);
+            const lookbackActivity = fetchActivityWithOUs(lookbackWindow, dataSource, ouLookup, unassignedOu, createUnmappedActivityTracker(), directory, deadline);
+            writeActivityTab(spreadsheet, 'COHORT_RAW', lookbackActivity, lookbackWindow);
+        } catch (e) {
+            Logger.log(`ERROR fetching the cohort lookback: ${e.message}. Continuing without cohort retention.`);
+        }
+    }
+}
+
+
+/**
+ * Fetches one window of activity and adds each row's OU, sorted by OU, User, App, Action and
+ * (at daily grain) Date. Each page is merged as it arrives, so only matched rows are kept in memory.
+ * @param {Object} reportWindow The window to fetch.
+ * @param {Object} dataSource The data source from getDataSource.
+ * @param {Map<string, string>} ouLookup Email to OU, from createOULookupMap.
+ * @param {string} unassignedOu The OU for users missing from the lookup, or '' to drop their rows.
+ * @param {Object} unmappedTracker From createUnmappedActivityTracker; records the unmatched rows.
+ * @param {Map<string, Array<string>>} [directory] From createDirectoryAttributeMap; when given,
+ *     each row also gets the user's Department and Manager.
+ * @param {number} [deadline] When the run's BigQuery time budget ends, from getBigQueryRunDeadline.
+ * @returns {{headers: string[], rows: Array<Array<*>>, rowCount: number}} The merged rows, with OU
+ *     (and Department and Manager) as the last columns, and how many rows the source returned.
+ */
+function fetchActivityWithOUs(reportWindow, dataSource, ouLookup, unassignedOu, unmappedTracker, directory, deadline) {
+    const finalData = [];
+    const resultSummary = dataSource.fetchActivity(reportWindow, (sourceHeaders, pageRows) => {
+        const indices = {
+            userIndex: sourceHeaders.indexOf("User"),
+            appIndex: sourceHeaders.indexOf("App"),
+            countIndex: sourceHeaders.indexOf("Count")
+        };
+        for (const row of pageRows) {
+            const userEmail = row[indices.userIndex];
+            const isMapped = ouLookup.has(userEmail);
+            recordActivityRow(unmappedTracker, row, indices, isMapped);
+            const attributes = directory ? (directory.get(userEmail) || DIRECTORY_ATTRIBUTE_HEADERS.map(() => '')) : [];
+            if (isMapped) {
+                const ou = ouLookup.get(userEmail);
+                finalData.push([...row, ou, ...attributes]);
+            } else if (unassignedOu) {
+                finalData.push([...row, unassignedOu, ...attributes]);
+            }
+        }
+    }, { deadline: deadline });
+    const finalHeaders = [...resultSummary.headers, "OU", ...(directory ? DIRECTORY_ATTRIBUTE_HEADERS : [])];
+
+    // Sort by OU, User, App, Action and (at daily grain) Date
+    const sortIndices = ["OU", "User", "App", "Action", "Date"]
+        .map(name => finalHeaders.indexOf(name))
+        .filter(index => index !== -1);
+    finalData.sort((a, b) => {
+        for (const index of sortIndices) {
+            if (a[index] < b[index]) return -1; if (a[index] > b[index]) return 1;
+        }
+        return 0;
+    });
+    Logger.log('Sorting complete.');
+    return { headers: finalHeaders, rows: finalData, rowCount: resultSummary.rowCount };
+}
+
+
+/**
+ * Replaces the contents of the raw activity tab (or the previous window's) with merged activity.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {string} tabId RAW or PREVIOUS_RAW.
+ * @param {{headers: string[], rows: Array<Array<*>>}} activity From fetchActivityWithOUs.
+ * @param {Object} reportWindow The window the rows cover, stamped onto the tab.
+ */
+function writeActivityTab(spreadsheet, tabId, activity, reportWindow) {
+    const sheetName = getReportTabName(tabId);
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    sheet.clear();
+    sheet.getRange(1, 1, 1, activity.headers.length).setValues([activity.headers]);
+
+    // Write in batches so large result sets don't build one huge setValues payload
+    for (let start = 0; start < activity.rows.length; start += RAW_DATA_WRITE_BATCH_SIZE) {
+        const batch = activity.rows.slice(start, start + RAW_DATA_WRITE_BATCH_SIZE);
+        sheet.getRange(start + 2, 1, batch.length, activity.headers.length).setValues(batch);
+        SpreadsheetApp.flush(); // Apply the changes immediately
+    }
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Successfully wrote ${activity.rows.length} rows to sheet '${sheetName}'.`);
+}
+
+
+/**
+ * Helper to read an OU sheet and create a lookup map.
+ * @param {string} spreadsheetId The ID of the Google Sheet containing OU data.
+ * @param {string} sheetName The name of the sheet (tab) containing the data.
+ * @returns {Map<string, string>} A Map where the key is the email and the value is the OU.
+ */
+function createOULookupMap(spreadsheetId, sheetName) {
+    try {
+        const ouSheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(sheetName);
+        const ouValues = ouSheet.getDataRange().getValues();
+        const headers = ouValues.shift();
+        const emailIndex = headers.indexOf("Primary Email");
+        const ouIndex = headers.indexOf("OU");
+        if (emailIndex === -1 || ouIndex === -1) {
+            throw new Error(`Could not find 'Primary Email' or 'OU' columns in sheet: ${sheetName}.`);
+        }
+        const ouLookup = new Map();
+        for (const row of ouValues) {
+            if (row[emailIndex] && row[ouIndex]) {
+                ouLookup.set(row[emailIndex].toString(), row[ouIndex].toString());
+            }
+        }
+        Logger.log(`Successfully created OU lookup map with ${ouLookup.size} entries.`);
+        return ouLookup;
+    } catch (e) {
+        Logger.log(`Error reading OU sheet: ${e.message}`);
+        throw e;
+    }
+}
+
+
+// ====================================================================================
+// SECTION 2: DATA AGGREGATION, CHARTING, AND DISTRIBUTION
+// ====================================================================================
+
+/**
+ * Aggregates the raw activity into the summary tabs and distributes reports to the OU spreadsheets.
+ * @param {Object} [reportWindow] The window the raw data covers, stamped onto every output sheet;
+ *     resolved from script properties if omitted.
+ * @param {number} [deadline] When the run's BigQuery time budget ends, from getBigQueryRunDeadline;
+ *     the history load must finish by then. A budget starts now if omitted.
+ */
+function aggregateData(reportWindow, deadline) {
+    reportWindow = reportWindow || resolveReportWindow();
+    deadline = deadline || getBigQueryRunDeadline();
+    const properties = PropertiesService.getScriptProperties();
+    const spreadsheetId = properties.getProperty('TARGET_SPREADSHEET_ID');
+    const staffCountSpreadsheetId = properties.getProperty('STAFF_COUNT_SPREADSHEET_ID');
+    const staffCountSheetName = 'Sheet1';
+    let resultsForRankingSheet = [];
+
+    Logger.log('Starting data aggregation script...');
+    const ss = SpreadsheetApp.openById(spreadsheetId);
+    migrateReportTabs(ss, REPORT_AUDIENCE_CENTRAL);
+    const sourceSheetName = getReportTabName('RAW');
+    const sourceSheet = ss.getSheetByName(sourceSheetName);
+
+    if (!sourceSheet) {
+        Logger.log(`Error: Source sheet "${sourceSheetName}" not found. Aborting script.`);
+        return;
+    }
+
+    // Get all the data from the raw data sheet
+    let allData = sourceSheet.getDataRange().getValues();
+
+    // Get the header row to find column indices dynamically
+    const headers = allData.shift(); // Removes the header row from the data array
+    const userIndex = headers.indexOf('User');
+    const appIndex = headers.indexOf('App');
+    const actionIndex = headers.indexOf('Action');
+    const countIndex = headers.indexOf('Count');
+    const ouIndex = headers.indexOf('OU');
+    const dateIndex = headers.indexOf('Date'); // Only present when the report runs at daily grain
+    const departmentIndex = headers.indexOf('Department'); // Only present when REPORT_JOIN_DIRECTORY is true
+    const managerIndex = headers.indexOf('Manager');
+
+    if ([userIndex, appIndex, actionIndex, countIndex, ouIndex].includes(-1)) {
+        const missingCols = ['User', 'App', 'Action', 'Count', 'OU'].filter(h => headers.indexOf(h) === -1);
+        const errorMsg = `One or more required columns (${missingCols.join(', ')}) are missing in ${sourceSheetName}.`;
+        Logger.log(`Error: ${errorMsg} Aborting script.`);
+        return;
+    }
+
+    // **MODIFICATION**: Filter out rows where App or Action is blank
+    const initialDataCount = allData.length;
+    allData = allData.filter(row => row[appIndex] && row[actionIndex]);
+    Logger.log(`Filtered data from ${initialDataCount} to ${allData.length} rows, removing entries with a blank 'App' or 'Action'.`);
+
+    // The previous window's rows, when runActivityReport fetched them, feed the change columns
+    let previousData = isPeriodComparisonEnabled()
+        ? readPreviousActivity(ss, getPreviousReportWindow(reportWindow), headers)
+        : null;
+    if (previousData) {
+        previousData = previousData.filter(row => row[appIndex] && row[actionIndex]);
+    }
+
+    // Fields computed here are added as new last columns of every row, in this order
+    let nextFieldIndex = headers.length;
+
+    // The minutes-saved table, when configured, prices each row's raw action (before the taxonomy renames it)
+    const timeSavedSpreadsheetId = properties.getProperty('TIME_SAVED_SPREADSHEET_ID');
+    let minutesSavedIndex = -1;
+    let timeSavedTable = null;
+    if (timeSavedSpreadsheetId) {
+        try {
+            timeSavedTable = loadTimeSavedTable(timeSavedSpreadsheetId, 'Sheet1');
+            const timeSavedIndices = { appIndex, actionIndex, countIndex };
+            allData = appendMinutesSaved(allData, timeSavedTable, timeSavedIndices);
+            if (previousData) {
+                previousData = appendMinutesSaved(previousData, timeSavedTable, timeSavedIndices);
+            }
+            minutesSavedIndex = nextFieldIndex++;
+        } catch (e) {
+            Logger.log(`CRITICAL ERROR reading the time saved table: ${e.message}. Aborting script.`);
+            return;
+        }
+    }
+
+    // Users whose only actions the taxonomy excludes still used Gemini, so the no-activity list reads the rows from before it
+    const activityRows = allData;
+
+    // The action taxonomy, when configured, renames and categorises the actions and drops excluded ones
+    const taxonomySpreadsheetId = properties.getProperty('ACTION_TAXONOMY_SPREADSHEET_ID');
+    let categoryIndex = -1;
+    let unmappedActions = null;
+    if (taxonomySpreadsheetId) {
+        try {
+            const taxonomy = loadActionTaxonomy(taxonomySpreadsheetId, 'Sheet1');
+            const taxonomyIndices = { userIndex, appIndex, actionIndex, countIndex };
+            unmappedActions = new Map();
+            allData = applyActionTaxonomy(allData, taxonomy, taxonomyIndices, unmappedActions);
+            if (previousData) {
+                previousData = applyActionTaxonomy(previousData, taxonomy, taxonomyIndices);
+            }
+            categoryIndex = nextFieldIndex++;
+            Logger.log(`Applied the action taxonomy: ${allData.length} rows kept, ${unmappedActions.size} actions not in it.`);
+        } catch (e) {
+            Logger.log(`CRITICAL ERROR reading the action taxonomy: ${e.message}. Aborting script.`);
+            return;
+        }
+    }
+
+
+    // =================================================================
+    // Fetch and Map Staff Count Data
+    // =================================================================
+    Logger.log('Fetching staff count data...');
+    const staffCountMap = {};
+    let totalGeminiStaffCount = 0;
+    let staffCountSS; // Declare here to make it available for the write-back process
+    const ouSheetIdMap = {}; // This will be filled in the try block
+    const directoryExportIdMap = {}; // OU to the contact report's spreadsheet, when the optional column is there
+    const ouPrivacyMap = {}; // OU to its pseudonym mode, when the optional Privacy column is set
+    const ouRollupSet = new Set(); // Parent OUs whose write-back includes their sub-OUs, from the optional column
+
+    // Check the sheet first, so its problems are on the findings tab even when the run stops here
+    const staffCountCheck = checkStaffCountSheet(staffCountSpreadsheetId, staffCountSheetName, allData.map(row => row[ouIndex]));
+    writeStaffCountFindingsSheet(ss, staffCountCheck.findings, reportWindow);
+    if (staffCountCheck.findings.some(finding => finding[0] === 'Error')) {
+        Logger.log(`CRITICAL ERROR in the staff count sheet; see ${getReportTabName('STAFF_CHECKS')}. Aborting script.`);
+        return;
+    }
+
+    try {
+        staffCountSS = staffCountCheck.spreadsheet;
+        const staffCountData = staffCountCheck.values.slice();
+        const staffHeaders = staffCountData.shift();
+        const ouIndexStaff = staffHeaders.indexOf('OU');
+        const countIndexStaff = staffHeaders.indexOf('Number of active staff emails');
+        const geminiUsageIndexStaff = staffHeaders.indexOf('Gemini usage');
+        const ouMapSheetIdIndex = staffHeaders.indexOf('Gemini report sheet id'); // Added for write-back
+        const directoryExportIdIndex = staffHeaders.indexOf('Directory export sheet id'); // Optional
+        const privacyIndex = staffHeaders.indexOf('Privacy'); // Optional
+        const rollupIndex = staffHeaders.indexOf('Include sub-OUs'); // Optional
+
+        staffCountData.forEach(row => {
+            const ou = row[ouIndexStaff];
+            const count = row[countIndexStaff];
+            const geminiUsage = row[geminiUsageIndexStaff];
+            const sheetId = row[ouMapSheetIdIndex]; // Added for write-back
+
+            if (ou) {
+                staffCountMap[ou] = parseInt(count, 10) || 0;
+                if (sheetId) { // Added for write-back
+                    ouSheetIdMap[ou] = sheetId;
+                }
+                if (directoryExportIdIndex !== -1 && row[directoryExportIdIndex]) {
+                    directoryExportIdMap[ou] = row[directoryExportIdIndex];
+                }
+                if (privacyIndex !== -1 && String(row[privacyIndex]).trim()) {
+                    ouPrivacyMap[ou] = String(row[privacyIndex]).trim().toLowerCase();
+                }
+                if (rollupIndex !== -1 && ['1', 'true', 'yes'].includes(String(row[rollupIndex]).trim().toLowerCase())) {
+                    ouRollupSet.add(ou);
+                }
+            }
+
+            if (geminiUsage == 1) {
+                totalGeminiStaffCount += parseInt(count, 10) || 0;
+            }
+        });
+        Logger.log(`Successfully mapped staff count data. Total staff with Gemini usage: ${totalGeminiStaffCount}`);
+        Logger.log(`Successfully created OU to Sheet ID map for ${Object.keys(ouSheetIdMap).length} OUs.`); // Added
+    } catch (e) {
+        Logger.log(`CRITICAL ERROR fetching staff count data: ${e.message}. Aborting script.`);
+        return;
+    }
+
+    // =================================================================
+    // SUMMARY TABS (described in AggregationSpecs.js)
+    // =================================================================
+    const aggregationFields = {
+        user: userIndex,
+        app: appIndex,
+        action: actionIndex,
+        count: countIndex,
+        ou: ouIndex
+    };
+    if (departmentIndex !== -1 && managerIndex !== -1) {
+        aggregationFields.department = departmentIndex;
+        aggregationFields.manager = managerIndex;
+    }
+    if (categoryIndex !== -1) {
+        aggregationFields.category = categoryIndex;
+    }
+    if (minutesSavedIndex !== -1) {
+        aggregationFields.minutesSaved = minutesSavedIndex;
+    }
+    const aggregationContext = createAggregationContext(allData, aggregationFields, staffCountMap, totalGeminiStaffCount, previousData);
+    if (aggregationFields.department !== undefined) {
+        // Department sizes and teams come from the same OU sheet the activity was joined with
+        try {
+            const ouSpreadsheetId = properties.getProperty('OU_SPREADSHEET_ID');
+            Object.assign(aggregationContext.groupSizes, countDirectoryGroups(createDirectoryAttributeMap(ouSpreadsheetId, 'Sheet1')));
+        } catch (e) {
+            Logger.log(`ERROR counting departments and teams: ${e.message}. Their adoption % will be 0.`);
+        }
+    }
+    Logger.log(`Pre-calculated total sum of all counts: ${aggregationContext.totalSum}`);
+    Logger.log(`Pre-calculated total unique users: ${aggregationContext.totalUsers}`);
+
+    const aggregates = {};
+    AGGREGATION_SPECS.forEach(spec => {
+        if (spec.optional && !hasAggregationFields(spec, aggregationContext)) {
+            Logger.log(`The raw data has no ${spec.dimensions.join(', ')} column. Skipping ${getReportTabName(spec.tab)}.`);
+            return;
+        }
+        aggregates[spec.tab] = runAggregationSpec(ss, spec, aggregationContext, reportWindow);
+    });
+    try {
+        writeOuRollupSheet(ss, aggregationContext, reportWindow);
+    } catch (e) {
+        Logger.log(`ERROR creating the ${getReportTabName('OU_ROLLUP')} sheet: ${e.message}`);
+    }
+    // Cohorts come from the longer lookback fetched alongside the raw data (daily grain only)
+    const cohortPeriod = getCohortPeriod();
+    if (cohortPeriod && dateIndex !== -1) {
+        try {
+            const lookbackWindow = getCohortLookbackWindow(reportWindow);
+            const cohortData = readCohortActivity(ss, lookbackWindow, headers);
+            if (cohortData) {
+                writeCohortRetentionSheet(ss, cohortData, { userIndex, ouIndex, dateIndex }, cohortPeriod, aggregationContext, lookbackWindow);
+            }
+        } catch (e) {
+            Logger.log(`ERROR creating the ${getReportTabName('COHORTS')} sheet: ${e.message}`);
+        }
+    } else if (cohortPeriod) {
+        Logger.log(`No Date column in the raw data. Skipping ${getReportTabName('COHORTS')}.`);
+    }
+    if (unmappedActions) {
+        writeUnmappedActionsSheet(ss, unmappedActions, reportWindow);
+    }
+    if (timeSavedTable) {
+        writeTimeSavedAssumptionsSheet(ss, getReportTabName('TIME_SAVED'), timeSavedTable, reportWindow);
+    }
+    const results4 = aggregates['OU_APP_ACTIONS'];
+    const results5 = aggregates['USERS'];
+    const results6 = aggregates['OU_APPS'];
+    const results7 = aggregates['APPS'];
+    const results8 = aggregates['OUS'];
+    const results9 = aggregates['OVERALL'];
+    const header6 = results6[0];
+    const resultsForSorting = results5.slice(1);
+    const sortedApps = results5[0].slice(2, results5[0].indexOf('Overall'));
+
+    // =================================================================
+    // AGGREGATION FOR THE APP RANKINGS TAB
+    // This code goes *after* the user leaderboard
+    // =================================================================
+    const rankingSheetName = getReportTabName('RANKINGS');
+    Logger.log(`Starting aggregation for ${rankingSheetName}...`);
+
+    try {
+        const numUsers = resultsForSorting.length;
+        // Apps with fewer users than REPORT_MIN_GROUP_SIZE are left out, as on the summary tabs
+        const minGroupSize = getContextMinGroupSize(aggregationContext);
+        const rankedApps = sortedApps.filter((app, appIndex) => {
+            const appUsers = resultsForSorting.filter(userRow => userRow[appIndex + 2] > 0).length;
+            const reason = getSmallGroupReason(minGroupSize, appUsers, '');
+            if (reason) {
+                aggregationContext.suppressions.push([rankingSheetName, app, appUsers, '', reason, 'Left out']);
+            }
+            return !reason;
+        });
+        const numApps = rankedApps.length;
+
+        if (numUsers === 0) {
+            // Only the rankings are skipped; the rest of the run still needs to happen
+            Logger.log(`No user data found. Skipping ${rankingSheetName}.`);
+        } else {
+            // This object will hold the data sorted by app
+            // e.g., { calendar: [ {userString, count}, ... ], chat: [ ... ] }
+            const appDataForSorting = {};
+
+            // 1. Create a list of users for each app
+            sortedApps.forEach((app, appIndex) => {
+                const userListForApp = [];
+
+                resultsForSorting.forEach(userRow => {
+                    const user = userRow[0];
+                    const ou = userRow[1];
+                    // App counts start at index 2 (0=User, 1=OU)
+                    const count = userRow[appIndex + 2];
+
+                    userListForApp.push({
+                        userString: `${user} (${ou})`,
+                        count: count
+                    });
+                });
+
+                // 2. Sort this app's user list
+                userListForApp.sort((a, b) => {
+                    // Primary sort: descending by count
+                    if (a.count !== b.count) {
+                        return b.count - a.count;
+                    }
+                    // Secondary sort: alphabetical by userString for ties (including 0s)
+                    return a.userString.localeCompare(b.userString);
+                });
+
+                // Store the sorted list
+                appDataForSorting[app] = userListForApp.map(item => item.count > 0 ? item.userString : '');
+            });
+
+
+            // 3. Assemble the final matrix for the new sheet
+            const newHeader = ['Rank', ...rankedApps];
+            resultsForRankingSheet = [newHeader];
+
+            // 4. Transpose the data: loop by rank (row); with every app left out there is nothing to rank
+            const numRanks = numApps > 0 ? numUsers : 0;
+            for (let i = 0; i < numRanks; i++) {
+                const rank = i + 1;
+                const newRow = [rank]; // Add the rank number
+
+                // Loop by app (column)
+                for (let j = 0; j < numApps; j++) {
+                    const appName = rankedApps[j];
+                    // Get the i-th user from the j-th app's sorted list
+                    newRow.push(appDataForSorting[appName][i]);
+                }
+
+                resultsForRankingSheet.push(newRow);
+            }
+
+            // 5. Write data to the new sheet
+            let targetSheetRank = ss.getSheetByName(rankingSheetName);
+            if (targetSheetRank) {
+                targetSheetRank.clear();
+            } else {
+                targetSheetRank = ss.insertSheet(rankingSheetName);
+            }
+
+            if (resultsForRankingSheet.length > 1) {
+                targetSheetRank.getRange(1, 1, resultsForRankingSheet.length, newHeader.length)
+                    .setValues(resultsForRankingSheet);
+
+                // Optional: Formatting
+                targetSheetRank.getRange(2, 1, numRanks, 1).setNumberFormat('0'); // Format rank as number
+                targetSheetRank.setFrozenRows(1);
+                targetSheetRank.setFrozenColumns(1);
+            } else {
+                // Just write header if no data
+                targetSheetRank.getRange(1, 1, 1, newHeader.length).setValues([newHeader]);
+            }
+
+            stampReportWindow(targetSheetRank, reportWindow);
+            Logger.log('Successfully written data to ' + rankingSheetName);
+        }
+    } catch (e) {
+        Logger.log('Error creating ' + rankingSheetName + ' sheet: ' + e);
+    }
+
+    // =================================================================
+    // CHAMPIONS: TOP USERS PER OU AND PER APP
+    // =================================================================
+    const championIndices = { userIndex, appIndex, actionIndex, countIndex, ouIndex };
+    try {
+        writeChampionsSheet(ss, getReportTabName('CHAMPIONS'), allData, championIndices, true, reportWindow, null, aggregationContext);
+    } catch (e) {
+        Logger.log(`ERROR creating the ${getReportTabName('CHAMPIONS')} sheet: ${e.message}`);
+    }
+
+    // =================================================================
+    // DAILY TREND SHEET (daily grain only)
+    // =================================================================
+    if (dateIndex !== -1) {
+        writeDailyTrendSheet(ss, allData, { userIndex, appIndex, countIndex, ouIndex, dateIndex }, reportWindow, aggregationContext);
+    } else {
+        Logger.log('No Date column in the raw data. Skipping the Daily trend sheet.');
+    }
+
+    // Written once the summary, rollup, cohort, ranking, champion and daily trend tabs have logged their small groups
+    writeSuppressionLogSheet(ss, aggregationContext, reportWindow);
+
+    // =================================================================
+    // NO GEMINI ACTIVITY (OUs with a directory export only)
+    // =================================================================
+    let noActivityRows = [];
+    if (Object.keys(directoryExportIdMap).length > 0) {
+        noActivityRows = buildNoActivityRows(directoryExportIdMap, collectActiveUsers(ss, activityRows, userIndex));
+        writeNoActivitySheet(ss, getReportTabName('NO_ACTIVITY'), noActivityRows, true, reportWindow);
+    } else {
+        Logger.log(`No OU has a "Directory export sheet id" in the staff count sheet. Skipping ${getReportTabName('NO_ACTIVITY')}.`);
+    }
+
+    arrangeReportTabs(ss, REPORT_AUDIENCE_CENTRAL, reportWindow);
+
+    // =================================================================
+    // HISTORY SNAPSHOT IN BIGQUERY
+    // =================================================================
+    try {
+        // The history keeps the real values; "<N" is only for the sheets people read
+        const unsuppressed = aggregationContext.unsuppressedGrids;
+        appendAggregateSnapshot(reportWindow, {
+            results5: unsuppressed.USERS,
+            results6: unsuppressed.OU_APPS,
+            results7: unsuppressed.APPS,
+            results8: unsuppressed.OUS,
+            results9: unsuppressed.OVERALL
+        }, deadline);
+    } catch (e) {
+        Logger.log(`ERROR appending the history snapshot: ${e.message}. Continuing with the write-back.`);
+    }
+
+    // =================================================================
+    // START: WRITE-BACK TO INDIVIDUAL OU SHEETS
+    // =================================================================
+    Logger.log('Starting write-back process to individual OU sheets...');
+
+    // Note: ouSheetIdMap was already populated in the staff count fetching block
+    const ouTabName = id => getReportTabName(id, REPORT_AUDIENCE_OU);
+
+    function getOrCreateSheet(spreadsheet, sheetName) {
+        let sheet = spreadsheet.getSheetByName(sheetName);
+        if (!sheet) {
+            sheet = spreadsheet.insertSheet(sheetName);
+            Logger.log(`Created new sheet: "${sheetName}" in spreadsheet: "${spreadsheet.getName()}".`);
+        }
+        return sheet;
+    }
+
+    // OUs with a Privacy setting get pseudonyms instead of emails; the key stays in this spreadsheet
+    let pseudonymKey = null;
+    let pseudonymKeyWritten = false;
+    if (Object.keys(ouPrivacyMap).length > 0) {
+        try {
+            pseudonymKey = loadPseudonymKey(ss);
+        } catch (e) {
+            Logger.log(`ERROR reading ${getReportTabName('PSEUDONYM_KEY')}: ${e.message}`);
+        }
+    }
+
+    for (const ou in ouSheetIdMap) {
+        const sheetId = ouSheetIdMap[ou];
+        if (!sheetId) continue;
+        Logger.log(`Processing OU: "${ou}" with Sheet ID: "${sheetId}"`);
+
+        try {
+            let pseudonymize = null;
+            if (ouPrivacyMap[ou]) {
+                if (!pseudonymKey) {
+                    throw new Error(`OU has the privacy setting "${ouPrivacyMap[ou]}" but the pseudonym key could not be read`);
+                }
+                pseudonymize = createPseudonymizer(pseudonymKey, ou, ouPrivacyMap[ou]);
+                Logger.log(`Replacing emails with ${ouPrivacyMap[ou]} pseudonyms for OU "${ou}".`);
+            }
+
+            // A parent OU marked "Include sub-OUs" gets its whole subtree, aggregated as one OU
+            const ouResults = ouRollupSet.has(ou)
+                ? buildOuRollupResults(ou, aggregationContext, results5[0])
+                : { allData, results4, results5, results6, results8, context: aggregationContext };
+            if (ouRollupSet.has(ou)) {
+                Logger.log(`Including the sub-OUs of "${ou}" in its reports.`);
+            }
+
+            const targetSS = SpreadsheetApp.openById(sheetId);
+            Logger.log(`Successfully opened spreadsheet: "${targetSS.getName()}" for OU: "${ou}".`);
+            migrateReportTabs(targetSS, REPORT_AUDIENCE_OU);
+
+            // --- Write the OU's raw activity ---
+            const destSheet1 = getOrCreateSheet(targetSS, ouTabName('RAW'));
+            // At daily grain the OU keeps each row's Date, as on the central raw tab
+            const destHeaders1 = dateIndex !== -1 ? ['User', 'App', 'Action', 'Count', 'Date'] : ['User', 'App', 'Action', 'Count'];
+            // Filter allData for the current OU and map to just the required columns
+            const ouSpecificData = ouResults.allData.filter(row => row[ouIndex] === ou);
+            const mappedData1 = ouSpecificData.map(row => [
+                row[userIndex],
+                row[appIndex],
+                row[actionIndex],
+                row[countIndex],
+                ...(dateIndex !== -1 ? [row[dateIndex]] : [])
+            ]);
+            const finalData1 = pseudonymizeGrid([destHeaders1, ...mappedData1], pseudonymize);
+            destSheet1.clear();
+            destSheet1.getRange(1, 1, finalData1.length, finalData1[0].length).setValues(finalData1);
+            if (dateIndex !== -1 && finalData1.length > 1) {
+                destSheet1.getRange(2, 5, finalData1.length - 1, 1).setNumberFormat('yyyy-mm-dd');
+            }
+            destSheet1.setFrozenRows(1);
+            stampReportWindow(destSheet1, reportWindow);
+            if (finalData1.length > 1) {
+                Logger.log(`Wrote ${finalData1.length - 1} raw data rows to ${ouTabName('RAW')} for OU "${ou}".`);
+            } else {
+                Logger.log(`No raw data found for OU "${ou}". Only header written to ${ouTabName('RAW')}.`);
+            }
+
+            // --- Write the OU's rows of "By OU, app & action" ---
+            const filteredResults4WithOU = ouResults.results4.filter((row, index) => index === 0 || row[0] === ou);
+            if (filteredResults4WithOU.length > 1) {
+                // Remove the 'OU' column (the first column) from the filtered results
+                const filteredResults4 = filteredResults4WithOU.map(row => row.slice(1));
+
+                const destSheet2 = getOrCreateSheet(targetSS, ouTabName('OU_APP_ACTIONS'));
+                destSheet2.clear();
+                destSheet2.getRange(1, 1, filteredResults4.length, filteredResults4[0].length).setValues(filteredResults4);
+                destSheet2.setFrozenRows(1);
+                stampReportWindow(destSheet2, reportWindow);
+                Logger.log(`Wrote ${filteredResults4.length - 1} rows of data to ${ouTabName('OU_APP_ACTIONS')} for OU "${ou}".`);
+            } else {
+                Logger.log(`No data from ${getReportTabName('OU_APP_ACTIONS')} for OU "${ou}". Skipping write to ${ouTabName('OU_APP_ACTIONS')}.`);
+            }
+
+            // --- Write the OU's rows of the user leaderboard ---
+            const filteredResults5WithOU = ouResults.results5.filter((row, index) => index === 0 || row[1] === ou);
+            if (filteredResults5WithOU.length > 1) {
+                // Remove the 'OU' column (the second column)
+                const filteredResults5 = pseudonymizeGrid(filteredResults5WithOU.map(row => {
+                    const newRow = [...row]; // Create a copy
+                    newRow.splice(1, 1); // Remove element at index 1
+                    return newRow;
+                }), pseudonymize);
+
+                const destSheet3 = getOrCreateSheet(targetSS, ouTabName('USERS'));
+                destSheet3.clear();
+                destSheet3.getRange(1, 1, filteredResults5.length, filteredResults5[0].length).setValues(filteredResults5);
+                // The app columns sit between 'User' and 'Overall'; 'Tier' follows 'Overall'
+                const overallColumnIndex = filteredResults5[0].indexOf('Overall') + 1;
+                const appColumnCount5 = overallColumnIndex - 2;
+                if (appColumnCount5 > 0) {
+                    // App columns now start at column 2 because OU is gone
+                    destSheet3.getRange(2, 2, filteredResults5.length - 1, appColumnCount5).setNumberFormat('0');
+                }
+
+                // Also format the 'Overall' column
+                destSheet3.getRange(2, overallColumnIndex, filteredResults5.length - 1, 1).setNumberFormat('0');
+                formatHoursSavedColumn(destSheet3, filteredResults5[0], filteredResults5.length - 1);
+                destSheet3.setFrozenRows(1);
+                stampReportWindow(destSheet3, reportWindow);
+
+                Logger.log(`Wrote ${filteredResults5.length - 1} rows of data to ${ouTabName('USERS')} for OU "${ou}".`);
+            } else {
+                Logger.log(`No data from ${getReportTabName('USERS')} for OU "${ou}". Skipping write to ${ouTabName('USERS')}.`);
+            }
+
+            // --- Re-rank the app rankings for the OU's users ---
+            Logger.log(`Starting write to ${ouTabName('RANKINGS')} for OU "${ou}"...`);
+            try {
+                const destSheet3a = getOrCreateSheet(targetSS, ouTabName('RANKINGS'));
+                destSheet3a.clear();
+
+                // Ensure the global ranking data (headers) and source data (resultsForSorting) are available
+                if (!resultsForRankingSheet || resultsForRankingSheet.length === 0 || !resultsForSorting || resultsForSorting.length === 0) {
+                    Logger.log(`Missing source data (resultsForRankingSheet or resultsForSorting). Skipping ${ouTabName('RANKINGS')} for OU "${ou}".`);
+                } else {
+                    // 1. Filter the pre-sorted leaderboard rows (resultsForSorting) for *only* this OU
+                    // resultsForSorting format: [user, ou, app1_count, app2_count, ..., overallSum]
+                    const ouResultsForSorting = ouResults.results5.slice(1).filter(row => row[1] === ou);
+                    const numOuUsers = ouResultsForSorting.length;
+
+                    if (numOuUsers === 0) {
+                        Logger.log(`No active users found for OU "${ou}". Skipping ${ouTabName('RANKINGS')}.`);
+                    } else {
+                        // 2. Get the app list from the global rank sheet, leaving out apps too few of the OU's users used
+                        const minGroupSize = getContextMinGroupSize(ouResults.context);
+                        const ouStaff = ouResults.context.staffCountMap[ou] || 0;
+                        const appColumns = ouResults.results5[0]; // ['User', 'OU', 'App1', 'App2', ..., 'Overall']
+                        const sortedApps = resultsForRankingSheet[0].slice(1).filter(app => {
+                            const appUsers = ouResultsForSorting.filter(userRow => userRow[appColumns.indexOf(app)] > 0).length;
+                            return !getSmallGroupReason(minGroupSize, appUsers, ouStaff);
+                        });
+                        const header5a = ['Rank', ...sortedApps];
+                        const numApps = sortedApps.length;
+
+                        // 3. Re-build the app-by-app sorting, but *only* for this OU's users
+                        const ouAppDataForSorting = {};
+
+                        sortedApps.forEach(app => {
+                            // Create a list of {user, count} for this app
+                            const userListForApp = [];
+                            ouResultsForSorting.forEach(userRow => {
+                                const user = userRow[0]; // User email
+                                const count = userRow[appColumns.indexOf(app)];
+                                userListForApp.push({ user, count });
+                            });
+
+                            // Sort this list: descending by count, then alphabetical by user
+                            userListForApp.sort((a, b) => {
+                                if (a.count !== b.count) {
+                                    return b.count - a.count; // Primary: descending count
+                                }
+                                return a.user.localeCompare(b.user); // Secondary: alphabetical user
+                            });
+
+                            // Map to final list: show user email (or pseudonym) if count > 0, otherwise blank
+                            ouAppDataForSorting[app] = userListForApp.map(item => {
+                                if (item.count <= 0) return '';
+                                return pseudonymize ? pseudonymize(item.user) : item.user;
+                            });
+                        });
+
+                        // 4. Transpose the new OU-specific data
+                        const finalOuResults3a = [header5a]; // Start with the original header
+                        const numOuRanks = numApps > 0 ? numOuUsers : 0;
+
+                        for (let i = 0; i < numOuRanks; i++) {
+                            const rank = i + 1; // Re-ranked from 1
+                            const newRow = [rank];
+
+                            for (let j = 0; j < numApps; j++) {
+                                const appName = sortedApps[j];
+                                // Get the i-th user from this app's sorted list
+                                newRow.push(ouAppDataForSorting[appName][i]);
+                            }
+                            finalOuResults3a.push(newRow);
+                        }
+
+                        // 5. Write the collapsed, re-ranked data to the sheet
+                        if (finalOuResults3a.length > 1) {
+                            const numRows = finalOuResults3a.length;
+                            const numCols = finalOuResults3a[0].length;
+
+                            destSheet3a.getRange(1, 1, numRows, numCols).setValues(finalOuResults3a);
+
+                            // Formatting
+                            destSheet3a.getRange(2, 1, numRows - 1, 1).setNumberFormat('0'); // Format rank
+                            destSheet3a.setFrozenRows(1);
+                            destSheet3a.setFrozenColumns(1);
+                            stampReportWindow(destSheet3a, reportWindow);
+
+                            Logger.log(`Wrote ${numRows - 1} re-ranked data rows to ${ouTabName('RANKINGS')} for OU "${ou}".`);
+                        } else {
+                            // Only write the header if no data was found
+                            destSheet3a.getRange(1, 1, 1, header5a.length).setValues([header5a]);
+                            Logger.log(`No ranked data found for OU "${ou}". Only header written to ${ouTabName('RANKINGS')}.`);
+                        }
+                    }
+                }
+            } catch (e) {
+                Logger.log(`ERROR processing ${ouTabName('RANKINGS')} for OU "${ou}": ${e.message} at line ${e.lineNumber}. Stack: ${e.stack}`);
+            }
+            // --- End of the app rankings write-back ---
+
+            // --- Write the OU's rows of "By OU & app" (with charts) ---
+            const filteredResults6WithOU = ouResults.results6.filter((row, index) => index === 0 || row[0] === ou);
+            if (filteredResults6WithOU.length > 1) {
+                // Remove the 'OU' column (the first column)
+                const filteredResults6 = pseudonymizeGrid(filteredResults6WithOU.map(row => row.slice(1)), pseudonymize);
+                const header6WithoutOU = header6.slice(1);
+
+                const destSheet4 = getOrCreateSheet(targetSS, ouTabName('OU_APPS'));
+                destSheet4.clear();
+                const numDataRows6 = filteredResults6.length - 1;
+                destSheet4.getRange(1, 1, filteredResults6.length, filteredResults6[0].length).setValues(filteredResults6);
+                destSheet4.setFrozenRows(1);
+                stampReportWindow(destSheet4, reportWindow);
+                // Adjust column indices for number formatting after removing OU column
+                destSheet4.getRange(2, 2, numDataRows6, 1).setNumberFormat('0'); // Sum(Count)
+                destSheet4.getRange(2, 4, numDataRows6, 1).setNumberFormat('0'); // Count(User)
+                destSheet4.getRange(2, 3, numDataRows6, 1).setNumberFormat('0.00%'); // App Count %
+                destSheet4.getRange(2, 5, numDataRows6, 1).setNumberFormat('0'); // Number of active staff emails
+                destSheet4.getRange(2, 6, numDataRows6, 1).setNumberFormat('0.00%'); // Adoption %
+                formatHoursSavedColumn(destSheet4, filteredResults6[0], numDataRows6);
+                formatChangeColumns(destSheet4, 'OU_APPS', filteredResults6[0], numDataRows6);
+                Logger.log(`Wrote ${numDataRows6} rows of data to ${ouTabName('OU_APPS')} for OU "${ou}".`);
+
+                const charts = destSheet4.getCharts();
+                charts.forEach(chart => destSheet4.removeChart(chart));
+
+                // Adjust column indices for chart ranges
+                const appRange = destSheet4.getRange(2, 1, numDataRows6); // Was col 2, now col 1
+                const percentageRange = destSheet4.getRange(2, 3, numDataRows6); // Was col 4, now col 3
+                const adoptionRateRange = destSheet4.getRange(2, 6, numDataRows6); // Was col 7, now col 6
+
+                const pieChart = destSheet4.newChart()
+                    .setChartType(Charts.ChartType.PIE)
+                    .addRange(appRange).addRange(percentageRange)
+                    .setMergeStrategy(Charts.ChartMergeStrategy.MERGE_COLUMNS)
+                    .setOption('title', `App Usage Distribution for ${ou}`)
+                    .setPosition(2, header6WithoutOU.length + 2, 0, 0).build(); // Use new header length
+                destSheet4.insertChart(pieChart);
+
+                const columnChart = destSheet4.newChart()
+                    .setChartType(Charts.ChartType.COLUMN)
+                    .addRange(appRange).addRange(adoptionRateRange)
+                    .setMergeStrategy(Charts.ChartMergeStrategy.MERGE_COLUMNS)
+                    .setOption('title', `App Adoption Rate for ${ou}`)
+                    .setOption('hAxis', {
+                        title: 'App'
+                    }).setOption('vAxis', {
+                        title: 'Adoption %',
+                        format: '#.##%'
+                    })
+                    .setPosition(20, header6WithoutOU.length + 2, 0, 0).build(); // Use new header length
+                destSheet4.insertChart(columnChart);
+                Logger.log(`Created charts in ${ouTabName('OU_APPS')} for OU "${ou}".`);
+            } else {
+                Logger.log(`No data from ${getReportTabName('OU_APPS')} for OU "${ou}". Skipping write to ${ouTabName('OU_APPS')}.`);
+            }
+
+            // --- Write the OU's row of "By OU" ---
+            const filteredResults8WithOU = ouResults.results8.filter((row, index) => index === 0 || row[0] === ou);
+            if (filteredResults8WithOU.length > 1) {
+                // Remove the 'OU' and 'OU Count %' columns; any change columns follow Adoption %
+                const keptIndexes8 = ouResults.results8[0]
+                    .map((header, index) => (header === 'OU' || header === 'OU Count %' ? -1 : index))
+                    .filter(index => index !== -1);
+                const filteredResults8 = filteredResults8WithOU.map(row => keptIndexes8.map(index => row[index]));
+
+                const destSheet5 = getOrCreateSheet(targetSS, ouTabName('OUS'));
+                destSheet5.clear();
+                const numDataRows8 = filteredResults8.length - 1;
+                destSheet5.getRange(1, 1, filteredResults8.length, filteredResults8[0].length).setValues(filteredResults8);
+                destSheet5.setFrozenRows(1);
+                stampReportWindow(destSheet5, reportWindow);
+
+                // Adjust column indices for number formatting after removing columns
+                destSheet5.getRange(2, 2, numDataRows8, 1).setNumberFormat('0'); // Count(User) is now col 2
+                destSheet5.getRange(2, 3, numDataRows8, 1).setNumberFormat('0'); // Number of active staff emails is now col 3
+                destSheet5.getRange(2, 4, numDataRows8, 1).setNumberFormat('0.00%'); // Adoption % is now col 4
+                formatHoursSavedColumn(destSheet5, filteredResults8[0], numDataRows8);
+                formatChangeColumns(destSheet5, 'OUS', filteredResults8[0], numDataRows8);
+                Logger.log(`Wrote ${numDataRows8} rows of data to ${ouTabName('OUS')} for OU "${ou}".`);
+            } else {
+                Logger.log(`No data from ${getReportTabName('OUS')} for OU "${ou}". Skipping write to ${ouTabName('OUS')}.`);
+            }
+
+            // --- Write the minutes-saved assumptions next to the OU's hours saved ---
+            if (timeSavedTable) {
+                writeTimeSavedAssumptionsSheet(targetSS, ouTabName('TIME_SAVED'), timeSavedTable, reportWindow);
+            }
+
+            // --- Write the OU's champions: its top users overall and in each app ---
+            try {
+                writeChampionsSheet(targetSS, ouTabName('CHAMPIONS'), ouSpecificData, championIndices, false, reportWindow, pseudonymize, ouResults.context);
+            } catch (e) {
+                Logger.log(`ERROR processing ${ouTabName('CHAMPIONS')} for OU "${ou}": ${e.message}`);
+            }
+
+            // --- Write the OU's directory users with no Gemini activity ---
+            if (directoryExportIdMap[ou]) {
+                const ouNoActivityRows = noActivityRows.filter(row => row[0] === ou);
+                writeNoActivitySheet(targetSS, ouTabName('NO_ACTIVITY'), ouNoActivityRows, false, reportWindow, pseudonymize);
+            }
+
+            arrangeReportTabs(targetSS, REPORT_AUDIENCE_OU, reportWindow);
+
+        } catch (e) {
+            Logger.log(`ERROR processing OU "${ou}" with Sheet ID "${sheetId}": ${e.message}. Skipping this OU.`);
+        }
+
+        // Save the OU's new pseudonyms before moving on, so a run that stops later can't leave
+        // pseudonyms in an OU spreadsheet that the key can't trace back
+        if (pseudonymKey && pseudonymKey.changed) {
+            writePseudonymKeySheet(ss, pseudonymKey);
+            pseudonymKeyWritten = true;
+        }
+    }
+    Logger.log('Finished write-back process.');
+
+    if (pseudonymKeyWritten) {
+        arrangeReportTabs(ss, REPORT_AUDIENCE_CENTRAL, reportWindow);
+    }
+    // =================================================================
+    // END: WRITE-BACK TO INDIVIDUAL OU SHEETS
+    // =================================================================
+
+
+    Logger.log('Data aggregation script finished.');
+}
\ No newline at end of file
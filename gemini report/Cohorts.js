@@ -0,0 +1,212 @@
+// ====================================================================================
+// COHORT RETENTION: HOW MANY USERS KEEP USING GEMINI IN THE WEEKS AFTER THEIR FIRST USE
+// ====================================================================================
+
+const COHORT_PERIODS = ['WEEKLY', 'MONTHLY'];
+const DEFAULT_COHORT_LOOKBACK_WEEKS = 12;
+const COHORT_HEATMAP_MIN_COLOR = '#ffffff';
+const COHORT_HEATMAP_MAX_COLOR = '#57bb8a';
+const COHORT_ALL_OUS = 'All';
+
+/**
+ * Returns how users are grouped into cohorts, from the REPORT_COHORT_RETENTION script property:
+ * WEEKLY or MONTHLY by the week (starting Monday) or month of their first use, or null when unset.
+ * @returns {?string} One of COHORT_PERIODS, or null when cohort retention is off.
+ */
+function getCohortPeriod() {
+    const value = PropertiesService.getScriptProperties().getProperty('REPORT_COHORT_RETENTION');
+    if (!value) return null;
+    const period = String(value).trim().toUpperCase();
+    if (COHORT_PERIODS.indexOf(period) === -1) {
+        throw new Error(`Unknown REPORT_COHORT_RETENTION "${value}". Expected one of: ${COHORT_PERIODS.join(', ')}.`);
+    }
+    return period;
+}
+
+
+/**
+ * Returns the window the cohorts are built from: REPORT_COHORT_LOOKBACK_WEEKS weeks (default 12)
+ * ending on the last day of the reporting window, and never shorter than the reporting window.
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @returns {{preset: string, startDate: string, endDate: string, timeZone: string, label: string}} The lookback window.
+ */
+function getCohortLookbackWindow(reportWindow) {
+    const value = PropertiesService.getScriptProperties().getProperty('REPORT_COHORT_LOOKBACK_WEEKS');
+    const weeks = value ? Number(value) : DEFAULT_COHORT_LOOKBACK_WEEKS;
+    if (!(Number.isInteger(weeks) && weeks > 0)) {
+        throw new Error(`REPORT_COHORT_LOOKBACK_WEEKS must be a whole number of weeks, got "${value}".`);
+    }
+    const lookbackStart = formatIsoDate(addDays(parseIsoDate(reportWindow.endDate), 1 - weeks * 7));
+
+    const lookbackWindow = {
+        preset: 'COHORT_LOOKBACK',
+        startDate: lookbackStart < reportWindow.startDate ? lookbackStart : reportWindow.startDate,
+        endDate: reportWindow.endDate,
+        timeZone: reportWindow.timeZone
+    };
+    lookbackWindow.label = describeReportWindow(lookbackWindow);
+    return lookbackWindow;
+}
+
+
+/**
+ * Reads the lookback activity that runActivityReport wrote, laid out in the raw tab's column order.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Object} lookbackWindow The window from getCohortLookbackWindow.
+ * @param {string[]} headers The raw activity tab's headers.
+ * @returns {Array<Array<*>>|null} The rows without the header, or null when the tab is missing, has
+ *     no Date column or covers another window.
+ */
+function readCohortActivity(spreadsheet, lookbackWindow, headers) {
+    const tabName = getReportTabName('COHORT_RAW');
+    const sheet = spreadsheet.getSheetByName(tabName);
+    if (!sheet || sheet.getLastRow() === 0) {
+        Logger.log(`No ${tabName} tab to build the cohorts from.`);
+        return null;
+    }
+    if (readReportWindowStamp(sheet) !== lookbackWindow.label) {
+        Logger.log(`${tabName} does not cover ${lookbackWindow.label}. Run the full report to fetch it.`);
+        return null;
+    }
+
+    const values = sheet.getDataRange().getValues();
+    const cohortHeaders = values.shift();
+    const missing = ['User', 'Date', 'OU'].filter(header => cohortHeaders.indexOf(header) === -1);
+    if (missing.length > 0) {
+        Logger.log(`${tabName} is missing columns (${missing.join(', ')}).`);
+        return null;
+    }
+    const indexes = headers.map(header => cohortHeaders.indexOf(header));
+    Logger.log(`Read ${values.length} rows of ${lookbackWindow.label} from ${tabName}.`);
+    return values.map(row => indexes.map(index => (index === -1 ? '' : row[index])));
+}
+
+
+/**
+ * Returns the first day of the cohort a first-use date falls in: its week's Monday, or its month's first day.
+ * @param {string} date The first-use date, 'yyyy-MM-dd'.
+ * @param {string} period One of COHORT_PERIODS.
+ * @returns {string} The cohort's first day, 'yyyy-MM-dd'.
+ */
+function getCohortStart(date, period) {
+    if (period === 'MONTHLY') {
+        return `${date.slice(0, 7)}-01`;
+    }
+    const day = parseIsoDate(date);
+    return formatIsoDate(addDays(day, -((day.getUTCDay() + 6) % 7)));
+}
+
+
+/**
+ * Builds the retention matrix: a row per cohort, for all OUs and then for each OU, with the share of
+ * the cohort active in each week since their first use. A user's first use is their first day of
+ * activity in the lookback, and their OU the one on that day. A week's share only counts the
+ * users whose week had started by the end of the lookback; it is blank when none had.
+ * @param {Array<Array<*>>} rows The lookback activity rows.
+ * @param {{userIndex: number, ouIndex: number, dateIndex: number}} indices Column positions in the rows.
+ * @param {string} period One of COHORT_PERIODS.
+ * @param {Object} lookbackWindow The window from getCohortLookbackWindow.
+ * @param {string} timeZone The spreadsheet's time zone, for dates Sheets returns as Date values.
+ * @returns {Array<Array<*>>} The table with its header row first: Cohort, OU, Users, Week 0, Week 1, ...
+ */
+function buildCohortRetentionRows(rows, indices, period, lookbackWindow, timeZone) {
+    // Sheets turns the 'yyyy-MM-dd' strings written to the activity tab into Date values on read
+    const toIsoDate = value => (typeof value.getTime === 'function' ? Utilities.formatDate(value, timeZone, 'yyyy-MM-dd') : String(value));
+    const dayNumber = date => Math.round(parseIsoDate(date).getTime() / 86400000);
+
+    const users = new Map();
+    rows.forEach(row => {
+        const user = row[indices.userIndex];
+        const date = row[indices.dateIndex] ? toIsoDate(row[indices.dateIndex]) : '';
+        if (!user || !date) return;
+        if (!users.has(user)) {
+            users.set(user, { first: date, ou: row[indices.ouIndex], dates: [] });
+        }
+        const entry = users.get(user);
+        if (date < entry.first) {
+            entry.first = date;
+            entry.ou = row[indices.ouIndex];
+        }
+        entry.dates.push(date);
+    });
+
+    const lastDay = dayNumber(lookbackWindow.endDate);
+    const weekCount = Math.floor((lastDay - dayNumber(lookbackWindow.startDate)) / 7) + 1;
+    const cohorts = new Map();
+    users.forEach(entry => {
+        const first = dayNumber(entry.first);
+        const start = getCohortStart(entry.first, period);
+        const activeWeeks = new Set(entry.dates.map(date => Math.floor((dayNumber(date) - first) / 7)));
+        [COHORT_ALL_OUS, entry.ou].filter(Boolean).forEach(ou => {
+            const key = `${ou}|||${start}`;
+            if (!cohorts.has(key)) {
+                cohorts.set(key, { start: start, ou: ou, users: 0, observed: new Array(weekCount).fill(0), active: new Array(weekCount).fill(0) });
+            }
+            const cohort = cohorts.get(key);
+            cohort.users++;
+            for (let week = 0; week < weekCount && first + week * 7 <= lastDay; week++) {
+                cohort.observed[week]++;
+                if (activeWeeks.has(week)) cohort.active[week]++;
+            }
+        });
+    });
+
+    const header = ['Cohort', 'OU', 'Users', ...Array.from({ length: weekCount }, (_, week) => `Week ${week}`)];
+    const table = Array.from(cohorts.values())
+        .sort((a, b) => (a.ou === COHORT_ALL_OUS ? 0 : 1) - (b.ou === COHORT_ALL_OUS ? 0 : 1)
+            || String(a.ou).localeCompare(String(b.ou)) || a.start.localeCompare(b.start))
+        .map(cohort => [cohort.start, cohort.ou, cohort.users,
+            ...cohort.observed.map((observed, week) => (observed > 0 ? cohort.active[week] / observed : ''))]);
+    return [header, ...table];
+}
+
+
+/**
+ * Writes the Cohort retention tab from the lookback activity, shading the shares from white (0%)
+ * to green (100%). Cohorts with fewer than REPORT_MIN_GROUP_SIZE users show "<N" and are logged
+ * like the summary tabs' small groups.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Array<Array<*>>} rows The lookback activity rows, from readCohortActivity.
+ * @param {{userIndex: number, ouIndex: number, dateIndex: number}} indices Column positions in the rows.
+ * @param {string} period One of COHORT_PERIODS.
+ * @param {Object} context From createAggregationContext; collects the suppressed cohorts.
+ * @param {Object} lookbackWindow The window from getCohortLookbackWindow, stamped onto the sheet.
+ */
+function writeCohortRetentionSheet(spreadsheet, rows, indices, period, context, lookbackWindow) {
+    const sheetName = getReportTabName('COHORTS');
+    const results = buildCohortRetentionRows(rows, indices, period, lookbackWindow, spreadsheet.getSpreadsheetTimeZone());
+    const numDataRows = results.length - 1;
+    const numWeeks = results[0].length - 3;
+
+    const minGroupSize = getContextMinGroupSize(context);
+    results.slice(1).forEach(row => {
+        if (!minGroupSize || row[2] >= minGroupSize) return;
+        context.suppressions.push([sheetName, `${row[1]} / ${row[0]}`, row[2], '', `Fewer than ${minGroupSize} users`, 'Users, Week columns']);
+        row.fill(`<${minGroupSize}`, 2);
+    });
+
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    sheet.getRange(1, 1, results.length, results[0].length).setValues(results);
+    sheet.setFrozenRows(1);
+    sheet.setFrozenColumns(3);
+    if (numDataRows > 0) {
+        sheet.getRange(2, 1, numDataRows, 1).setNumberFormat('yyyy-mm-dd');
+        sheet.getRange(2, 3, numDataRows, 1).setNumberFormat('0');
+        const weeksRange = sheet.getRange(2, 4, numDataRows, numWeeks);
+        weeksRange.setNumberFormat('0%');
+        sheet.setConditionalFormatRules([
+            SpreadsheetApp.newConditionalFormatRule()
+                .setGradientMinpointWithValue(COHORT_HEATMAP_MIN_COLOR, SpreadsheetApp.InterpolationType.NUMBER, '0')
+                .setGradientMaxpointWithValue(COHORT_HEATMAP_MAX_COLOR, SpreadsheetApp.InterpolationType.NUMBER, '1')
+                .setRanges([weeksRange])
+                .build()
+        ]);
+    }
+    stampReportWindow(sheet, lookbackWindow);
+    Logger.log(`Wrote ${numDataRows} ${period.toLowerCase()} cohorts over ${numWeeks} weeks to ${sheetName}.`);
+}
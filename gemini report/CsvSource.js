@@ -0,0 +1,88 @@
+// ====================================================================================
+// DATA SOURCE: CSV FILE IN DRIVE
+// ====================================================================================
+
+/**
+ * Reads activity from a CSV file in Drive (CSV_FILE_ID script property). The file needs a header
+ * row with User, App, Action and Count columns; other columns are ignored. If it also has a Date
+ * column (see normalizeCsvDate), rows outside the reporting window are skipped and, at daily
+ * grain, the date is kept as yyyy-MM-dd. Rows whose date cannot be read are skipped and logged.
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @param {function(string[], Array<Array<*>>)} onRows Called once with the file's rows.
+ * @returns {{headers: string[], rowCount: number}} The columns and number of rows produced.
+ */
+function fetchCsvActivity(reportWindow, onRows) {
+    const fileId = PropertiesService.getScriptProperties().getProperty('CSV_FILE_ID');
+    if (!fileId) {
+        throw new Error('REPORT_DATA_SOURCE is CSV but the CSV_FILE_ID script property is not set.');
+    }
+
+    const file = DriveApp.getFileById(fileId);
+    Logger.log(`Reading activity from CSV file "${file.getName()}"...`);
+    const csvRows = Utilities.parseCsv(file.getBlob().getDataAsString());
+    const csvHeaders = (csvRows.shift() || []).map(header => header.trim());
+
+    const columnIndices = ACTIVITY_COLUMNS.map(column => csvHeaders.indexOf(column));
+    if (columnIndices.includes(-1)) {
+        const missing = ACTIVITY_COLUMNS.filter(column => csvHeaders.indexOf(column) === -1);
+        throw new Error(`The CSV file is missing required columns (${missing.join(', ')}).`);
+    }
+    const dateIndex = csvHeaders.indexOf('Date');
+    const keepDate = dateIndex !== -1 && isDailyGrainEnabled();
+    const countIndex = ACTIVITY_COLUMNS.indexOf('Count');
+
+    const rows = [];
+    let skippedRows = 0;
+    const unreadableDates = [];
+    csvRows.forEach(csvRow => {
+        if (csvRow.every(cell => !cell)) return;
+        const rawDate = dateIndex !== -1 ? String(csvRow[dateIndex]).trim() : '';
+        const date = rawDate ? normalizeCsvDate(rawDate, reportWindow.timeZone) : '';
+        if (rawDate && !date) {
+            unreadableDates.push(rawDate);
+            return;
+        }
+        if (date && (date < reportWindow.startDate || date > reportWindow.endDate)) {
+            skippedRows++;
+            return;
+        }
+        const row = columnIndices.map(index => csvRow[index]);
+        row[countIndex] = parseInt(row[countIndex], 10) || 0;
+        if (keepDate) {
+            row.push(date);
+        }
+        rows.push(row);
+    });
+
+    const headers = keepDate ? [...ACTIVITY_COLUMNS, 'Date'] : ACTIVITY_COLUMNS.slice();
+    Logger.log(`Read ${rows.length} rows from the CSV file (${skippedRows} outside ${reportWindow.label} skipped).`);
+    if (unreadableDates.length > 0) {
+        Logger.log(`WARNING: Skipped ${unreadableDates.length} CSV rows whose Date could not be read, such as "${unreadableDates[0]}". Use yyyy-MM-dd or M/d/yyyy.`);
+    }
+    if (rows.length > 0) {
+        onRows(headers, rows);
+    }
+    return { headers: headers, rowCount: rows.length };
+}
+
+
+/**
+ * Reads a CSV date as 'yyyy-MM-dd'. Takes yyyy-MM-dd or M/d/yyyy, with or without a time after it;
+ * a timestamp with a UTC offset (such as 2025-01-02T03:00:00Z) is dated in the window's time zone.
+ * @param {string} value The cell.
+ * @param {string} timeZone The reporting window's time zone.
+ * @returns {string} The date, or '' when the value is not a valid date.
+ */
+function normalizeCsvDate(value, timeZone) {
+    if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+        const instant = new Date(value);
+        return isNaN(instant.getTime()) ? '' : Utilities.formatDate(instant, timeZone, 'yyyy-MM-dd');
+    }
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/.exec(value);
+    const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[,\s].*)?$/.exec(value);
+    if (!iso && !us) return '';
+    const [year, month, day] = (iso ? [iso[1], iso[2], iso[3]] : [us[3], us[1], us[2]]).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return '';
+    return formatIsoDate(date);
+}
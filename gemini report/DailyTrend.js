@@ -0,0 +1,181 @@
+// ====================================================================================
+// DAILY TREND: DAILY ACTIVE USERS AND ACTION COUNTS PER APP AND PER OU
+// ====================================================================================
+
+/**
+ * Whether the report runs at daily grain (REPORT_DAILY_GRAIN script property set to "true").
+ * At daily grain the query adds a Date column and aggregateData builds the Daily trend tab.
+ * @returns {boolean} True when daily grain is enabled.
+ */
+function isDailyGrainEnabled() {
+    return PropertiesService.getScriptProperties().getProperty('REPORT_DAILY_GRAIN') === 'true';
+}
+
+
+/**
+ * Builds one date-by-series table: a row per day in the window, a column per group plus "All".
+ * @param {Array<string>} dates Every 'yyyy-MM-dd' day in the window, in order.
+ * @param {Array<string>} groups The series names (apps or OUs), sorted.
+ * @param {Object<string, Object<string, {sum: number, users: Set<string>}>>} byDate Per-day, per-group totals.
+ * @param {string} metric 'users' for distinct users or 'sum' for the action count.
+ * @returns {Array<Array<*>>} The table with its header row first.
+ */
+function buildDailyTrendTable(dates, groups, byDate, metric) {
+    const table = [['Date', ...groups, 'All']];
+    dates.forEach(date => {
+        const dayGroups = byDate[date] || {};
+        const row = [date];
+        const allUsers = new Set();
+        let allSum = 0;
+        groups.forEach(group => {
+            const totals = dayGroups[group];
+            row.push(totals ? (metric === 'users' ? totals.users.size : totals.sum) : 0);
+            if (totals) {
+                totals.users.forEach(user => allUsers.add(user));
+                allSum += totals.sum;
+            }
+        });
+        row.push(metric === 'users' ? allUsers.size : allSum);
+        table.push(row);
+    });
+    return table;
+}
+
+
+/**
+ * Replaces a daily active users table's counts with "<N" on the days a group had fewer than N
+ * users, or (per OU) every active day of an OU with fewer than N active staff, and records each
+ * cell in the context's suppression log. Days without users stay 0; the charts skip the text cells.
+ * @param {Array<Array<*>>} table From buildDailyTrendTable with the 'users' metric; changed in place.
+ * @param {string} title The table's title, logged as the suppressed column.
+ * @param {boolean} byOu Whether the series are OUs.
+ * @param {Object} context From createAggregationContext.
+ */
+function suppressDailyTrendUsers(table, title, byOu, context) {
+    const minGroupSize = getContextMinGroupSize(context);
+    if (!minGroupSize) return;
+    const groups = table[0];
+    const allColumn = groups.length - 1;
+    table.slice(1).forEach(row => {
+        for (let i = 1; i < row.length; i++) {
+            const users = row[i];
+            if (!users) continue;
+            const staff = byOu && i !== allColumn ? (context.staffCountMap[groups[i]] || 0) : '';
+            const reason = getSmallGroupReason(minGroupSize, users, staff);
+            if (!reason) continue;
+            context.suppressions.push([getReportTabName('DAILY_TREND'), `${groups[i]} / ${row[0]}`, users, staff, reason, title]);
+            row[i] = `<${minGroupSize}`;
+        }
+    });
+}
+
+
+/**
+ * Writes the Daily trend tab: four date-by-series tables (daily active users and action counts,
+ * per app and per OU) stacked vertically, each with a line chart to its right.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The target spreadsheet.
+ * @param {Array<Array<*>>} allData The filtered raw activity rows.
+ * @param {{userIndex: number, appIndex: number, countIndex: number, ouIndex: number, dateIndex: number}} indices
+ *     Column positions in the raw rows.
+ * @param {Object} reportWindow The reporting window; every day in it gets a row, even days without activity.
+ * @param {Object} context From createAggregationContext; collects the suppressed daily active users.
+ */
+function writeDailyTrendSheet(ss, allData, indices, reportWindow, context) {
+    Logger.log('Starting aggregation for the Daily trend sheet...');
+    const timeZone = ss.getSpreadsheetTimeZone();
+    const byDateApp = {};
+    const byDateOu = {};
+    const apps = new Set();
+    const ous = new Set();
+
+    const addToGroup = (byDate, date, group, user, count) => {
+        if (!byDate[date]) byDate[date] = {};
+        if (!byDate[date][group]) byDate[date][group] = { sum: 0, users: new Set() };
+        byDate[date][group].sum += count;
+        byDate[date][group].users.add(user);
+    };
+
+    allData.forEach(row => {
+        const rawDate = row[indices.dateIndex];
+        if (!rawDate) return;
+        // Sheets turns the 'yyyy-MM-dd' strings written to the raw activity tab into Date values on read
+        const date = typeof rawDate.getTime === 'function' ? Utilities.formatDate(rawDate, timeZone, 'yyyy-MM-dd') : String(rawDate);
+        const user = row[indices.userIndex];
+        const app = row[indices.appIndex];
+        const ou = row[indices.ouIndex];
+        const count = parseInt(row[indices.countIndex], 10) || 0;
+        if (!user) return;
+        if (app) {
+            apps.add(app);
+            addToGroup(byDateApp, date, app, user, count);
+        }
+        if (ou) {
+            ous.add(ou);
+            addToGroup(byDateOu, date, ou, user, count);
+        }
+    });
+
+    const dates = [];
+    for (let day = parseIsoDate(reportWindow.startDate); day <= parseIsoDate(reportWindow.endDate); day = addDays(day, 1)) {
+        dates.push(formatIsoDate(day));
+    }
+
+    const sortedApps = Array.from(apps).sort();
+    const sortedOus = Array.from(ous).sort();
+    const sections = [
+        { title: 'Daily active users by app', table: buildDailyTrendTable(dates, sortedApps, byDateApp, 'users'), vAxis: 'Active users' },
+        { title: 'Daily action count by app', table: buildDailyTrendTable(dates, sortedApps, byDateApp, 'sum'), vAxis: 'Sum(Count)' },
+        { title: 'Daily active users by OU', table: buildDailyTrendTable(dates, sortedOus, byDateOu, 'users'), vAxis: 'Active users' },
+        { title: 'Daily action count by OU', table: buildDailyTrendTable(dates, sortedOus, byDateOu, 'sum'), vAxis: 'Sum(Count)' }
+    ];
+    suppressDailyTrendUsers(sections[0].table, sections[0].title, false, context);
+    suppressDailyTrendUsers(sections[2].table, sections[2].title, true, context);
+
+    const sheetName = getReportTabName('DAILY_TREND');
+    let targetSheet = ss.getSheetByName(sheetName);
+    if (targetSheet) {
+        targetSheet.clear();
+    } else {
+        targetSheet = ss.insertSheet(sheetName);
+    }
+    const charts = targetSheet.getCharts();
+    charts.forEach(chart => targetSheet.removeChart(chart));
+    Logger.log(`Removed ${charts.length} existing chart(s) from ${sheetName}.`);
+
+    const widestTable = Math.max(...sections.map(section => section.table[0].length));
+    const chartAnchorCol = widestTable + 2;
+    let startRow = 1;
+
+    sections.forEach(section => {
+        const table = section.table;
+        const numCols = table[0].length;
+        targetSheet.getRange(startRow, 1).setValue(section.title).setFontWeight('bold');
+        const tableRange = targetSheet.getRange(startRow + 1, 1, table.length, numCols);
+        tableRange.setValues(table);
+        targetSheet.getRange(startRow + 2, 1, table.length - 1, 1).setNumberFormat('yyyy-mm-dd');
+        targetSheet.getRange(startRow + 2, 2, table.length - 1, numCols - 1).setNumberFormat('0');
+
+        const lineChart = targetSheet.newChart()
+            .setChartType(Charts.ChartType.LINE)
+            .addRange(tableRange)
+            .setMergeStrategy(Charts.ChartMergeStrategy.MERGE_COLUMNS)
+            .setNumHeaders(1)
+            .setOption('title', section.title)
+            .setOption('hAxis', {
+                title: 'Date'
+            })
+            .setOption('vAxis', {
+                title: section.vAxis
+            })
+            .setPosition(startRow, chartAnchorCol, 0, 0)
+            .build();
+        targetSheet.insertChart(lineChart);
+        Logger.log(`Created line chart "${section.title}".`);
+
+        // Leave room for the chart (about 18 rows) even when the window is short
+        startRow += Math.max(table.length + 2, 20);
+    });
+
+    stampReportWindow(targetSheet, reportWindow);
+    Logger.log(`Successfully written data to ${sheetName}.`);
+}
@@ -0,0 +1,39 @@
+// ====================================================================================
+// DATA SOURCES: WHERE THE RAW GEMINI ACTIVITY COMES FROM
+// ====================================================================================
+
+const DATA_SOURCE_NAMES = ['BIGQUERY', 'REPORTS_API', 'CSV'];
+const DEFAULT_DATA_SOURCE = 'BIGQUERY';
+const ACTIVITY_COLUMNS = ['User', 'App', 'Action', 'Count'];
+
+/**
+ * Returns the data source with the given name. Every data source has the same shape:
+ *
+ *   label                                        Name used in logs.
+ *   fetchActivity(reportWindow, onRows, options) Calls onRows(headers, rows) once per page of activity. Rows
+ *                                                hold at least the ACTIVITY_COLUMNS (plus Date at daily grain).
+ *                                                options.deadline is when the run's BigQuery time budget
+ *                                                ends; sources without jobs ignore it. Returns { headers, rowCount }.
+ *   estimateCost(reportWindow)                   Optional; logs what a run would cost (used by dry-run mode).
+ *
+ * The shared pipeline (runActivityReport, aggregateData) only talks to this interface, so a
+ * fix to the OU merge, aggregation or write-back applies to every source.
+ *
+ * @param {string} [name] BIGQUERY, REPORTS_API or CSV; defaults to the REPORT_DATA_SOURCE script property.
+ * @returns {{name: string, label: string, fetchActivity: function, estimateCost: (function|undefined)}} The data source.
+ */
+function getDataSource(name) {
+    const sourceName = (name || PropertiesService.getScriptProperties().getProperty('REPORT_DATA_SOURCE') || DEFAULT_DATA_SOURCE)
+        .toString().toUpperCase();
+
+    switch (sourceName) {
+        case 'BIGQUERY':
+            return { name: sourceName, label: 'BigQuery', fetchActivity: fetchBigQueryActivity, estimateCost: estimateBigQueryReportCost };
+        case 'REPORTS_API':
+            return { name: sourceName, label: 'Admin Reports API', fetchActivity: fetchReportsApiActivity };
+        case 'CSV':
+            return { name: sourceName, label: 'CSV file in Drive', fetchActivity: fetchCsvActivity };
+        default:
+            throw new Error(`Unknown data source "${sourceName}" in REPORT_DATA_SOURCE. Expected one of: ${DATA_SOURCE_NAMES.join(', ')}.`);
+    }
+}
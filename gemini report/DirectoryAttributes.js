@@ -0,0 +1,58 @@
+// ====================================================================================
+// DIRECTORY ATTRIBUTES: DEPARTMENT AND MANAGER JOINED ONTO THE ACTIVITY
+// ====================================================================================
+
+// Added after OU on the raw activity when REPORT_JOIN_DIRECTORY is true
+const DIRECTORY_ATTRIBUTE_HEADERS = ['Department', 'Manager'];
+
+/**
+ * Returns whether the activity merge should add each user's department and manager, from the
+ * REPORT_JOIN_DIRECTORY script property (default false).
+ * @returns {boolean} True to join them.
+ */
+function isDirectoryJoinEnabled() {
+    return PropertiesService.getScriptProperties().getProperty('REPORT_JOIN_DIRECTORY') === 'true';
+}
+
+
+/**
+ * Reads each user's department and manager from the OU sheet, which then needs Department and
+ * Manager columns, as the OU contact report (userListToSheet) writes them.
+ * @param {string} spreadsheetId The ID of the Google Sheet containing OU data.
+ * @param {string} sheetName The name of the sheet (tab) containing the data.
+ * @returns {Map<string, Array<string>>} Email to [department, manager], in DIRECTORY_ATTRIBUTE_HEADERS order.
+ */
+function createDirectoryAttributeMap(spreadsheetId, sheetName) {
+    const values = SpreadsheetApp.openById(spreadsheetId).getSheetByName(sheetName).getDataRange().getValues();
+    const headers = values.shift();
+    const emailIndex = headers.indexOf('Primary Email');
+    const attributeIndexes = DIRECTORY_ATTRIBUTE_HEADERS.map(header => headers.indexOf(header));
+    if (emailIndex === -1 || attributeIndexes.includes(-1)) {
+        const missing = ['Primary Email', ...DIRECTORY_ATTRIBUTE_HEADERS].filter(header => headers.indexOf(header) === -1);
+        throw new Error(`REPORT_JOIN_DIRECTORY is true but the OU sheet has no ${missing.join(', ')} column.`);
+    }
+    const directory = new Map();
+    values.forEach(row => {
+        if (row[emailIndex]) {
+            directory.set(row[emailIndex].toString(), attributeIndexes.map(index => String(row[index] || '').trim()));
+        }
+    });
+    Logger.log(`Read the department and manager of ${directory.size} users from the OU sheet.`);
+    return directory;
+}
+
+
+/**
+ * Counts the users in each department and each manager's direct reports, the staff that the
+ * By department and By manager tabs compute adoption against.
+ * @param {Map<string, Array<string>>} directory From createDirectoryAttributeMap.
+ * @returns {{department: Object<string, number>, manager: Object<string, number>}} Users per value.
+ */
+function countDirectoryGroups(directory) {
+    const counts = { department: {}, manager: {} };
+    directory.forEach(([department, manager]) => {
+        if (department) counts.department[department] = (counts.department[department] || 0) + 1;
+        if (manager) counts.manager[manager] = (counts.manager[manager] || 0) + 1;
+    });
+    return counts;
+}
@@ -0,0 +1,90 @@
+// ====================================================================================
+// ENGAGEMENT TIERS: CLASSIFYING USERS BY HOW MUCH THEY USED GEMINI IN THE WINDOW
+// ====================================================================================
+
+// Tiers from most to least engaged; each is the minimum number of actions in the window
+const DEFAULT_ENGAGEMENT_TIERS = { Power: 50, Regular: 10, Light: 1 };
+const ENGAGEMENT_TIER_NAMES = ['Power', 'Regular', 'Light', 'Inactive'];
+
+/**
+ * Returns the tier thresholds: the REPORT_ENGAGEMENT_TIERS script property, a JSON object such as
+ * {"Power": 100, "Regular": 20, "Light": 1}, over the defaults. Users below Light are Inactive.
+ * @returns {{Power: number, Regular: number, Light: number}} The minimum actions for each tier.
+ */
+function getEngagementTierThresholds() {
+    const value = PropertiesService.getScriptProperties().getProperty('REPORT_ENGAGEMENT_TIERS');
+    let overrides = {};
+    if (value) {
+        try {
+            overrides = JSON.parse(value);
+        } catch (e) {
+            throw new Error(`REPORT_ENGAGEMENT_TIERS is not valid JSON: ${e.message}`);
+        }
+    }
+    const thresholds = Object.assign({}, DEFAULT_ENGAGEMENT_TIERS, overrides);
+
+    const tiers = Object.keys(DEFAULT_ENGAGEMENT_TIERS);
+    Object.keys(thresholds).forEach(tier => {
+        if (tiers.indexOf(tier) === -1) {
+            throw new Error(`Unknown engagement tier "${tier}" in REPORT_ENGAGEMENT_TIERS. Expected one of: ${tiers.join(', ')}.`);
+        }
+        if (!(Number(thresholds[tier]) > 0)) {
+            throw new Error(`Engagement tier "${tier}" needs a positive number of actions, got "${thresholds[tier]}".`);
+        }
+        thresholds[tier] = Number(thresholds[tier]);
+    });
+    if (!(thresholds.Power > thresholds.Regular && thresholds.Regular > thresholds.Light)) {
+        throw new Error(`Engagement tiers must satisfy Power > Regular > Light, got ${JSON.stringify(thresholds)}.`);
+    }
+    return thresholds;
+}
+
+
+/**
+ * Returns the tier for a number of actions in the window.
+ * @param {number} total The user's actions.
+ * @param {Object} thresholds From getEngagementTierThresholds.
+ * @returns {string} One of ENGAGEMENT_TIER_NAMES.
+ */
+function classifyEngagementTier(total, thresholds) {
+    if (total >= thresholds.Power) return 'Power';
+    if (total >= thresholds.Regular) return 'Regular';
+    if (total >= thresholds.Light) return 'Light';
+    return 'Inactive';
+}
+
+
+/**
+ * Returns the thresholds an aggregation run classifies with, read once per run.
+ * @param {Object} context From createAggregationContext; the thresholds are cached on it.
+ * @returns {Object} From getEngagementTierThresholds.
+ */
+function getContextEngagementTiers(context) {
+    if (!context.engagementTiers) {
+        context.engagementTiers = getEngagementTierThresholds();
+    }
+    return context.engagementTiers;
+}
+
+
+/**
+ * Counts a group's users per tier. Active staff with no activity at all count as Inactive, so the
+ * tiers cover the larger of the OU's staff count and its users.
+ * @param {Object} group A group from groupAggregationRows, grouped by OU.
+ * @param {Object} context From createAggregationContext.
+ * @returns {Object<string, number>} Users per tier name.
+ */
+function countEngagementTiers(group, context) {
+    if (group.tierCounts) return group.tierCounts;
+
+    const thresholds = getContextEngagementTiers(context);
+    const counts = { Power: 0, Regular: 0, Light: 0, Inactive: 0 };
+    group.users.forEach(userStats => {
+        counts[classifyEngagementTier(userStats.total, thresholds)]++;
+    });
+    const staffCount = context.staffCountMap[group.values.ou] || 0;
+    counts.Inactive += Math.max(staffCount - group.users.size, 0);
+
+    group.tierCounts = counts;
+    return counts;
+}
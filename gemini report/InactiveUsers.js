@@ -0,0 +1,110 @@
+// ====================================================================================
+// NO GEMINI ACTIVITY: DIRECTORY USERS WITH NO ACTIVITY IN THE WINDOW
+// ====================================================================================
+
+const NO_ACTIVITY_HEADER = ['OU', 'User', 'Name', 'Manager', 'Department', 'Last Login Time'];
+
+/**
+ * Lists each OU's directory users who had no Gemini activity in the window. The directory comes
+ * from the spreadsheet the OU's contact report (userListToSheet) writes, named in the staff count
+ * sheet's "Directory export sheet id" column. Service accounts are left out.
+ * @param {Object<string, string>} directoryExportIdMap OU to directory export spreadsheet id.
+ * @param {Set<string>} activeUsers Lower-cased emails of every user with activity in the window.
+ * @returns {Array<Array<*>>} Rows matching NO_ACTIVITY_HEADER, sorted by OU and user.
+ */
+function buildNoActivityRows(directoryExportIdMap, activeUsers) {
+    const rows = [];
+    Object.keys(directoryExportIdMap).forEach(ou => {
+        try {
+            const directoryUsers = readDirectoryExport(directoryExportIdMap[ou]);
+            const inactiveUsers = directoryUsers.filter(user => !user.isServiceAccount && !activeUsers.has(user.email.toLowerCase()));
+            inactiveUsers.forEach(user => {
+                rows.push([ou, user.email, user.name, user.manager, user.department, user.lastLogin]);
+            });
+            Logger.log(`${inactiveUsers.length} of ${directoryUsers.length} directory users in OU "${ou}" had no Gemini activity.`);
+        } catch (e) {
+            Logger.log(`ERROR reading the directory export for OU "${ou}": ${e.message}. Leaving it out of ${getReportTabName('NO_ACTIVITY')}.`);
+        }
+    });
+    rows.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+    return rows;
+}
+
+
+/**
+ * Reads the users from the first tab of a contact report spreadsheet.
+ * @param {string} spreadsheetId The directory export spreadsheet.
+ * @returns {Array<{email: string, name: string, manager: string, department: string, lastLogin: *, isServiceAccount: boolean}>}
+ *     The users with an email.
+ */
+function readDirectoryExport(spreadsheetId) {
+    const values = SpreadsheetApp.openById(spreadsheetId).getSheets()[0].getDataRange().getValues();
+    const headers = values.shift() || [];
+    const required = ['Primary Email', 'Given Name', 'Family Name', 'Manager', 'Department', 'Last Login Time'];
+    const missing = required.filter(header => headers.indexOf(header) === -1);
+    if (missing.length > 0) {
+        throw new Error(`The directory export is missing columns (${missing.join(', ')}).`);
+    }
+    const index = header => headers.indexOf(header);
+    const serviceAccountIndex = index('Service Account');
+
+    return values
+        .filter(row => row[index('Primary Email')])
+        .map(row => ({
+            email: String(row[index('Primary Email')]).trim(),
+            name: [row[index('Given Name')], row[index('Family Name')]].filter(Boolean).join(' '),
+            manager: row[index('Manager')],
+            department: row[index('Department')],
+            lastLogin: row[index('Last Login Time')],
+            isServiceAccount: serviceAccountIndex !== -1 && String(row[serviceAccountIndex]).toLowerCase() === 'true'
+        }));
+}
+
+
+/**
+ * Returns the lower-cased emails of every user with activity in the window: the raw activity's
+ * users plus those listed on the Unmapped users tab, whose activity may have been left out.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Array<Array<*>>} rows The raw activity rows.
+ * @param {number} userIndex The User column in the rows.
+ * @returns {Set<string>} The emails.
+ */
+function collectActiveUsers(spreadsheet, rows, userIndex) {
+    const activeUsers = new Set();
+    rows.forEach(row => {
+        if (row[userIndex]) activeUsers.add(String(row[userIndex]).toLowerCase());
+    });
+    const unmappedSheet = spreadsheet.getSheetByName(getReportTabName('UNMAPPED'));
+    if (unmappedSheet && unmappedSheet.getLastRow() > 1) {
+        unmappedSheet.getRange(2, 1, unmappedSheet.getLastRow() - 1, 1).getValues().forEach(row => {
+            if (row[0]) activeUsers.add(String(row[0]).toLowerCase());
+        });
+    }
+    return activeUsers;
+}
+
+
+/**
+ * Writes a "No Gemini activity" tab, centrally with the OU column or for one OU without it.
+ * @param {Spreadsheet} spreadsheet The central or OU spreadsheet.
+ * @param {string} sheetName The tab name for the spreadsheet's audience.
+ * @param {Array<Array<*>>} rows Rows from buildNoActivityRows.
+ * @param {boolean} includeOu Whether to keep the OU column.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ * @param {function(string): string} [pseudonymize] From createPseudonymizer, for an OU with a Privacy setting.
+ */
+function writeNoActivitySheet(spreadsheet, sheetName, rows, includeOu, reportWindow, pseudonymize) {
+    const dropOu = row => (includeOu ? row : row.slice(1));
+    const results = pseudonymizeGrid([dropOu(NO_ACTIVITY_HEADER), ...rows.map(dropOu)], pseudonymize);
+
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    sheet.getRange(1, 1, results.length, results[0].length).setValues(results);
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Wrote ${rows.length} users with no Gemini activity to ${sheetName}.`);
+}
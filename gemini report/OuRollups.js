@@ -0,0 +1,210 @@
+// ====================================================================================
+// OU ROLLUPS: ADDING EACH OU'S FIGURES INTO EVERY ANCESTOR OF ITS PATH
+// ====================================================================================
+
+const OU_ROLLUP_HEADER = ['OU', 'Level', 'Sum(Count)', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'OUs included'];
+
+/**
+ * Returns an OU path and its ancestors, outermost first: '/Agency/Division' gives '/Agency' and
+ * '/Agency/Division'. An OU that is not a path is its own single level.
+ * @param {string} ou The OU.
+ * @returns {string[]} The ancestors and the OU itself.
+ */
+function getOuPathLevels(ou) {
+    const path = String(ou);
+    const parts = path.split('/').filter(Boolean);
+    if (!path.startsWith('/') || parts.length === 0) return [path];
+    return parts.map((part, i) => '/' + parts.slice(0, i + 1).join('/'));
+}
+
+
+/**
+ * Returns whether an OU is a parent OU or one of its descendants.
+ * @param {string} ou The OU to test.
+ * @param {string} parent The parent OU path.
+ * @returns {boolean} True if the OU is in the parent's subtree.
+ */
+function isOuWithin(ou, parent) {
+    if (!ou) return false;
+    const path = String(ou);
+    const prefix = String(parent).endsWith('/') ? String(parent) : `${parent}/`;
+    return path === String(parent) || path.startsWith(prefix);
+}
+
+
+/**
+ * Returns the active staff of a parent OU and its descendants. Each staff count row must count
+ * only the users directly in its OU, as the Admin console does, so the subtree's rows add up. A
+ * parent row that already includes its subtree is counted twice; checkStaffCountSheet flags
+ * parents whose count is at least their sub-OUs' total.
+ * @param {string} parent The parent OU path.
+ * @param {Object<string, number>} staffCountMap Active staff per OU.
+ * @returns {number} The staff count.
+ */
+function getOuRollupStaffCount(parent, staffCountMap) {
+    return Object.keys(staffCountMap)
+        .filter(ou => isOuWithin(ou, parent))
+        .reduce((sum, ou) => sum + staffCountMap[ou], 0);
+}
+
+
+/**
+ * Adds up the raw rows and staff counts at every level of the OU paths.
+ * @param {Object} context From createAggregationContext.
+ * @returns {Array<Array<*>>} Rows matching OU_ROLLUP_HEADER, parents directly above their children.
+ */
+function buildOuRollupRows(context) {
+    const levels = new Map();
+    const levelOf = ou => {
+        if (!levels.has(ou)) {
+            levels.set(ou, { sum: 0, users: new Set(), staff: 0, ous: new Set() });
+        }
+        return levels.get(ou);
+    };
+    context.rows.forEach(row => {
+        const ou = row[context.fields.ou];
+        if (!ou) return;
+        getOuPathLevels(ou).forEach(level => {
+            const stats = levelOf(level);
+            stats.sum += parseInt(row[context.fields.count], 10) || 0;
+            if (row[context.fields.user]) stats.users.add(row[context.fields.user]);
+            stats.ous.add(ou);
+        });
+    });
+    Object.keys(context.staffCountMap).forEach(ou => {
+        getOuPathLevels(ou).forEach(level => {
+            const stats = levelOf(level);
+            stats.staff += context.staffCountMap[ou];
+            stats.ous.add(ou);
+        });
+    });
+
+    return Array.from(levels.keys())
+        .sort(compareOuPaths)
+        .map(ou => {
+            const stats = levels.get(ou);
+            const adoption = stats.staff > 0 ? stats.users.size / stats.staff : 0;
+            return [ou, getOuPathLevels(ou).length, stats.sum, stats.users.size, stats.staff, adoption, stats.ous.size];
+        });
+}
+
+
+/**
+ * Orders OU paths part by part, so every OU sorts directly after its parent.
+ * @param {string} a An OU.
+ * @param {string} b Another OU.
+ * @returns {number} A sort comparison.
+ */
+function compareOuPaths(a, b) {
+    const partsA = String(a).split('/');
+    const partsB = String(b).split('/');
+    for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+        const compare = partsA[i].localeCompare(partsB[i]);
+        if (compare !== 0) return compare;
+    }
+    return partsA.length - partsB.length;
+}
+
+
+/**
+ * Writes the OU rollup tab: every level of the OU paths with its figures, each OU's descendants
+ * grouped under it so they can be collapsed. Skipped when no OU is below another. Levels with fewer
+ * users or staff than REPORT_MIN_GROUP_SIZE are suppressed as on the summary tabs.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Object} context From createAggregationContext.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ */
+function writeOuRollupSheet(spreadsheet, context, reportWindow) {
+    const sheetName = getReportTabName('OU_ROLLUP');
+    const rows = buildOuRollupRows(context);
+    if (!rows.some(row => row[1] > 1)) {
+        Logger.log(`No OU path has more than one level. Skipping ${sheetName}.`);
+        return;
+    }
+
+    const minGroupSize = getContextMinGroupSize(context);
+    rows.forEach(row => {
+        if (!minGroupSize || (row[3] >= minGroupSize && row[4] >= minGroupSize)) return;
+        const reason = row[3] < minGroupSize ? `Fewer than ${minGroupSize} users` : `Fewer than ${minGroupSize} active staff`;
+        context.suppressions.push([sheetName, row[0], row[3], row[4], reason, 'Count(User), Adoption %']);
+        row[3] = `<${minGroupSize}`;
+        row[5] = `<${minGroupSize}`;
+    });
+
+    // Row groups outlive clear(), so the tab is rebuilt rather than cleared
+    const existing = spreadsheet.getSheetByName(sheetName);
+    if (existing) {
+        spreadsheet.deleteSheet(existing);
+    }
+    const sheet = spreadsheet.insertSheet(sheetName);
+    const results = [OU_ROLLUP_HEADER, ...rows];
+    sheet.getRange(1, 1, results.length, OU_ROLLUP_HEADER.length).setValues(results);
+    sheet.getRange(2, 3, rows.length, 3).setNumberFormat('0');
+    sheet.getRange(2, 6, rows.length, 1).setNumberFormat('0.00%');
+
+    // Each level deeper than the first is nested one group further; the toggle sits on the parent row
+    sheet.setRowGroupControlPosition(SpreadsheetApp.GroupControlTogglePosition.BEFORE);
+    const maxLevel = Math.max(...rows.map(row => row[1]));
+    for (let level = 2; level <= maxLevel; level++) {
+        let start = -1;
+        rows.forEach((row, i) => {
+            const inGroup = row[1] >= level;
+            if (inGroup && start === -1) start = i;
+            if (start !== -1 && (!inGroup || i === rows.length - 1)) {
+                const end = inGroup ? i : i - 1;
+                sheet.getRange(start + 2, 1, end - start + 1, 1).shiftRowGroupDepth(1);
+                start = -1;
+            }
+        });
+    }
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Wrote ${rows.length} OU levels to ${sheetName}.`);
+}
+
+
+/**
+ * Aggregates a parent OU and all its descendants as if they were one OU, for a parent-level
+ * write-back. The grids are laid out like the central ones the write-back otherwise filters.
+ * @param {string} parent The parent OU path.
+ * @param {Object} context The central run's context from createAggregationContext.
+ * @param {string[]} usersHeader The central User leaderboard header, whose app columns the
+ *     rollup's leaderboard is aligned to.
+ * @returns {{allData: Array<Array<*>>, results4: Array<Array<*>>, results5: Array<Array<*>>, results6: Array<Array<*>>, results8: Array<Array<*>>, context: Object}}
+ *     The subtree's raw rows, with the parent as their OU, its OU_APP_ACTIONS, USERS, OU_APPS and
+ *     OUS grids, and the context they were built from, which holds the subtree's staff count.
+ */
+function buildOuRollupResults(parent, context, usersHeader) {
+    const ouField = context.fields.ou;
+    const relabel = rows => rows
+        .filter(row => isOuWithin(row[ouField], parent))
+        .map(row => {
+            const copy = [...row];
+            copy[ouField] = parent;
+            return copy;
+        });
+    const rollupRows = relabel(context.rows);
+    const staffCountMap = { [parent]: getOuRollupStaffCount(parent, context.staffCountMap) };
+    const rollupContext = createAggregationContext(rollupRows, context.fields, staffCountMap, context.totalGeminiStaffCount,
+        context.previous ? relabel(context.previous.rows) : null);
+
+    const grid = tab => {
+        const table = buildAggregationTable(AGGREGATION_SPECS.find(spec => spec.tab === tab), rollupContext);
+        return [table.header, ...table.rows];
+    };
+    // Apps the subtree never used are still columns (of zeros), as on every OU's leaderboard
+    const users = grid('USERS');
+    const results5 = [usersHeader, ...users.slice(1).map(row => usersHeader.map(header => {
+        const index = users[0].indexOf(header);
+        return index === -1 ? 0 : row[index];
+    }))];
+
+    return {
+        allData: rollupRows,
+        results4: grid('OU_APP_ACTIONS'),
+        results5: results5,
+        results6: grid('OU_APPS'),
+        results8: grid('OUS'),
+        context: rollupContext
+    };
+}
@@ -0,0 +1,95 @@
+// ====================================================================================
+// PERIOD COMPARISON: THE PREVIOUS WINDOW'S ACTIVITY AND THE CHANGE COLUMNS
+// ====================================================================================
+
+const CHANGE_UP_COLOR = '#137333';
+const CHANGE_DOWN_COLOR = '#a50e0e';
+
+/**
+ * Whether runs also fetch the previous equivalent window and add change columns to the OU and app
+ * summaries. Off unless the REPORT_COMPARE_PREVIOUS script property is "true", since the previous
+ * window is read from the same data source and a BigQuery run then scans about twice as much.
+ * @returns {boolean} True when the comparison is on.
+ */
+function isPeriodComparisonEnabled() {
+    const value = PropertiesService.getScriptProperties().getProperty('REPORT_COMPARE_PREVIOUS');
+    return String(value || '').toLowerCase() === 'true';
+}
+
+
+/**
+ * Reads the previous window's activity that runActivityReport wrote, laid out in the raw tab's
+ * column order. A tab stamped with another window is cleared, since its figures would be compared
+ * against the wrong period.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Object} previousWindow The window from getPreviousReportWindow.
+ * @param {string[]} headers The raw activity tab's headers.
+ * @returns {Array<Array<*>>|null} The rows without the header, or null when there is nothing to compare against.
+ */
+function readPreviousActivity(spreadsheet, previousWindow, headers) {
+    const tabName = getReportTabName('PREVIOUS_RAW');
+    const sheet = spreadsheet.getSheetByName(tabName);
+    if (!sheet || sheet.getLastRow() === 0) {
+        Logger.log(`No ${tabName} tab to compare against. Leaving out the change columns.`);
+        return null;
+    }
+    if (readReportWindowStamp(sheet) !== previousWindow.label) {
+        sheet.clear();
+        Logger.log(`${tabName} did not cover ${previousWindow.label}, so it was cleared. Leaving out the change columns.`);
+        return null;
+    }
+
+    const values = sheet.getDataRange().getValues();
+    const previousHeaders = values.shift();
+    const missing = ['User', 'App', 'Action', 'Count', 'OU'].filter(header => previousHeaders.indexOf(header) === -1);
+    if (missing.length > 0) {
+        Logger.log(`${tabName} is missing columns (${missing.join(', ')}). Leaving out the change columns.`);
+        return null;
+    }
+    const indexes = headers.map(header => previousHeaders.indexOf(header));
+    Logger.log(`Read ${values.length} rows of ${previousWindow.label} from ${tabName}.`);
+    return values.map(row => indexes.map(index => (index === -1 ? '' : row[index])));
+}
+
+
+/**
+ * Colours the change columns' data cells: green when up, red when down. Replaces the sheet's
+ * conditional format rules, which the report owns like the rest of the tab.
+ * @param {Sheet} sheet The tab.
+ * @param {number[]} columns The change columns, 1-based.
+ * @param {number} numDataRows The number of rows below the header.
+ */
+function highlightChangeColumns(sheet, columns, numDataRows) {
+    if (columns.length === 0 || numDataRows === 0) {
+        sheet.setConditionalFormatRules([]);
+        return;
+    }
+    const ranges = columns.map(column => sheet.getRange(2, column, numDataRows, 1));
+    sheet.setConditionalFormatRules([
+        SpreadsheetApp.newConditionalFormatRule().whenNumberGreaterThan(0).setFontColor(CHANGE_UP_COLOR).setRanges(ranges).build(),
+        SpreadsheetApp.newConditionalFormatRule().whenNumberLessThan(0).setFontColor(CHANGE_DOWN_COLOR).setRanges(ranges).build()
+    ]);
+}
+
+
+/**
+ * Formats and colours the change columns of a summary written back to an OU spreadsheet, using the
+ * formats of the spec the summary came from.
+ * @param {Sheet} sheet The OU tab.
+ * @param {string} tabId The spec's tab id in AGGREGATION_SPECS.
+ * @param {string[]} header The header row written to the OU tab.
+ * @param {number} numDataRows The number of rows below the header.
+ */
+function formatChangeColumns(sheet, tabId, header, numDataRows) {
+    const spec = AGGREGATION_SPECS.find(entry => entry.tab === tabId);
+    const columns = [];
+    spec.columns.filter(column => column.change).forEach(column => {
+        const index = header.indexOf(column.header);
+        if (index === -1) return;
+        if (numDataRows > 0 && column.format) {
+            sheet.getRange(2, index + 1, numDataRows, 1).setNumberFormat(column.format);
+        }
+        columns.push(index + 1);
+    });
+    highlightChangeColumns(sheet, columns, numDataRows);
+}
@@ -0,0 +1,159 @@
+// ====================================================================================
+// PSEUDONYMS: REPLACING EMAILS IN THE OU SPREADSHEETS OF PRIVACY-SENSITIVE OUS
+// ====================================================================================
+
+const PSEUDONYM_MODES = ['hash', 'alias'];
+const PSEUDONYM_KEY_HEADER = ['OU', 'Pseudonym', 'User', 'Mode'];
+// Columns that hold a person's email, and columns that would identify them some other way
+const PSEUDONYMIZED_HEADERS = ['User', 'Max(User)', 'Manager'];
+const BLANKED_HEADERS = ['Name'];
+
+/**
+ * Loads the pseudonym key from the central spreadsheet, so aliases stay the same from run to run.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @returns {{entries: Map<string, Array<*>>, changed: boolean}} Key rows by OU, mode and user.
+ */
+function loadPseudonymKey(spreadsheet) {
+    const key = { entries: new Map(), changed: false };
+    const sheet = spreadsheet.getSheetByName(getReportTabName('PSEUDONYM_KEY'));
+    if (!sheet || sheet.getLastRow() < 2) return key;
+
+    const values = sheet.getDataRange().getValues();
+    const headers = values.shift();
+    const indexes = PSEUDONYM_KEY_HEADER.map(header => headers.indexOf(header));
+    if (indexes.includes(-1)) {
+        throw new Error(`${getReportTabName('PSEUDONYM_KEY')} needs the columns ${PSEUDONYM_KEY_HEADER.join(', ')}. Fix the tab rather than losing the existing aliases.`);
+    }
+    values.forEach(row => {
+        const [ou, pseudonym, user, mode] = indexes.map(index => row[index]);
+        if (ou && pseudonym && user) {
+            key.entries.set(pseudonymKeyId(ou, mode, user), [ou, pseudonym, user, mode]);
+        }
+    });
+    return key;
+}
+
+
+/**
+ * Returns a function that replaces an OU's emails according to its privacy mode:
+ *   hash   'user-' and the first 12 hex digits of a SHA-256 of the email, salted with the
+ *          REPORT_PSEUDONYM_SALT script property (created on first use).
+ *   alias  'User 001', 'User 002', ... numbered within the OU in the order users are first seen.
+ * Every pseudonym handed out is recorded in the key. The "<N" of a suppressed cell is not an email,
+ * so it is left as it is.
+ * @param {Object} key From loadPseudonymKey.
+ * @param {string} ou The OU.
+ * @param {string} mode One of PSEUDONYM_MODES.
+ * @returns {function(string): string} Maps an email to its pseudonym; blanks and "<N" stay as they are.
+ */
+function createPseudonymizer(key, ou, mode) {
+    if (PSEUDONYM_MODES.indexOf(mode) === -1) {
+        throw new Error(`Unknown privacy setting "${mode}" for OU "${ou}". Expected blank or one of: ${PSEUDONYM_MODES.join(', ')}.`);
+    }
+    const salt = mode === 'hash' ? getPseudonymSalt() : '';
+    let nextAlias = 1;
+    key.entries.forEach(entry => {
+        const match = entry[0] === ou && entry[3] === 'alias' && /^User (\d+)$/.exec(entry[1]);
+        if (match) nextAlias = Math.max(nextAlias, Number(match[1]) + 1);
+    });
+
+    return email => {
+        if (!email || isSuppressionLabel(email)) return email;
+        const user = String(email).trim().toLowerCase();
+        const id = pseudonymKeyId(ou, mode, user);
+        if (!key.entries.has(id)) {
+            const pseudonym = mode === 'hash'
+                ? 'user-' + toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, `${salt}:${user}`)).slice(0, 12)
+                : `User ${String(nextAlias++).padStart(3, '0')}`;
+            key.entries.set(id, [ou, pseudonym, user, mode]);
+            key.changed = true;
+        }
+        return key.entries.get(id)[1];
+    };
+}
+
+
+/**
+ * Replaces the email columns of a grid (header row first) and blanks its name columns.
+ * @param {Array<Array<*>>} grid The grid to write to an OU spreadsheet.
+ * @param {function(string): string} [pseudonymize] From createPseudonymizer; without it the grid is returned as is.
+ * @returns {Array<Array<*>>} A new grid.
+ */
+function pseudonymizeGrid(grid, pseudonymize) {
+    if (!pseudonymize || grid.length === 0) return grid;
+    const header = grid[0];
+    const emailColumns = header.map((name, i) => (PSEUDONYMIZED_HEADERS.indexOf(name) !== -1 ? i : -1)).filter(i => i !== -1);
+    const blankColumns = header.map((name, i) => (BLANKED_HEADERS.indexOf(name) !== -1 ? i : -1)).filter(i => i !== -1);
+    return grid.map((row, rowIndex) => {
+        if (rowIndex === 0) return row;
+        const newRow = [...row];
+        emailColumns.forEach(i => { newRow[i] = pseudonymize(newRow[i]); });
+        blankColumns.forEach(i => { newRow[i] = ''; });
+        return newRow;
+    });
+}
+
+
+/**
+ * Writes the pseudonym key to the central spreadsheet when it gained entries, and marks it saved.
+ * The key is the only place the pseudonyms can be traced back to users, so it is never written
+ * to an OU spreadsheet.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Object} key From loadPseudonymKey.
+ */
+function writePseudonymKeySheet(spreadsheet, key) {
+    if (!key.changed) return;
+    const rows = Array.from(key.entries.values())
+        .sort((a, b) => a[0].localeCompare(b[0]) || a[3].localeCompare(b[3]) || a[1].localeCompare(b[1]));
+    const sheetName = getReportTabName('PSEUDONYM_KEY');
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    const results = [PSEUDONYM_KEY_HEADER, ...rows];
+    sheet.getRange(1, 1, results.length, PSEUDONYM_KEY_HEADER.length).setValues(results);
+    sheet.setFrozenRows(1);
+    key.changed = false;
+    Logger.log(`Wrote ${rows.length} pseudonyms to ${sheetName}.`);
+}
+
+
+/**
+ * Returns the salt for hashed pseudonyms, creating and saving a random one on first use. Changing
+ * or deleting the REPORT_PSEUDONYM_SALT script property changes every hashed pseudonym.
+ * @returns {string} The salt.
+ */
+function getPseudonymSalt() {
+    const properties = PropertiesService.getScriptProperties();
+    let salt = properties.getProperty('REPORT_PSEUDONYM_SALT');
+    if (!salt) {
+        salt = Utilities.getUuid();
+        properties.setProperty('REPORT_PSEUDONYM_SALT', salt);
+        Logger.log('Created REPORT_PSEUDONYM_SALT for hashed pseudonyms.');
+    }
+    return salt;
+}
+
+
+/**
+ * Returns the key entry id for a user's pseudonym in an OU and mode.
+ * @param {string} ou The OU.
+ * @param {string} mode One of PSEUDONYM_MODES.
+ * @param {string} user The email.
+ * @returns {string} The id.
+ */
+function pseudonymKeyId(ou, mode, user) {
+    return [ou, mode, String(user).toLowerCase()].join('|||');
+}
+
+
+/**
+ * Formats the signed bytes Utilities.computeDigest returns as lower-case hex.
+ * @param {number[]} bytes The digest.
+ * @returns {string} The hex string.
+ */
+function toHex(bytes) {
+    return bytes.map(byte => ((byte & 0xff) | 0x100).toString(16).slice(1)).join('');
+}
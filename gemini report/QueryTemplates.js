@@ -0,0 +1,147 @@
+// ====================================================================================
+// QUERY TEMPLATES: LOADING, VARIABLE SUBSTITUTION AND VALIDATION
+// ====================================================================================
+
+const DEFAULT_QUERY_TEMPLATE = 'bigquery_query';
+const DEFAULT_DAILY_QUERY_TEMPLATE = 'bigquery_daily_query';
+const DEFAULT_EVENT_NAME = 'feature_utilization';
+const DEFAULT_EXCLUDED_EVENT_CATEGORIES = ['inactive', 'unknown'];
+const QUERY_TEMPLATE_PLACEHOLDER = /\{\{\s*([A-Za-z0-9_.]+)\s*\}\}/g;
+
+/**
+ * Loads a named query template from the Apps Script project.
+ * Templates are stored as HTML files (e.g. bigquery_query.html) because that is the only
+ * plain-text file type a project can hold; the content is returned untouched.
+ * @param {string} name The template file name without extension.
+ * @returns {string} The raw template text.
+ */
+function loadQueryTemplate(name) {
+    try {
+        return HtmlService.createHtmlOutputFromFile(name).getContent();
+    } catch (e) {
+        throw new Error(`Could not load query template "${name}": ${e.message}`);
+    }
+}
+
+
+/**
+ * Builds the variables available to query templates from script properties and the reporting window.
+ *
+ * Each variable is a typed value ({ type, value }) so renderQueryTemplate can quote it safely:
+ *   BIGQUERY.TABLE, BIGQUERY.PROJECT      identifiers (BQ_ACTIVITY_TABLE, BQ_GEMINI_PROJECT_ID)
+ *   REPORT.START_DATE, REPORT.END_DATE    dates from the reporting window
+ *   REPORT.TIMEZONE                       string, the window's time zone
+ *   FILTER.EVENT_NAME                     string (BQ_EVENT_NAME, default "feature_utilization")
+ *   FILTER.EXCLUDED_CATEGORIES            string list (BQ_EXCLUDED_EVENT_CATEGORIES, comma separated)
+ *
+ * @param {Object} reportWindow The window returned by resolveReportWindow.
+ * @returns {Object<string, {type: string, value: *}>} The template variables keyed by placeholder name.
+ */
+function buildQueryVariables(reportWindow) {
+    const properties = PropertiesService.getScriptProperties();
+    const excludedCategories = properties.getProperty('BQ_EXCLUDED_EVENT_CATEGORIES');
+
+    return {
+        'BIGQUERY.TABLE': { type: 'identifier', value: properties.getProperty('BQ_ACTIVITY_TABLE') },
+        'BIGQUERY.PROJECT': { type: 'identifier', value: properties.getProperty('BQ_GEMINI_PROJECT_ID') },
+        'REPORT.START_DATE': { type: 'date', value: reportWindow.startDate },
+        'REPORT.END_DATE': { type: 'date', value: reportWindow.endDate },
+        'REPORT.TIMEZONE': { type: 'string', value: reportWindow.timeZone },
+        'FILTER.EVENT_NAME': { type: 'string', value: properties.getProperty('BQ_EVENT_NAME') || DEFAULT_EVENT_NAME },
+        'FILTER.EXCLUDED_CATEGORIES': {
+            type: 'stringList',
+            value: excludedCategories
+                ? excludedCategories.split(',').map(category => category.trim()).filter(category => category)
+                : DEFAULT_EXCLUDED_EVENT_CATEGORIES
+        }
+    };
+}
+
+
+/**
+ * Substitutes {{ NAME }} placeholders in a query template with safely rendered SQL literals.
+ * Throws if the template references a variable that has no value, so a half-rendered
+ * query is never sent to BigQuery.
+ * @param {string} template The template text.
+ * @param {Object<string, {type: string, value: *}>} variables The variables from buildQueryVariables.
+ * @returns {string} The rendered SQL.
+ */
+function renderQueryTemplate(template, variables) {
+    const unresolved = new Set();
+    const rendered = template.replace(QUERY_TEMPLATE_PLACEHOLDER, (placeholder, name) => {
+        const variable = variables[name];
+        if (!variable || variable.value === null || variable.value === undefined || variable.value === '') {
+            unresolved.add(name);
+            return placeholder;
+        }
+        return renderQueryLiteral(name, variable);
+    });
+
+    if (unresolved.size > 0) {
+        throw new Error(`Query template has unresolved placeholders: ${Array.from(unresolved).join(', ')}.`);
+    }
+    if (/\{\{|\}\}/.test(rendered)) {
+        throw new Error('Query template contains a malformed placeholder (stray "{{" or "}}").');
+    }
+    return rendered;
+}
+
+
+/**
+ * Renders a single typed template variable as SQL.
+ * @param {string} name The placeholder name, used in error messages.
+ * @param {{type: string, value: *}} variable The typed variable.
+ * @returns {string} The SQL fragment.
+ */
+function renderQueryLiteral(name, variable) {
+    switch (variable.type) {
+        case 'identifier': {
+            const identifier = String(variable.value).replace(/`/g, '').trim();
+            if (!/^[A-Za-z0-9_\-:.]+$/.test(identifier)) {
+                throw new Error(`Query variable ${name} is not a valid BigQuery identifier: "${variable.value}".`);
+            }
+            return '`' + identifier + '`';
+        }
+        case 'date':
+            return `DATE "${formatIsoDate(parseIsoDate(variable.value))}"`;
+        case 'string':
+            return quoteSqlString(variable.value);
+        case 'stringList':
+            if (!Array.isArray(variable.value) || variable.value.length === 0) {
+                throw new Error(`Query variable ${name} must be a non-empty list.`);
+            }
+            return variable.value.map(quoteSqlString).join(', ');
+        default:
+            throw new Error(`Query variable ${name} has unknown type "${variable.type}".`);
+    }
+}
+
+
+/**
+ * Quotes a value as a GoogleSQL string literal, escaping backslashes, quotes and newlines.
+ * @param {*} value The value to quote.
+ * @returns {string} The quoted literal.
+ */
+function quoteSqlString(value) {
+    const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n');
+    return `"${escaped}"`;
+}
+
+
+/**
+ * Loads and renders a named query template for a reporting window.
+ * @param {string} templateName The template file name without extension.
+ * @param {Object} reportWindow The window returned by resolveReportWindow.
+ * @param {Object<string, {type: string, value: *}>} [extraVariables] Additional or overriding variables.
+ * @returns {string} The SQL ready to submit.
+ */
+function buildQueryFromTemplate(templateName, reportWindow, extraVariables) {
+    const variables = Object.assign(buildQueryVariables(reportWindow), extraVariables || {});
+    const query = renderQueryTemplate(loadQueryTemplate(templateName), variables);
+    Logger.log(`Rendered query template "${templateName}".`);
+    return query;
+}
@@ -0,0 +1,224 @@
+// ====================================================================================
+// REPORTING WINDOW: PRESETS, SCRIPT PROPERTIES AND SHEET STAMPS
+// ====================================================================================
+
+const REPORT_WINDOW_PRESETS = ['TRAILING_DAYS', 'LAST_FULL_MONTH', 'MONTH_TO_DATE', 'QUARTER_TO_DATE', 'LAST_FULL_QUARTER', 'CUSTOM'];
+const DEFAULT_REPORT_WINDOW_PRESET = 'TRAILING_DAYS';
+const DEFAULT_REPORT_WINDOW_DAYS = 28;
+const DEFAULT_REPORT_TIMEZONE = 'America/New_York';
+
+/**
+ * Resolves the reporting window from run options, falling back to script properties.
+ *
+ * Recognised script properties: REPORT_WINDOW_PRESET, REPORT_WINDOW_DAYS, REPORT_START_DATE,
+ * REPORT_END_DATE and REPORT_TIMEZONE. An explicit start/end date pair always wins over a preset.
+ * With nothing configured the window is the trailing 28 days up to today, as it always was.
+ *
+ * @param {Object} [options] Optional overrides: { preset, days, startDate, endDate, timeZone }.
+ *     Trigger event objects are accepted and simply contribute no overrides.
+ * @param {Date} [now] The reference "today"; defaults to the current time.
+ * @returns {{preset: string, startDate: string, endDate: string, timeZone: string, label: string}}
+ *     The window with inclusive 'yyyy-MM-dd' start and end dates.
+ */
+function resolveReportWindow(options, now) {
+    const opts = options || {};
+    const properties = PropertiesService.getScriptProperties();
+    const timeZone = opts.timeZone || properties.getProperty('REPORT_TIMEZONE') || DEFAULT_REPORT_TIMEZONE;
+    const startDate = opts.startDate || (opts.preset ? '' : properties.getProperty('REPORT_START_DATE'));
+    const endDate = opts.endDate || (opts.preset ? '' : properties.getProperty('REPORT_END_DATE'));
+    const today = Utilities.formatDate(now || new Date(), timeZone, 'yyyy-MM-dd');
+
+    let preset = (opts.preset || properties.getProperty('REPORT_WINDOW_PRESET') || DEFAULT_REPORT_WINDOW_PRESET).toString().toUpperCase();
+    if (startDate || endDate) {
+        preset = 'CUSTOM';
+    }
+    if (REPORT_WINDOW_PRESETS.indexOf(preset) === -1) {
+        throw new Error(`Unknown reporting window preset "${preset}". Expected one of: ${REPORT_WINDOW_PRESETS.join(', ')}.`);
+    }
+
+    const days = parseInt(opts.days || properties.getProperty('REPORT_WINDOW_DAYS') || DEFAULT_REPORT_WINDOW_DAYS, 10);
+    const range = computeReportWindowDates(preset, today, { days: days, startDate: startDate, endDate: endDate });
+
+    const reportWindow = {
+        preset: preset,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        timeZone: timeZone
+    };
+    reportWindow.label = describeReportWindow(reportWindow);
+    Logger.log(`Resolved reporting window: ${reportWindow.label}`);
+    return reportWindow;
+}
+
+
+/**
+ * Computes the inclusive start and end dates for a preset relative to a given day.
+ * @param {string} preset One of REPORT_WINDOW_PRESETS.
+ * @param {string} today The reference day as 'yyyy-MM-dd' in the report time zone.
+ * @param {{days: number, startDate: string, endDate: string}} settings Preset-specific settings.
+ * @returns {{startDate: string, endDate: string}} The window bounds as 'yyyy-MM-dd' strings.
+ */
+function computeReportWindowDates(preset, today, settings) {
+    const todayDate = parseIsoDate(today);
+    const year = todayDate.getUTCFullYear();
+    const month = todayDate.getUTCMonth();
+    const quarterStartMonth = month - (month % 3);
+    let start;
+    let end;
+
+    switch (preset) {
+        case 'TRAILING_DAYS':
+            if (!(settings.days > 0)) {
+                throw new Error(`REPORT_WINDOW_DAYS must be a positive number of days, got "${settings.days}".`);
+            }
+            start = addDays(todayDate, -settings.days);
+            end = todayDate;
+            break;
+        case 'LAST_FULL_MONTH':
+            start = new Date(Date.UTC(year, month - 1, 1));
+            end = new Date(Date.UTC(year, month, 0));
+            break;
+        case 'MONTH_TO_DATE':
+            start = new Date(Date.UTC(year, month, 1));
+            end = todayDate;
+            break;
+        case 'QUARTER_TO_DATE':
+            start = new Date(Date.UTC(year, quarterStartMonth, 1));
+            end = todayDate;
+            break;
+        case 'LAST_FULL_QUARTER':
+            start = new Date(Date.UTC(year, quarterStartMonth - 3, 1));
+            end = new Date(Date.UTC(year, quarterStartMonth, 0));
+            break;
+        case 'CUSTOM':
+            if (!settings.startDate || !settings.endDate) {
+                throw new Error('A custom reporting window needs both REPORT_START_DATE and REPORT_END_DATE (yyyy-MM-dd).');
+            }
+            start = parseIsoDate(settings.startDate);
+            end = parseIsoDate(settings.endDate);
+            break;
+        default:
+            throw new Error(`Unknown reporting window preset "${preset}".`);
+    }
+
+    if (start > end) {
+        throw new Error(`Reporting window start ${formatIsoDate(start)} is after its end ${formatIsoDate(end)}.`);
+    }
+    return { startDate: formatIsoDate(start), endDate: formatIsoDate(end) };
+}
+
+
+/**
+ * Returns the window the change columns compare against: the previous calendar month or quarter for
+ * the LAST_FULL_ presets, the same stretch of the previous month or quarter for the _TO_DATE presets,
+ * and otherwise the same number of days ending the day before the window starts.
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @returns {{preset: string, startDate: string, endDate: string, timeZone: string, label: string}} The previous window.
+ */
+function getPreviousReportWindow(reportWindow) {
+    const start = parseIsoDate(reportWindow.startDate);
+    const end = parseIsoDate(reportWindow.endDate);
+    const dayBeforeStart = addDays(start, -1);
+    const monthsBack = { LAST_FULL_MONTH: 1, MONTH_TO_DATE: 1, LAST_FULL_QUARTER: 3, QUARTER_TO_DATE: 3 }[reportWindow.preset];
+    let previousStart;
+    let previousEnd;
+
+    if (monthsBack) {
+        previousStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - monthsBack, 1));
+        previousEnd = dayBeforeStart;
+        if (reportWindow.preset.endsWith('_TO_DATE')) {
+            // The same number of days into the previous period, cut off at its last day
+            const elapsedDays = Math.round((end - start) / 86400000);
+            const sameDay = addDays(previousStart, elapsedDays);
+            previousEnd = sameDay < dayBeforeStart ? sameDay : dayBeforeStart;
+        }
+    } else {
+        const lengthDays = Math.round((end - start) / 86400000) + 1;
+        previousStart = addDays(start, -lengthDays);
+        previousEnd = dayBeforeStart;
+    }
+
+    const previousWindow = {
+        preset: reportWindow.preset,
+        startDate: formatIsoDate(previousStart),
+        endDate: formatIsoDate(previousEnd),
+        timeZone: reportWindow.timeZone
+    };
+    previousWindow.label = describeReportWindow(previousWindow);
+    return previousWindow;
+}
+
+
+/**
+ * Builds the human-readable description of a reporting window used in logs and sheet stamps.
+ * @param {{preset: string, startDate: string, endDate: string, timeZone: string}} reportWindow The window.
+ * @returns {string} e.g. "2025-09-01 to 2025-09-30 (LAST_FULL_MONTH, America/New_York)".
+ */
+function describeReportWindow(reportWindow) {
+    return `${reportWindow.startDate} to ${reportWindow.endDate} (${reportWindow.preset}, ${reportWindow.timeZone})`;
+}
+
+
+/**
+ * Stamps the reporting window onto an output sheet as a note on its header cell (A1),
+ * so the period travels with the tab without shifting any data or chart ranges.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet that was just written.
+ * @param {Object} reportWindow The window returned by resolveReportWindow.
+ */
+function stampReportWindow(sheet, reportWindow) {
+    if (!sheet || !reportWindow) return;
+    sheet.getRange(1, 1).setNote(`Reporting window: ${reportWindow.label}`);
+}
+
+
+/**
+ * Reads back the window stamped onto a sheet, even after arrangeReportTabs has added the tab's
+ * description to the note.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @returns {string} The window's label, or '' when the sheet has no stamp.
+ */
+function readReportWindowStamp(sheet) {
+    const match = /^Reporting window: (.*)$/m.exec(String(sheet.getRange(1, 1).getNote()));
+    return match ? match[1] : '';
+}
+
+
+/**
+ * Parses a 'yyyy-MM-dd' string into a Date at midnight UTC.
+ * @param {string} value The date string.
+ * @returns {Date} The parsed date.
+ */
+function parseIsoDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid date "${value}". Expected the format yyyy-MM-dd.`);
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (formatIsoDate(date) !== match[0]) {
+        throw new Error(`Invalid date "${value}".`);
+    }
+    return date;
+}
+
+
+/**
+ * Formats a UTC-midnight Date as 'yyyy-MM-dd'.
+ * @param {Date} date The date.
+ * @returns {string} The formatted date.
+ */
+function formatIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+
+/**
+ * Returns a new UTC-midnight Date shifted by a number of days.
+ * @param {Date} date The starting date.
+ * @param {number} days The number of days to add (negative to subtract).
+ * @returns {Date} The shifted date.
+ */
+function addDays(date, days) {
+    const shifted = new Date(date.getTime());
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted;
+}
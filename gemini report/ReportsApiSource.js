@@ -0,0 +1,163 @@
+// ====================================================================================
+// DATA SOURCE: ADMIN REPORTS API (for customers without a BigQuery export)
+// ====================================================================================
+
+const GEMINI_REPORTS_APPLICATION = 'gemini_in_workspace_apps';
+const GEMINI_EVENT_NAME = 'feature_utilization';
+const REPORTS_API_MAX_RETRIES = 5;
+
+const REPORTS_API_ERROR_HINTS = {
+    QUOTA: 'The Admin Reports API quota or rate limit was reached; wait for it to reset or narrow the reporting window.',
+    PERMISSION: 'The script account cannot read the audit reports; it needs the Reports admin privilege and the Admin SDK API enabled.',
+    INVALID: 'The Reports API rejected the request; check the reporting window and that the script account belongs to the customer.',
+    NOT_FOUND: 'The customer or application was not found; check the script account\'s domain.',
+    TRANSIENT: 'The Reports API had a temporary problem; try the run again.',
+    UNKNOWN: 'See the execution log for details.'
+};
+
+/**
+ * Pages through AdminReports.Activities.list for Gemini feature_utilization events in the window
+ * and reduces them to User/App/Action/Count rows (plus Date at daily grain), skipping the event
+ * categories excluded from the BigQuery query (BQ_EXCLUDED_EVENT_CATEGORIES, default inactive/unknown).
+ * @param {Object} reportWindow The window from resolveReportWindow.
+ * @param {function(string[], Array<Array<*>>)} onRows Called once with the reduced rows.
+ * @returns {{headers: string[], rowCount: number}} The columns and number of rows produced.
+ */
+function fetchReportsApiActivity(reportWindow, onRows) {
+    const properties = PropertiesService.getScriptProperties();
+    const excludedProperty = properties.getProperty('BQ_EXCLUDED_EVENT_CATEGORIES');
+    const excludedCategories = excludedProperty
+        ? excludedProperty.split(',').map(category => category.trim())
+        : DEFAULT_EXCLUDED_EVENT_CATEGORIES;
+    const dailyGrain = isDailyGrainEnabled();
+
+    // The window's days run midnight to midnight in its time zone; the API rejects end times in the future
+    const startTime = Utilities.parseDate(`${reportWindow.startDate} 00:00:00`, reportWindow.timeZone, 'yyyy-MM-dd HH:mm:ss');
+    const dayAfterEnd = formatIsoDate(addDays(parseIsoDate(reportWindow.endDate), 1));
+    const endTime = new Date(Math.min(
+        Utilities.parseDate(`${dayAfterEnd} 00:00:00`, reportWindow.timeZone, 'yyyy-MM-dd HH:mm:ss').getTime(),
+        Date.now()
+    ));
+    Logger.log(`Starting the Admin Reports API fetch for ${reportWindow.label}...`);
+
+    const counts = {};
+    let pageToken;
+    let pageCount = 0;
+    let eventCount = 0;
+
+    do {
+        let response;
+        for (let attempt = 0; attempt < REPORTS_API_MAX_RETRIES; attempt++) {
+            try {
+                response = AdminReports.Activities.list('all', GEMINI_REPORTS_APPLICATION, {
+                    eventName: GEMINI_EVENT_NAME,
+                    startTime: startTime.toISOString(),
+                    endTime: endTime.toISOString(),
+                    maxResults: 1000,
+                    pageToken: pageToken
+                });
+                break; // Success
+            } catch (e) {
+                // Only rate limits and server errors can go away on their own
+                const category = classifyReportsApiError(e);
+                Logger.log(`Attempt ${attempt + 1} of ${REPORTS_API_MAX_RETRIES} failed (${category}): ${e.message}`);
+                if (category !== 'QUOTA' && category !== 'TRANSIENT') {
+                    throw createReportsApiError(category, e.message);
+                }
+                if (attempt < REPORTS_API_MAX_RETRIES - 1) {
+                    const sleepTime = Math.pow(2, attempt + 1) * 1000 + Math.floor(Math.random() * 1000);
+                    Logger.log(`Retrying in ${sleepTime / 1000} seconds...`);
+                    Utilities.sleep(sleepTime);
+                } else {
+                    throw createReportsApiError(category, `Failed after ${REPORTS_API_MAX_RETRIES} attempts. Last error: ${e.message}`);
+                }
+            }
+        }
+
+        const activities = (response && response.items) || [];
+        activities.forEach(activity => {
+            const user = activity.actor && activity.actor.email;
+            if (!user) return;
+            const date = dailyGrain ? Utilities.formatDate(new Date(activity.id.time), reportWindow.timeZone, 'yyyy-MM-dd') : '';
+            (activity.events || []).forEach(event => {
+                if (event.name !== GEMINI_EVENT_NAME) return;
+                const params = getEventParameters(event);
+                if (excludedCategories.includes(params.event_category)) return;
+                const app = params.app_name || '';
+                const action = params.action || '';
+                const key = [user, app, action, date].join('|||');
+                if (!counts[key]) {
+                    counts[key] = dailyGrain ? [user, app, action, 0, date] : [user, app, action, 0];
+                }
+                counts[key][3] += 1;
+                eventCount++;
+            });
+        });
+
+        pageCount++;
+        pageToken = response ? response.nextPageToken : null;
+    } while (pageToken);
+
+    const headers = dailyGrain ? [...ACTIVITY_COLUMNS, 'Date'] : ACTIVITY_COLUMNS.slice();
+    const rows = Object.keys(counts).map(key => counts[key]);
+    Logger.log(`Fetched ${pageCount} page(s) from the Reports API: ${eventCount} Gemini events in ${rows.length} rows.`);
+    if (rows.length > 0) {
+        onRows(headers, rows);
+    }
+    return { headers: headers, rowCount: rows.length };
+}
+
+
+/**
+ * Maps an AdminReports.Activities.list failure to a category, from its HTTP status and reason
+ * when the advanced service passes them on, or else from its message.
+ * @param {Error} e The error.
+ * @returns {string} QUOTA, PERMISSION, INVALID, NOT_FOUND, TRANSIENT or UNKNOWN.
+ */
+function classifyReportsApiError(e) {
+    const details = e.details || {};
+    const code = Number(details.code) || 0;
+    const reason = details.errors && details.errors[0] ? details.errors[0].reason : '';
+    if (code === 429 || /rateLimitExceeded|quotaExceeded/.test(reason)) return 'QUOTA';
+    if (code >= 500 || reason === 'backendError' || reason === 'internalError') return 'TRANSIENT';
+    if (code === 401 || code === 403 || ['forbidden', 'insufficientPermissions', 'authError'].indexOf(reason) !== -1) return 'PERMISSION';
+    if (code === 404 || reason === 'notFound') return 'NOT_FOUND';
+    if (code === 400 || ['invalid', 'badRequest', 'required'].indexOf(reason) !== -1) return 'INVALID';
+
+    const text = String(e.message || '').toLowerCase();
+    if (/quota|rate limit|too many requests/.test(text)) return 'QUOTA';
+    if (/access|permission|forbidden|not authorized|unauthorized/.test(text)) return 'PERMISSION';
+    if (/bad request|invalid/.test(text)) return 'INVALID';
+    if (/not found/.test(text)) return 'NOT_FOUND';
+    if (/backend error|internal error|service unavailable|try again|timed out|econnreset/.test(text)) return 'TRANSIENT';
+    return 'UNKNOWN';
+}
+
+
+/**
+ * Builds an Error whose message names the Reports API failure category and what to do about it,
+ * with the category attached as a property like the BigQuery errors.
+ * @param {string} category A classifyReportsApiError category.
+ * @param {string} message The underlying message.
+ * @returns {Error} The classified error.
+ */
+function createReportsApiError(category, message) {
+    const error = new Error(`Admin Reports API ${category} error: ${message} — ${REPORTS_API_ERROR_HINTS[category] || REPORTS_API_ERROR_HINTS.UNKNOWN}`);
+    error.category = category;
+    return error;
+}
+
+
+/**
+ * Flattens a Reports API event's parameter list into a name -> value object.
+ * @param {Object} event The activity event.
+ * @returns {Object<string, string>} The parameter values.
+ */
+function getEventParameters(event) {
+    const params = {};
+    (event.parameters || []).forEach(param => {
+        params[param.name] = param.value !== undefined ? param.value
+            : (param.multiValue ? param.multiValue.join(', ') : param.intValue || param.boolValue);
+    });
+    return params;
+}
@@ -0,0 +1,139 @@
+// ====================================================================================
+// STAFF COUNT CHECKS: VALIDATING THE STAFF COUNT SHEET BEFORE THE RUN USES IT
+// ====================================================================================
+
+const STAFF_COUNT_REQUIRED_HEADERS = ['OU', 'Number of active staff emails', 'Gemini usage', 'Gemini report sheet id'];
+const STAFF_COUNT_FINDINGS_HEADER = ['Severity', 'Check', 'Row', 'OU', 'Finding'];
+
+/**
+ * Reads and checks the staff count sheet. Errors (the sheet can't be read or lacks a required
+ * column) stop the run; warnings are reported and the run goes on with the sheet as it is.
+ * @param {string} spreadsheetId The staff count spreadsheet.
+ * @param {string} sheetName The tab holding the staff counts.
+ * @param {Array<*>} activityOus The OU of every raw activity row.
+ * @returns {{spreadsheet: ?Spreadsheet, values: ?Array<Array<*>>, findings: Array<Array<*>>}}
+ *     The spreadsheet and its values (header row first) when they could be read, and rows
+ *     matching STAFF_COUNT_FINDINGS_HEADER.
+ */
+function checkStaffCountSheet(spreadsheetId, sheetName, activityOus) {
+    const result = { spreadsheet: null, values: null, findings: [] };
+    const addFinding = (severity, check, row, ou, finding) => result.findings.push([severity, check, row, ou, finding]);
+
+    try {
+        result.spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    } catch (e) {
+        addFinding('Error', 'Spreadsheet', '', '', `The staff count spreadsheet "${spreadsheetId}" (STAFF_COUNT_SPREADSHEET_ID) could not be opened: ${e.message}`);
+        return result;
+    }
+    const sheet = result.spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+        addFinding('Error', 'Spreadsheet', '', '', `The staff count spreadsheet has no "${sheetName}" tab.`);
+        return result;
+    }
+    result.values = sheet.getDataRange().getValues();
+
+    const headers = result.values[0] || [];
+    const missing = STAFF_COUNT_REQUIRED_HEADERS.filter(header => headers.indexOf(header) === -1);
+    missing.forEach(header => addFinding('Error', 'Headers', 1, '', `The required column "${header}" is missing.`));
+    if (missing.length > 0) return result;
+
+    const index = header => headers.indexOf(header);
+    const sheetIdColumns = ['Gemini report sheet id', 'Directory export sheet id'].filter(header => index(header) !== -1);
+    const rowsByOu = new Map();
+    const countsByOu = new Map();
+    const checkedIds = new Map();
+
+    result.values.slice(1).forEach((row, i) => {
+        const rowNumber = i + 2;
+        const ou = row[index('OU')];
+        if (!ou) return;
+
+        if (rowsByOu.has(ou)) {
+            addFinding('Warning', 'Duplicate OU', rowNumber, ou, `The OU is also on row ${rowsByOu.get(ou)}. This row's staff count replaces it, and both rows count towards the Gemini usage total.`);
+        } else {
+            rowsByOu.set(ou, rowNumber);
+        }
+
+        const count = row[index('Number of active staff emails')];
+        if (count === '' || isNaN(parseInt(count, 10))) {
+            addFinding('Warning', 'Staff count', rowNumber, ou, `"${count}" is not a number of active staff emails. It is counted as 0, so the OU has no adoption %.`);
+        } else if (parseInt(count, 10) <= 0) {
+            addFinding('Warning', 'Staff count', rowNumber, ou, `The OU has ${count} active staff emails, so it has no adoption %.`);
+        } else {
+            countsByOu.set(ou, parseInt(count, 10));
+        }
+
+        const geminiUsage = row[index('Gemini usage')];
+        if (String(geminiUsage) !== '0' && String(geminiUsage) !== '1') {
+            addFinding('Warning', 'Gemini usage', rowNumber, ou, `"${geminiUsage}" is not 0 or 1. The OU's staff are left out of the Gemini usage total.`);
+        }
+
+        sheetIdColumns.forEach(header => {
+            const id = String(row[index(header)] || '').trim();
+            if (!id) return;
+            if (!checkedIds.has(id)) {
+                checkedIds.set(id, isSpreadsheetReachable(id));
+            }
+            if (!checkedIds.get(id)) {
+                addFinding('Warning', header, rowNumber, ou, `The spreadsheet "${id}" could not be opened. Check the id and that this script's account can edit it.`);
+            }
+        });
+    });
+
+    // Rollups add a parent's row to its sub-OUs' rows, so a parent counted with its subtree is counted twice
+    countsByOu.forEach((count, ou) => {
+        const subOus = Array.from(countsByOu.keys()).filter(other => other !== ou && isOuWithin(other, ou));
+        const subOuCount = subOus.reduce((sum, other) => sum + countsByOu.get(other), 0);
+        if (subOus.length > 0 && count >= subOuCount) {
+            addFinding('Warning', 'Sub-OU staff', rowsByOu.get(ou), ou, `The OU's ${count} active staff are at least the ${subOuCount} on its sub-OUs' rows. ` +
+                'If that count already includes the sub-OUs, change it to the staff directly in this OU, or the OU rollups count the sub-OUs twice.');
+        }
+    });
+
+    const missingOus = new Map();
+    activityOus.forEach(ou => {
+        if (ou && !rowsByOu.has(ou)) missingOus.set(ou, (missingOus.get(ou) || 0) + 1);
+    });
+    Array.from(missingOus.keys()).sort().forEach(ou => {
+        addFinding('Warning', 'Missing OU', '', ou, `The OU has ${missingOus.get(ou)} activity rows but no staff count row, so it has no staff count or adoption %.`);
+    });
+    return result;
+}
+
+
+/**
+ * Returns whether a spreadsheet can be opened with this script's account.
+ * @param {string} spreadsheetId The spreadsheet.
+ * @returns {boolean} True if it opened.
+ */
+function isSpreadsheetReachable(spreadsheetId) {
+    try {
+        SpreadsheetApp.openById(spreadsheetId);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+
+/**
+ * Writes the Staff count checks tab: one row per finding, or a single row saying there were none.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Array<Array<*>>} findings From checkStaffCountSheet.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ */
+function writeStaffCountFindingsSheet(spreadsheet, findings, reportWindow) {
+    const sheetName = getReportTabName('STAFF_CHECKS');
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    const rows = findings.length > 0 ? findings : [['OK', 'All checks', '', '', 'No problems found in the staff count sheet.']];
+    const results = [STAFF_COUNT_FINDINGS_HEADER, ...rows];
+    sheet.getRange(1, 1, results.length, STAFF_COUNT_FINDINGS_HEADER.length).setValues(results);
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Wrote ${findings.length} staff count findings to ${sheetName}.`);
+}
@@ -0,0 +1,124 @@
+// ====================================================================================
+// SMALL-GROUP SUPPRESSION: HIDING METRICS THAT WOULD IDENTIFY INDIVIDUALS
+// ====================================================================================
+
+const SUPPRESSION_LOG_HEADER = ['Tab', 'Group', 'Count(User)', 'Number of active staff emails', 'Reason', 'Suppressed columns'];
+
+/**
+ * Returns the minimum group size: the REPORT_MIN_GROUP_SIZE script property, or 0 (off) when unset.
+ * @returns {number} A whole number; 0 turns suppression off.
+ */
+function getMinGroupSize() {
+    const value = PropertiesService.getScriptProperties().getProperty('REPORT_MIN_GROUP_SIZE');
+    if (!value) return 0;
+    const minGroupSize = Number(value);
+    if (!(Number.isInteger(minGroupSize) && minGroupSize >= 0)) {
+        throw new Error(`REPORT_MIN_GROUP_SIZE must be a whole number of users, got "${value}".`);
+    }
+    return minGroupSize;
+}
+
+
+/**
+ * Returns the minimum group size an aggregation run suppresses with, read once per run.
+ * @param {Object} context From createAggregationContext; the size is cached on it.
+ * @returns {number} From getMinGroupSize.
+ */
+function getContextMinGroupSize(context) {
+    if (context.minGroupSize === undefined) {
+        context.minGroupSize = getMinGroupSize();
+    }
+    return context.minGroupSize;
+}
+
+
+/**
+ * Returns why a group is too small to report on, or '' when it is not: it has fewer than N users,
+ * or it is within one OU and that OU has fewer than N active staff.
+ * @param {number} minGroupSize From getContextMinGroupSize; 0 never suppresses.
+ * @param {number} users The group's users.
+ * @param {number|string} staff The OU's active staff, or '' when the group is not within one OU.
+ * @returns {string} The reason for the Suppression log, or ''.
+ */
+function getSmallGroupReason(minGroupSize, users, staff) {
+    if (!minGroupSize) return '';
+    if (users < minGroupSize) return `Fewer than ${minGroupSize} users`;
+    if (staff !== '' && staff < minGroupSize) return `Fewer than ${minGroupSize} active staff`;
+    return '';
+}
+
+
+/**
+ * Whether a cell holds the "<N" label a small group's values are replaced with.
+ * @param {*} value A cell value.
+ * @returns {boolean} True for the label.
+ */
+function isSuppressionLabel(value) {
+    return typeof value === 'string' && /^<\d+$/.test(value);
+}
+
+
+/**
+ * Replaces the spec's suppress: true columns with "<N" on every row whose group has fewer than N
+ * users, or (when grouped by OU) whose OU has fewer than N active staff, and records each one in
+ * the context's suppression log. Charts skip the text cells, so they hide the same values.
+ * @param {Object} spec An entry of AGGREGATION_SPECS.
+ * @param {Object} context From createAggregationContext.
+ * @param {Object[]} columns From expandAggregationColumns.
+ * @param {Object[]} groups From groupAggregationRows.
+ * @param {Array<Array<*>>} rows The rows computed from the groups, in the same order; changed in place.
+ */
+function suppressSmallGroups(spec, context, columns, groups, rows) {
+    const minGroupSize = getContextMinGroupSize(context);
+    const suppressedColumns = columns.map((column, i) => (column.suppress ? i : -1)).filter(i => i !== -1);
+    if (!minGroupSize || suppressedColumns.length === 0) return;
+
+    const label = `<${minGroupSize}`;
+    const byOu = (spec.dimensions || []).indexOf('ou') !== -1;
+    groups.forEach((group, i) => {
+        const users = group.users.size;
+        const staff = byOu ? (context.staffCountMap[group.values.ou] || 0) : '';
+        const reason = getSmallGroupReason(minGroupSize, users, staff);
+        if (!reason) return;
+
+        suppressedColumns.forEach(index => { rows[i][index] = label; });
+        context.suppressions.push([
+            getReportTabName(spec.tab),
+            spec.dimensions.map(field => group.values[field]).join(' / '),
+            users,
+            staff,
+            reason,
+            suppressedColumns.map(index => columns[index].header).join(', ')
+        ]);
+    });
+}
+
+
+/**
+ * Writes the Suppression log tab: one row per suppressed group, with the counts that caused it.
+ * The log holds the real counts, so it is written to the central spreadsheet only.
+ * @param {Spreadsheet} spreadsheet The central report spreadsheet.
+ * @param {Object} context From createAggregationContext, after every spec has run.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ */
+function writeSuppressionLogSheet(spreadsheet, context, reportWindow) {
+    const sheetName = getReportTabName('SUPPRESSION_LOG');
+    if (!getContextMinGroupSize(context)) {
+        Logger.log(`REPORT_MIN_GROUP_SIZE is not set. Skipping ${sheetName}.`);
+        return;
+    }
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    // Specs run in their own order; list the groups in the order the tabs appear in
+    const tabOrder = getReportTabs().map(tab => tab.name);
+    const rows = [...context.suppressions].sort((a, b) => tabOrder.indexOf(a[0]) - tabOrder.indexOf(b[0]));
+    const results = [SUPPRESSION_LOG_HEADER, ...rows];
+    sheet.getRange(1, 1, results.length, SUPPRESSION_LOG_HEADER.length).setValues(results);
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Suppressed ${context.suppressions.length} groups with fewer than ${context.minGroupSize} users or staff; see ${sheetName}.`);
+}
@@ -0,0 +1,435 @@
+// ====================================================================================
+// TAB MANIFEST: NAMES, ORDER, DESCRIPTIONS AND HEADER NOTES OF THE OUTPUT TABS
+// ====================================================================================
+
+const REPORT_AUDIENCE_CENTRAL = 'central';
+const REPORT_AUDIENCE_OU = 'ou';
+
+/**
+ * Every tab the report writes, in display order. A tab with an ouName is also written to each OU
+ * spreadsheet, filtered to that OU. legacyNames (and ouLegacyNames) are the names older versions
+ * of this script used; migrateReportTabs renames those tabs in place. notes are header notes for
+ * this tab only and take precedence over REPORT_COLUMN_NOTES. A tab with window: 'previous' holds
+ * the previous reporting window rather than the current one, and keeps the window it was fetched
+ * for; window: 'cohort' holds the cohort lookback (Cohorts.js) and keeps its window likewise;
+ * window: 'none' is not tied to a window.
+ */
+const REPORT_TABS = [
+    {
+        id: 'CONTENTS',
+        name: 'About this report',
+        ouName: 'About this report',
+        description: 'What each tab in this spreadsheet shows.'
+    },
+    {
+        id: 'OVERALL',
+        name: 'Overall',
+        legacyNames: ['Sheet9'],
+        description: 'Total Gemini activity and adoption across every OU.'
+    },
+    {
+        id: 'OUS',
+        name: 'By OU',
+        legacyNames: ['Sheet8'],
+        ouName: 'OU summary',
+        ouLegacyNames: ['Sheet5'],
+        description: 'Activity and adoption per OU, highest adoption first.'
+    },
+    {
+        id: 'OU_ROLLUP',
+        name: 'OU rollup',
+        description: 'Every level of the OU paths, with each OU\'s figures added into all of its parents. Expand a parent to see its sub-OUs. Only written when some OU is below another.',
+        notes: {
+            'Level': 'Depth in the OU tree; 1 is a top-level OU.',
+            'Number of active staff emails': 'Active staff in the OU and all of its sub-OUs.',
+            'OUs included': 'OUs in this part of the tree with activity or a staff count row.'
+        }
+    },
+    {
+        id: 'DEPARTMENTS',
+        name: 'By department',
+        description: 'Activity and adoption per department, from the OU sheet\'s Department column. Only written when REPORT_JOIN_DIRECTORY is true.',
+        notes: { 'Department staff': 'Users in the OU sheet with this department.' }
+    },
+    {
+        id: 'MANAGERS',
+        name: 'By manager',
+        description: 'Activity and adoption within each manager\'s team of direct reports, from the OU sheet\'s Manager column. Only written when REPORT_JOIN_DIRECTORY is true.',
+        notes: {
+            'Manager': 'The team\'s manager.',
+            'Direct reports': 'Users in the OU sheet with this manager.',
+            'Adoption %': 'Direct reports with at least one action divided by all direct reports.'
+        }
+    },
+    {
+        id: 'APPS',
+        name: 'By app',
+        legacyNames: ['Sheet7'],
+        description: 'Activity and adoption per app across every OU, with each app\'s top user.',
+        notes: { 'App Count %': 'Share of all Gemini actions that were in this app.' }
+    },
+    {
+        id: 'OU_APPS',
+        name: 'By OU & app',
+        legacyNames: ['Sheet6'],
+        ouName: 'By app',
+        ouLegacyNames: ['Sheet4'],
+        description: 'Activity and adoption per app within each OU, with each app\'s top user.',
+        notes: { 'App Count %': 'Share of the OU\'s Gemini actions that were in this app.' }
+    },
+    {
+        id: 'USERS',
+        name: 'User leaderboard',
+        legacyNames: ['Sheet5'],
+        ouName: 'User leaderboard',
+        ouLegacyNames: ['Sheet3'],
+        description: 'Gemini actions per user and app, most active users first.'
+    },
+    {
+        id: 'RANKINGS',
+        name: 'App rankings',
+        legacyNames: ['Sheet5a'],
+        ouName: 'App rankings',
+        ouLegacyNames: ['Sheet3a'],
+        description: 'For each app, its users ranked by number of actions.'
+    },
+    {
+        id: 'TIERS',
+        name: 'Engagement tiers',
+        description: 'Users per engagement tier in each OU, from the User leaderboard\'s Tier column.',
+        notes: { 'Inactive staff': 'Active staff emails with no Gemini actions, plus users below the Light threshold.' }
+    },
+    {
+        id: 'CHAMPIONS',
+        name: 'Champions',
+        ouName: 'Champions',
+        description: 'The top users of each OU and of each app (REPORT_TOP_N, default 5), with their share of the group\'s actions. Tied users share a rank.',
+        notes: {
+            'Scope': 'OU: the users of each OU. App: the users of each app.',
+            'Share of group': 'The user\'s share of the group\'s Gemini actions.'
+        }
+    },
+    {
+        id: 'NO_ACTIVITY',
+        name: 'No Gemini activity',
+        ouName: 'No Gemini activity',
+        description: 'Users in the OU\'s directory export with no Gemini activity in the reporting window.',
+        notes: { 'Last Login Time': 'From the directory export, as of when the contact report last ran.' }
+    },
+    {
+        id: 'TIME_SAVED',
+        name: 'Time saved assumptions',
+        ouName: 'Time saved assumptions',
+        description: 'The minutes one action is assumed to save, which the Est. hours saved columns are calculated from. Only written when TIME_SAVED_SPREADSHEET_ID is set.',
+        notes: { 'App': 'The app, or (any app) for an action priced the same in every app.' }
+    },
+    {
+        id: 'CATEGORIES',
+        name: 'By category',
+        description: 'Activity per action category from the action taxonomy, with each app\'s actions. Only written when ACTION_TAXONOMY_SPREADSHEET_ID is set.',
+        notes: { 'Category Count %': 'Share of all Gemini actions that were in this category.' }
+    },
+    {
+        id: 'ACTIONS',
+        name: 'By action',
+        legacyNames: ['Sheet2'],
+        description: 'Activity per Gemini action across every app and OU.'
+    },
+    {
+        id: 'APP_ACTIONS',
+        name: 'By app & action',
+        legacyNames: ['Sheet3'],
+        description: 'Activity per action within each app.'
+    },
+    {
+        id: 'OU_APP_ACTIONS',
+        name: 'By OU, app & action',
+        legacyNames: ['Sheet4'],
+        ouName: 'By app & action',
+        ouLegacyNames: ['Sheet2'],
+        description: 'Activity per action within each app and OU.'
+    },
+    {
+        id: 'DAILY_TREND',
+        name: 'Daily trend',
+        description: 'Daily active users and actions by app and by OU (daily grain only).'
+    },
+    {
+        id: 'COHORTS',
+        name: 'Cohort retention',
+        window: 'cohort',
+        description: 'Users grouped by the week or month of their first Gemini use in the lookback, with the share of each cohort active in each week since. The first cohort also holds users who started before the lookback. Only written when REPORT_COHORT_RETENTION is set (daily grain only).',
+        notes: {
+            'Cohort': 'First day of the week (Monday) or month in which the cohort\'s users first used Gemini.',
+            'OU': 'All, or the OU of the users on their first day.',
+            'Users': 'Users in the cohort.',
+            'Week 0': 'The seven days from each user\'s first use, so always 100%. Week N is the seven days N weeks later: the share of the cohort active then, out of the users for whom it had started by the end of the lookback. Blank when it had not started for any.'
+        }
+    },
+    {
+        id: 'UNMAPPED',
+        name: 'Unmapped users',
+        description: 'Users with Gemini activity who are not in the OU sheet.'
+    },
+    {
+        id: 'UNMAPPED_ACTIONS',
+        name: 'Unmapped actions',
+        description: 'Actions in the window that the action taxonomy does not list yet. Add them to it to name, categorise or exclude them.'
+    },
+    {
+        id: 'STAFF_CHECKS',
+        name: 'Staff count checks',
+        description: 'Problems found in the staff count sheet before the run used it. Errors stop the run; warnings explain missing or odd staff counts and adoption.'
+    },
+    {
+        id: 'SUPPRESSION_LOG',
+        name: 'Suppression log',
+        description: 'The groups whose user counts, adoption and top users show "<N" because fewer than REPORT_MIN_GROUP_SIZE users or staff are behind them.'
+    },
+    {
+        id: 'PSEUDONYM_KEY',
+        name: 'Pseudonym key',
+        window: 'none',
+        description: 'The users behind the pseudonyms in the spreadsheets of OUs with a Privacy setting. Do not share this tab.'
+    },
+    {
+        id: 'RAW',
+        name: 'Raw activity',
+        legacyNames: ['Sheet1'],
+        ouName: 'Raw activity',
+        ouLegacyNames: ['Sheet1'],
+        description: 'The activity rows every other tab is built from.'
+    },
+    {
+        id: 'PREVIOUS_RAW',
+        name: 'Previous activity',
+        window: 'previous',
+        description: 'The activity rows of the previous reporting window, which the change columns compare against.'
+    },
+    {
+        id: 'COHORT_RAW',
+        name: 'Cohort activity',
+        window: 'cohort',
+        description: 'The daily activity rows of the cohort lookback, which the Cohort retention tab is built from.'
+    }
+];
+
+/**
+ * Header notes shared by every tab that has a column with this header.
+ */
+const REPORT_COLUMN_NOTES = {
+    'OU': 'Organizational unit, from the OU sheet.',
+    'Count': 'Number of Gemini actions on this row.',
+    'Sum(Count)': 'Total number of Gemini actions.',
+    'Unique(User)': 'Distinct users with at least one action.',
+    'Count(User)': 'Distinct users with at least one action.',
+    'Number of active staff emails': 'Active staff from the staff count sheet. Overall and per-app figures count the OUs with Gemini usage.',
+    'Adoption %': 'Distinct users divided by active staff.',
+    'Est. hours saved': 'Actions times the minutes each saves, from the Time saved assumptions tab, in hours. Actions not in that table count as 0.',
+    'OU Count %': 'Share of all Gemini actions that came from this OU.',
+    'Max(User)': 'The user with the most actions in this group.',
+    'Max(User) OU': 'The OU of that user.',
+    'Max(User) Action': 'The action that user used most.',
+    'Overall': 'The user\'s actions across all apps.',
+    'Rank': 'Position in each app\'s column, by the user\'s actions in that app.',
+    'Tier': 'Power, Regular, Light or Inactive, by the user\'s actions in the window (REPORT_ENGAGEMENT_TIERS).',
+    'Sum(Count) change': 'Change in Gemini actions since the previous reporting window.',
+    'Sum(Count) change %': 'Change in Gemini actions as a share of the previous window\'s; blank when it had none.',
+    'Count(User) change': 'Change in distinct users since the previous reporting window.',
+    'Count(User) change %': 'Change in distinct users as a share of the previous window\'s; blank when it had none.',
+    'Adoption % change': 'Change in adoption since the previous reporting window, in percentage points.',
+    'Adoption % change %': 'Change in adoption as a share of the previous window\'s adoption; blank when it was 0.'
+};
+
+let resolvedReportTabs = null;
+
+/**
+ * Returns the manifest entries written for an audience, in display order, with the names and order
+ * overridden by the REPORT_TAB_NAMES and REPORT_TAB_ORDER script properties.
+ * @param {string} [audience] REPORT_AUDIENCE_CENTRAL (default) or REPORT_AUDIENCE_OU.
+ * @returns {Array<{id: string, name: string, previousNames: string[], description: string, notes: Object, window: string}>} The tabs.
+ */
+function getReportTabs(audience) {
+    if (!resolvedReportTabs) {
+        resolvedReportTabs = resolveReportTabs(PropertiesService.getScriptProperties());
+    }
+    return resolvedReportTabs[audience || REPORT_AUDIENCE_CENTRAL];
+}
+
+
+/**
+ * Returns the name of a tab in the central or OU spreadsheets.
+ * @param {string} id The tab's id in REPORT_TABS.
+ * @param {string} [audience] REPORT_AUDIENCE_CENTRAL (default) or REPORT_AUDIENCE_OU.
+ * @returns {string} The tab name.
+ */
+function getReportTabName(id, audience) {
+    const tab = getReportTabs(audience).find(entry => entry.id === id);
+    if (!tab) {
+        throw new Error(`Tab "${id}" is not written to the ${audience || REPORT_AUDIENCE_CENTRAL} spreadsheet.`);
+    }
+    return tab.name;
+}
+
+
+/**
+ * Applies the overrides to REPORT_TABS.
+ *   REPORT_TAB_NAMES  JSON object of tab id -> new name, or -> { name, ouName }.
+ *   REPORT_TAB_ORDER  Comma-separated tab ids to show first, in that order; the rest follow in
+ *                     manifest order.
+ * @param {Properties} properties The script properties.
+ * @returns {Object<string, Object[]>} The tabs for each audience.
+ */
+function resolveReportTabs(properties) {
+    const namesProperty = properties.getProperty('REPORT_TAB_NAMES');
+    let nameOverrides = {};
+    if (namesProperty) {
+        try {
+            nameOverrides = JSON.parse(namesProperty);
+        } catch (e) {
+            throw new Error(`REPORT_TAB_NAMES is not valid JSON: ${e.message}`);
+        }
+    }
+    const knownIds = REPORT_TABS.map(tab => tab.id);
+    Object.keys(nameOverrides).forEach(id => {
+        if (!knownIds.includes(id)) {
+            throw new Error(`REPORT_TAB_NAMES has an unknown tab "${id}". Expected one of: ${knownIds.join(', ')}.`);
+        }
+    });
+
+    const orderProperty = properties.getProperty('REPORT_TAB_ORDER');
+    const leadingIds = orderProperty ? orderProperty.split(',').map(id => id.trim()).filter(Boolean) : [];
+    leadingIds.forEach(id => {
+        if (!knownIds.includes(id)) {
+            throw new Error(`REPORT_TAB_ORDER has an unknown tab "${id}". Expected one of: ${knownIds.join(', ')}.`);
+        }
+    });
+    const orderedTabs = [
+        ...leadingIds.map(id => REPORT_TABS.find(tab => tab.id === id)),
+        ...REPORT_TABS.filter(tab => !leadingIds.includes(tab.id))
+    ];
+
+    const resolved = {};
+    [REPORT_AUDIENCE_CENTRAL, REPORT_AUDIENCE_OU].forEach(audience => {
+        const isOu = audience === REPORT_AUDIENCE_OU;
+        const tabs = [];
+        orderedTabs.forEach(tab => {
+            const defaultName = isOu ? tab.ouName : tab.name;
+            if (!defaultName) return;
+            const override = nameOverrides[tab.id];
+            const overrideName = typeof override === 'string'
+                ? (isOu ? null : override)
+                : override && (isOu ? override.ouName : override.name);
+            const name = overrideName || defaultName;
+            const previousNames = [defaultName, ...((isOu ? tab.ouLegacyNames : tab.legacyNames) || [])]
+                .filter(previousName => previousName !== name);
+            tabs.push({ id: tab.id, name: name, previousNames: previousNames, description: tab.description, notes: tab.notes || {}, window: tab.window });
+        });
+
+        const seen = {};
+        tabs.forEach(tab => {
+            if (seen[tab.name]) {
+                throw new Error(`Tabs ${seen[tab.name]} and ${tab.id} are both named "${tab.name}" in the ${audience} spreadsheet.`);
+            }
+            seen[tab.name] = tab.id;
+        });
+        resolved[audience] = tabs;
+    });
+    return resolved;
+}
+
+
+/**
+ * Renames tabs left over from older versions of the report (Sheet1-Sheet9, Sheet5a, or a manifest
+ * name that has since been overridden) to their current names, so their charts, formatting and
+ * links are kept. A tab that already exists under its current name is left alone.
+ * @param {Spreadsheet} spreadsheet The central or an OU spreadsheet.
+ * @param {string} [audience] REPORT_AUDIENCE_CENTRAL (default) or REPORT_AUDIENCE_OU.
+ */
+function migrateReportTabs(spreadsheet, audience) {
+    getReportTabs(audience).forEach(tab => {
+        if (spreadsheet.getSheetByName(tab.name)) return;
+        for (const previousName of tab.previousNames) {
+            const sheet = spreadsheet.getSheetByName(previousName);
+            if (sheet) {
+                sheet.setName(tab.name);
+                Logger.log(`Renamed tab "${previousName}" to "${tab.name}" in "${spreadsheet.getName()}".`);
+                return;
+            }
+        }
+    });
+}
+
+
+/**
+ * Writes the contents tab, puts the report's tabs in manifest order ahead of any other tabs, and
+ * sets the header notes. The note on A1 of each tab holds its description, the A1 header note and
+ * the reporting window.
+ * @param {Spreadsheet} spreadsheet The central or an OU spreadsheet.
+ * @param {string} audience REPORT_AUDIENCE_CENTRAL or REPORT_AUDIENCE_OU.
+ * @param {Object} reportWindow The window the tabs cover.
+ */
+function arrangeReportTabs(spreadsheet, audience, reportWindow) {
+    const tabs = getReportTabs(audience);
+    const contentsTab = tabs.find(tab => tab.id === 'CONTENTS');
+    const presentTabs = tabs.filter(tab => tab.id === 'CONTENTS' || spreadsheet.getSheetByName(tab.name));
+
+    let contentsSheet = spreadsheet.getSheetByName(contentsTab.name);
+    if (contentsSheet) {
+        contentsSheet.clear();
+    } else {
+        contentsSheet = spreadsheet.insertSheet(contentsTab.name);
+    }
+    const contents = [['Tab', 'Description'], ...presentTabs.map(tab => [tab.name, tab.description])];
+    contentsSheet.getRange(1, 1, contents.length, 2).setValues(contents);
+    contentsSheet.setFrozenRows(1);
+
+    presentTabs.forEach((tab, i) => {
+        const sheet = spreadsheet.getSheetByName(tab.name);
+        applyReportTabNotes(sheet, tab, getTabReportWindow(tab, sheet, reportWindow));
+        if (sheet.getIndex() !== i + 1) {
+            spreadsheet.setActiveSheet(sheet);
+            spreadsheet.moveActiveSheet(i + 1);
+        }
+    });
+    Logger.log(`Arranged ${presentTabs.length} tabs in "${spreadsheet.getName()}".`);
+}
+
+
+/**
+ * Returns the window a tab's rows cover, for its header note. The previous window's activity and
+ * the cohort lookback keep the window stamped when they were written: readPreviousActivity and
+ * readCohortActivity check that stamp, and a run that did not fetch them must not pass older rows
+ * off as this run's.
+ * @param {Object} tab Its entry from getReportTabs.
+ * @param {Sheet} sheet The tab.
+ * @param {Object} [reportWindow] The run's window.
+ * @returns {Object|null} The run's window, the window the tab was written for, or null for a tab
+ *     not tied to a window.
+ */
+function getTabReportWindow(tab, sheet, reportWindow) {
+    if (tab.window === 'previous' || tab.window === 'cohort') {
+        const label = readReportWindowStamp(sheet);
+        return label ? { label: label } : null;
+    }
+    if (!reportWindow || tab.window === 'none') return null;
+    return reportWindow;
+}
+
+
+/**
+ * Sets the notes on a tab's header row.
+ * @param {Sheet} sheet The tab.
+ * @param {Object} tab Its entry from getReportTabs.
+ * @param {Object} reportWindow The window the tab covers.
+ */
+function applyReportTabNotes(sheet, tab, reportWindow) {
+    const lastColumn = sheet.getLastColumn();
+    if (lastColumn === 0) return;
+    const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+    const notes = headers.map(header => tab.notes[header] || REPORT_COLUMN_NOTES[header] || '');
+    notes[0] = [tab.description, notes[0], reportWindow ? `Reporting window: ${reportWindow.label}` : '']
+        .filter(Boolean)
+        .join('\n\n');
+    sheet.getRange(1, 1, 1, lastColumn).setNotes([notes]);
+}
@@ -0,0 +1,105 @@
+// ====================================================================================
+// TIME SAVED: ESTIMATED HOURS SAVED FROM A MINUTES-PER-ACTION TABLE
+// ====================================================================================
+
+const TIME_SAVED_HEADERS = ['App', 'Action', 'Minutes saved'];
+const TIME_SAVED_ASSUMPTIONS_HEADER = ['App', 'Action', 'Minutes saved per action'];
+const HOURS_SAVED_HEADER = 'Est. hours saved';
+
+/**
+ * Reads the minutes-saved table: one row per raw app and action with the minutes one action saves.
+ * A blank App matches the action in every app.
+ * @param {string} spreadsheetId The TIME_SAVED_SPREADSHEET_ID spreadsheet.
+ * @param {string} sheetName The tab holding the table.
+ * @returns {{rows: Array<Array<*>>, minutes: Map<string, number>}} The table's rows, matching
+ *     TIME_SAVED_HEADERS, and the minutes by actionTaxonomyKey.
+ */
+function loadTimeSavedTable(spreadsheetId, sheetName) {
+    const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(sheetName);
+    if (!sheet) {
+        throw new Error(`The time saved spreadsheet has no "${sheetName}" tab.`);
+    }
+    const values = sheet.getDataRange().getValues();
+    const headers = values.shift() || [];
+    const missing = TIME_SAVED_HEADERS.filter(header => headers.indexOf(header) === -1);
+    if (missing.length > 0) {
+        throw new Error(`The time saved sheet is missing columns (${missing.join(', ')}).`);
+    }
+    const [appIndex, actionIndex, minutesIndex] = TIME_SAVED_HEADERS.map(header => headers.indexOf(header));
+
+    const table = { rows: [], minutes: new Map() };
+    values.forEach(row => {
+        const app = String(row[appIndex]).trim();
+        const action = String(row[actionIndex]).trim();
+        if (!action) return;
+        const minutes = Number(row[minutesIndex]);
+        if (row[minutesIndex] === '' || !(minutes >= 0)) {
+            throw new Error(`The time saved sheet has "${row[minutesIndex]}" minutes for ${app || 'any app'} / ${action}; expected a number of minutes.`);
+        }
+        table.rows.push([app, action, minutes]);
+        table.minutes.set(actionTaxonomyKey(app, action), minutes);
+    });
+    Logger.log(`Read the minutes saved for ${table.rows.length} actions.`);
+    return table;
+}
+
+
+/**
+ * Adds each row's estimated minutes saved (its count times the action's minutes, 0 for actions not
+ * in the table) as a new last column. Uses the raw action, so it runs before the action taxonomy.
+ * @param {Array<Array<*>>} rows The raw activity rows.
+ * @param {Object} table From loadTimeSavedTable.
+ * @param {{appIndex: number, actionIndex: number, countIndex: number}} indices Column positions in the rows.
+ * @returns {Array<Array<*>>} New rows, each one column longer.
+ */
+function appendMinutesSaved(rows, table, indices) {
+    return rows.map(row => {
+        const app = row[indices.appIndex];
+        const action = row[indices.actionIndex];
+        const minutes = table.minutes.has(actionTaxonomyKey(app, action))
+            ? table.minutes.get(actionTaxonomyKey(app, action))
+            : table.minutes.get(actionTaxonomyKey('', action)) || 0;
+        return [...row, (parseInt(row[indices.countIndex], 10) || 0) * minutes];
+    });
+}
+
+
+/**
+ * Writes the minutes-saved table the hours saved were estimated with, so the estimates are never
+ * read without their assumptions.
+ * @param {Spreadsheet} spreadsheet The central or OU spreadsheet.
+ * @param {string} sheetName The tab name for the spreadsheet's audience.
+ * @param {Object} table From loadTimeSavedTable.
+ * @param {Object} reportWindow The window stamped onto the sheet.
+ */
+function writeTimeSavedAssumptionsSheet(spreadsheet, sheetName, table, reportWindow) {
+    const rows = table.rows
+        .map(([app, action, minutes]) => [app || '(any app)', action, minutes])
+        .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    const results = [TIME_SAVED_ASSUMPTIONS_HEADER, ...rows];
+    sheet.getRange(1, 1, results.length, TIME_SAVED_ASSUMPTIONS_HEADER.length).setValues(results);
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+    Logger.log(`Wrote ${rows.length} minutes-saved assumptions to ${sheetName}.`);
+}
+
+
+/**
+ * Formats the hours saved column of an OU write-back grid, when it has one.
+ * @param {Sheet} sheet The OU tab.
+ * @param {string[]} header The grid's header row.
+ * @param {number} numRows The number of data rows.
+ */
+function formatHoursSavedColumn(sheet, header, numRows) {
+    const column = header.indexOf(HOURS_SAVED_HEADER) + 1;
+    if (column > 0 && numRows > 0) {
+        sheet.getRange(2, column, numRows, 1).setNumberFormat('0.0');
+    }
+}
@@ -0,0 +1,83 @@
+// ====================================================================================
+// UNMAPPED USERS: ACTIVITY WHOSE USER HAS NO ROW IN THE OU SHEET
+// ====================================================================================
+
+/**
+ * Creates an accumulator for activity rows whose user is missing from the OU lookup.
+ * @returns {{users: Object<string, {sum: number, rows: number, apps: Set<string>}>, totalSum: number, excludedSum: number}}
+ */
+function createUnmappedActivityTracker() {
+    return { users: {}, totalSum: 0, excludedSum: 0 };
+}
+
+
+/**
+ * Records one BigQuery result row's count in the tracker, as matched or unmapped activity.
+ * @param {Object} tracker The tracker from createUnmappedActivityTracker.
+ * @param {Array<*>} row The result row.
+ * @param {{userIndex: number, appIndex: number, countIndex: number}} indices Column positions in the row.
+ * @param {boolean} isMapped Whether the row's user was found in the OU lookup.
+ */
+function recordActivityRow(tracker, row, indices, isMapped) {
+    const count = parseInt(row[indices.countIndex], 10) || 0;
+    tracker.totalSum += count;
+    if (isMapped) return;
+
+    const user = row[indices.userIndex] || '(blank)';
+    if (!tracker.users[user]) {
+        tracker.users[user] = { sum: 0, rows: 0, apps: new Set() };
+    }
+    tracker.users[user].sum += count;
+    tracker.users[user].rows += 1;
+    if (row[indices.appIndex]) {
+        tracker.users[user].apps.add(row[indices.appIndex]);
+    }
+    tracker.excludedSum += count;
+}
+
+
+/**
+ * Writes the "Unmapped users" tab: one row per user missing from the OU sheet, sorted by activity,
+ * with a summary block to the right showing how much activity that represents.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The target spreadsheet.
+ * @param {Object} tracker The tracker filled by recordActivityRow.
+ * @param {string} unassignedOu The OU the unmapped rows were kept under, or '' if they were dropped.
+ * @param {Object} reportWindow The reporting window, stamped onto the sheet.
+ * @param {string} sourceLabel The label of the data source the activity came from, from getDataSource.
+ */
+function writeUnmappedUsersSheet(spreadsheet, tracker, unassignedOu, reportWindow, sourceLabel) {
+    const header = ['User', 'Sum(Count)', 'Rows', 'Apps'];
+    const rows = Object.keys(tracker.users).map(user => {
+        const userData = tracker.users[user];
+        return [user, userData.sum, userData.rows, Array.from(userData.apps).sort().join(', ')];
+    });
+    rows.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+    const excludedShare = tracker.totalSum > 0 ? tracker.excludedSum / tracker.totalSum : 0;
+    const summary = [
+        ['Summary', ''],
+        ['Unmapped users', rows.length],
+        ['Unmapped Sum(Count)', tracker.excludedSum],
+        [`Total Sum(Count) from ${sourceLabel}`, tracker.totalSum],
+        ['Share of activity', excludedShare],
+        ['Handling', unassignedOu ? `Kept under OU "${unassignedOu}"` : 'Excluded from the report']
+    ];
+
+    const sheetName = getReportTabName('UNMAPPED');
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = spreadsheet.insertSheet(sheetName);
+    }
+    const results = [header, ...rows];
+    sheet.getRange(1, 1, results.length, header.length).setValues(results);
+    const summaryColumn = header.length + 2;
+    sheet.getRange(1, summaryColumn, summary.length, 2).setValues(summary);
+    sheet.getRange(5, summaryColumn + 1).setNumberFormat('0.00%');
+    sheet.setFrozenRows(1);
+    stampReportWindow(sheet, reportWindow);
+
+    Logger.log(`${rows.length} users (${tracker.excludedSum} of ${tracker.totalSum} Sum(Count), ${(excludedShare * 100).toFixed(2)}%) had no OU match. ` +
+        (unassignedOu ? `Their activity was kept under OU "${unassignedOu}".` : 'Their activity was excluded.'));
+}
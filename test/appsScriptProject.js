@@ -0,0 +1,96 @@
+// Loads an Apps Script project into a Node vm context, the way Apps Script runs it: every .js
+// file in the folder shares one global scope, and the services it calls are in-memory fakes.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createLogger, createUtilities, createHtmlService, createScriptApp, createCharts, createOAuth2 } = require('./fakes/platform');
+const { createPropertiesService } = require('./fakes/PropertiesService');
+const { createSpreadsheetApp } = require('./fakes/SpreadsheetApp');
+const { createBigQuery } = require('./fakes/BigQuery');
+const { createAdminDirectory, createAdminReports } = require('./fakes/AdminDirectory');
+const { createUrlFetchApp } = require('./fakes/UrlFetchApp');
+const { createDriveApp } = require('./fakes/DriveApp');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+/**
+ * Loads a project with a fresh set of fakes.
+ * @param {string} projectDir The project folder, relative to the repository root.
+ * @param {Object} [services] Fakes to use instead of the defaults, keyed by global name
+ *     (e.g. { BigQuery: createBigQuery({ onQuery }) }). scriptProperties seeds PropertiesService.
+ * @returns {{context: Object, services: Object, messages: string[], evaluate: function(string): *}}
+ *     The vm context, the fakes it was given, the logged messages, and evaluate() for reading
+ *     top-level consts, which are not properties of the context.
+ */
+function loadAppsScriptProject(projectDir, services) {
+    const dir = path.join(REPO_ROOT, projectDir);
+    const overrides = Object.assign({}, services);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'appsscript.json'), 'utf8'));
+    const logger = createLogger();
+    const scriptProperties = overrides.scriptProperties;
+    delete overrides.scriptProperties;
+
+    const fakes = Object.assign({
+        Logger: logger.Logger,
+        console: logger.console,
+        Utilities: createUtilities(),
+        Session: { getScriptTimeZone: () => manifest.timeZone },
+        HtmlService: createHtmlService(dir),
+        ScriptApp: createScriptApp(),
+        Charts: createCharts(),
+        OAuth2: createOAuth2(),
+        PropertiesService: createPropertiesService(scriptProperties),
+        SpreadsheetApp: createSpreadsheetApp(),
+        BigQuery: createBigQuery(),
+        AdminDirectory: createAdminDirectory([]),
+        AdminReports: createAdminReports([]),
+        UrlFetchApp: createUrlFetchApp(),
+        DriveApp: createDriveApp()
+    }, overrides);
+
+    const context = vm.createContext(Object.assign({}, fakes));
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(dir, file), 'utf8'), context, { filename: path.join(projectDir, file) });
+        });
+
+    return {
+        context: context,
+        services: fakes,
+        messages: logger.messages,
+        evaluate: expression => vm.runInContext(expression, context)
+    };
+}
+
+
+/**
+ * Copies values out of the vm context so assert.deepStrictEqual can compare them with literals
+ * from the test file; arrays and objects made in another context have different prototypes.
+ * Dates become 'yyyy-MM-dd' strings in the given time zone.
+ * @param {*} value The value.
+ * @param {string} [timeZone] The zone for dates (default America/New_York).
+ * @returns {*} The plain copy.
+ */
+function plain(value, timeZone) {
+    if (value && typeof value.getTime === 'function') {
+        return createUtilities().formatDate(value, timeZone || 'America/New_York', 'yyyy-MM-dd');
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, item => plain(item, timeZone));
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = plain(value[key], timeZone);
+        });
+        return copy;
+    }
+    return value;
+}
+
+
+module.exports = { loadAppsScriptProject, plain };
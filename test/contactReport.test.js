@@ -0,0 +1,159 @@
+// Runs the OU contact report's userListToSheet against in-memory fakes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadAppsScriptProject, plain } = require('./appsScriptProject');
+const { createAdminDirectory } = require('./fakes/AdminDirectory');
+const { createDriveApp } = require('./fakes/DriveApp');
+const { createSpreadsheetApp } = require('./fakes/SpreadsheetApp');
+
+// The project keeps its IDs as placeholders in Code.js, so the fakes use the same values
+const CONTACT_SHEET_ID = '[SHEET ID]';
+const TARGET_FOLDER_ID = '[FOLDER ID]';
+const ORG_UNIT_PATH = '/[OU]';
+
+const HEADERS = [
+    'Given Name', 'Family Name', 'Manager', 'Organization', 'Department', 'Address', 'Creation Time',
+    'Last Login Time', 'Service Account', 'Include In Global Address List', 'Primary Email', 'Thumbnail Photo Url'
+];
+
+const USERS = [
+    {
+        primaryEmail: 'ana@example.gov',
+        orgUnitPath: ORG_UNIT_PATH,
+        name: { givenName: 'Ana', familyName: 'Lopez' },
+        relations: [{ type: 'assistant', value: 'sam@example.gov' }, { type: 'manager', value: 'boss@example.gov' }],
+        organizations: [{ title: 'Analyst', department: 'Budget' }],
+        addresses: [{ formatted: '1 Side St' }, { formatted: '2 Main St', primary: true }],
+        creationTime: '2020-03-01T14:00:00.000Z',
+        lastLoginTime: '2025-01-20T09:30:00.000Z',
+        customSchemas: { Service_Account: { IsService: false } },
+        includeInGlobalAddressList: true,
+        thumbnailPhotoUrl: 'https://photos.example.gov/ana'
+    },
+    {
+        primaryEmail: 'bot@example.gov',
+        orgUnitPath: ORG_UNIT_PATH,
+        name: { givenName: 'Report', familyName: 'Bot' },
+        creationTime: '2021-06-15T12:00:00.000Z',
+        customSchemas: { Service_Account: { IsService: true } },
+        includeInGlobalAddressList: false
+    },
+    {
+        primaryEmail: 'gone@example.gov',
+        orgUnitPath: ORG_UNIT_PATH,
+        suspended: true,
+        name: { givenName: 'Gone', familyName: 'User' }
+    },
+    {
+        primaryEmail: 'elsewhere@example.gov',
+        orgUnitPath: '/Other',
+        name: { givenName: 'Else', familyName: 'Where' }
+    }
+];
+
+function setUp(users, options) {
+    const spreadsheetApp = createSpreadsheetApp();
+    spreadsheetApp.addSpreadsheet(CONTACT_SHEET_ID, { Contacts: [['old', 'rows'], ['to', 'clear']] });
+    const driveApp = createDriveApp();
+    driveApp.addFolder(TARGET_FOLDER_ID, 'Exports');
+    const adminDirectory = createAdminDirectory(users, options);
+    const project = loadAppsScriptProject('OU/contact report', {
+        SpreadsheetApp: spreadsheetApp,
+        DriveApp: driveApp,
+        AdminDirectory: adminDirectory
+    });
+    return { project, spreadsheetApp, driveApp, adminDirectory };
+}
+
+
+test('userListToSheet writes the active users of the OU to the first tab', () => {
+    const { project, spreadsheetApp, adminDirectory } = setUp(USERS);
+    project.context.userListToSheet();
+
+    assert.equal(adminDirectory.calls[0].query, "orgUnitPath='/[OU]' isSuspended=false");
+    assert.equal(adminDirectory.calls[0].customer, 'my_customer');
+    assert.deepEqual(plain(spreadsheetApp.tab(CONTACT_SHEET_ID, 'Contacts').values), [
+        HEADERS,
+        [
+            'Ana', 'Lopez', 'boss@example.gov', 'Analyst', 'Budget', '2 Main St',
+            new Date('2020-03-01T14:00:00.000Z').toLocaleString(),
+            new Date('2025-01-20T09:30:00.000Z').toLocaleString(),
+            false, true, 'ana@example.gov', 'https://photos.example.gov/ana'
+        ],
+        [
+            'Report', 'Bot', '', '', '', '',
+            new Date('2021-06-15T12:00:00.000Z').toLocaleString(),
+            'Never',
+            true, false, 'bot@example.gov', ''
+        ]
+    ]);
+    assert.equal(spreadsheetApp.tab(CONTACT_SHEET_ID, 'Contacts').frozenRows, 1);
+});
+
+
+test('userListToSheet replaces the email list in the target folder', () => {
+    const { project, driveApp } = setUp(USERS);
+    driveApp.addFile('[OU]_emails.json', '["old@example.gov"]', { folderId: TARGET_FOLDER_ID, mimeType: 'application/json' });
+    project.context.userListToSheet();
+
+    const [oldFile, newFile] = driveApp.files;
+    assert.equal(driveApp.files.length, 2);
+    assert.equal(oldFile.trashed, true);
+    assert.equal(newFile.trashed, false);
+    assert.equal(newFile.name, '[OU]_emails.json');
+    assert.equal(newFile.mimeType, 'application/json');
+    assert.deepEqual(JSON.parse(newFile.content), ['ana@example.gov', 'bot@example.gov']);
+    assert.equal(newFile.content, JSON.stringify(['ana@example.gov', 'bot@example.gov'], null, 2));
+});
+
+
+test('userListToSheet replaces its triggers with one daily run at 18:00', () => {
+    const { project } = setUp(USERS);
+    const scriptApp = project.services.ScriptApp;
+    scriptApp.newTrigger('userListToSheet').timeBased().everyDays(1).atHour(6).create();
+    scriptApp.newTrigger('somethingElse').timeBased().everyHours(1).create();
+    project.context.userListToSheet();
+
+    assert.equal(scriptApp.triggers.length, 1);
+    assert.equal(scriptApp.triggers[0].handlerFunction, 'userListToSheet');
+    assert.deepEqual(scriptApp.triggers[0].schedule, { everyDays: 1, atHour: 18 });
+});
+
+
+test('userListToSheet pages through the directory and writes in batches', () => {
+    const users = Array.from({ length: 1201 }, (_, i) => ({
+        primaryEmail: `user${String(i).padStart(4, '0')}@example.gov`,
+        orgUnitPath: ORG_UNIT_PATH,
+        name: { givenName: `Given${i}`, familyName: `Family${i}` }
+    }));
+    const { project, spreadsheetApp, adminDirectory } = setUp(users);
+    project.context.userListToSheet();
+
+    assert.deepEqual(adminDirectory.calls.map(call => call.pageToken), [undefined, '500', '1000']);
+    const values = spreadsheetApp.tab(CONTACT_SHEET_ID, 'Contacts').values;
+    assert.equal(values.length, 1202);
+    assert.deepEqual(plain(values[1201]), ['Given1200', 'Family1200', '', '', '', '', '', 'Never', '', '', 'user1200@example.gov', '']);
+    assert.equal(spreadsheetApp.flushCount, 2);
+});
+
+
+test('userListToSheet retries a failed directory call', () => {
+    const { project, spreadsheetApp, adminDirectory } = setUp(USERS, { failures: 2 });
+    project.context.userListToSheet();
+
+    assert.equal(adminDirectory.calls.length, 3);
+    assert.ok(project.services.Utilities.sleptMs >= 2000 + 4000);
+    assert.equal(spreadsheetApp.tab(CONTACT_SHEET_ID, 'Contacts').values.length, 3);
+});
+
+
+test('userListToSheet leaves the sheet alone when the OU has no active users', () => {
+    const { project, spreadsheetApp, driveApp } = setUp(USERS.filter(user => user.orgUnitPath !== ORG_UNIT_PATH || user.suspended));
+    project.context.userListToSheet();
+
+    assert.deepEqual(plain(spreadsheetApp.tab(CONTACT_SHEET_ID, 'Contacts').values), [['old', 'rows'], ['to', 'clear']]);
+    assert.equal(driveApp.files.length, 0);
+    assert.ok(project.messages.includes('No users were found in the specified OU to export.'));
+});
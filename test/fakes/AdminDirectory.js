@@ -0,0 +1,112 @@
+// In-memory fakes of the Admin SDK advanced services: AdminDirectory (directory_v1) users and
+// AdminReports (reports_v1) activities.
+
+/**
+ * Builds the AdminDirectory fake over a list of user resources.
+ * Users.list understands the orgUnitPath='...' and isSuspended=... query terms and pages its results.
+ * @param {Object[]} users User resources as the Directory API returns them.
+ * @param {{failures: number}} [options] How many calls fail before the service starts answering.
+ * @returns {Object} The AdminDirectory fake; calls lists every Users.list request.
+ */
+function createAdminDirectory(users, options) {
+    const opts = options || {};
+    let failuresLeft = opts.failures || 0;
+
+    const adminDirectory = {
+        calls: [],
+        Users: {
+            list(request) {
+                adminDirectory.calls.push(Object.assign({}, request));
+                if (failuresLeft > 0) {
+                    failuresLeft--;
+                    throw new Error('Service unavailable. Please try again.');
+                }
+                const matching = (users || []).filter(user => matchesDirectoryQuery(user, request.query || ''));
+                const start = request.pageToken ? parseInt(request.pageToken, 10) : 0;
+                const pageSize = request.maxResults || 100;
+                const response = { kind: 'admin#directory#users' };
+                const page = matching.slice(start, start + pageSize);
+                if (page.length > 0) {
+                    response.users = page;
+                }
+                if (start + pageSize < matching.length) {
+                    response.nextPageToken = String(start + pageSize);
+                }
+                return response;
+            },
+            get(userKey) {
+                const user = (users || []).find(candidate => candidate.primaryEmail === userKey || candidate.id === userKey);
+                if (!user) {
+                    throw new Error(`API call to directory.users.get failed with error: Resource Not Found: userKey`);
+                }
+                return user;
+            }
+        }
+    };
+    return adminDirectory;
+}
+
+
+/**
+ * Applies the orgUnitPath and isSuspended terms of a Directory API users query.
+ * @param {Object} user A user resource.
+ * @param {string} query The query string.
+ * @returns {boolean} Whether the user matches.
+ */
+function matchesDirectoryQuery(user, query) {
+    const orgUnit = query.match(/orgUnitPath='([^']*)'/);
+    if (orgUnit && user.orgUnitPath !== orgUnit[1]) {
+        return false;
+    }
+    const suspended = query.match(/isSuspended=(true|false)/);
+    if (suspended && Boolean(user.suspended) !== (suspended[1] === 'true')) {
+        return false;
+    }
+    return true;
+}
+
+
+/**
+ * Builds the AdminReports fake over a list of activity resources.
+ * Activities.list filters on eventName and the startTime/endTime window and pages its results.
+ * @param {Object[]} activities Activity resources as the Reports API returns them.
+ * @param {Array<{code: number, reason: string, message: string}>} [failures] Errors the next
+ *     Activities.list calls throw, one per call, with the status and reason in e.details.
+ * @returns {Object} The AdminReports fake; calls lists every Activities.list request.
+ */
+function createAdminReports(activities, failures) {
+    const pendingFailures = (failures || []).slice();
+    const adminReports = {
+        calls: [],
+        Activities: {
+            list(userKey, applicationName, params) {
+                const opts = params || {};
+                adminReports.calls.push({ userKey: userKey, applicationName: applicationName, params: Object.assign({}, opts) });
+                const failure = pendingFailures.shift();
+                if (failure) {
+                    throw Object.assign(new Error(`API call to reports.activities.list failed with error: ${failure.message}`), {
+                        details: { code: failure.code, errors: [{ reason: failure.reason }] }
+                    });
+                }
+                const matching = (activities || []).filter(activity => {
+                    const time = new Date(activity.id.time).getTime();
+                    if (opts.startTime && time < new Date(opts.startTime).getTime()) return false;
+                    if (opts.endTime && time >= new Date(opts.endTime).getTime()) return false;
+                    if (opts.eventName && !(activity.events || []).some(event => event.name === opts.eventName)) return false;
+                    return true;
+                });
+                const start = opts.pageToken ? parseInt(opts.pageToken, 10) : 0;
+                const pageSize = opts.maxResults || 1000;
+                const response = { kind: 'admin#reports#activities', items: matching.slice(start, start + pageSize) };
+                if (start + pageSize < matching.length) {
+                    response.nextPageToken = String(start + pageSize);
+                }
+                return response;
+            }
+        }
+    };
+    return adminReports;
+}
+
+
+module.exports = { createAdminDirectory, createAdminReports };
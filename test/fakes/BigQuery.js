@@ -0,0 +1,124 @@
+// In-memory fake of the BigQuery advanced service (v2). Every job finishes as soon as it is
+// inserted, unless pollsUntilDone says otherwise. Query results come from an onQuery callback and are paged like the real API, with
+// every cell value returned as a string.
+
+/**
+ * Builds the BigQuery fake.
+ * @param {Object} [options]
+ *   onQuery(query, request)  Returns { fields: string[], rows: Array<Array<*>> } for a query job;
+ *                            throw from it to simulate a failed job. Defaults to no rows.
+ *   bytesProcessed           What dry runs report as totalBytesProcessed (default 1048576).
+ *   maxPageRows              Caps the rows per result page below the requested maxResults.
+ *   pollsUntilDone           Jobs.get calls before a job reports DONE (default 0: done on insert;
+ *                            Infinity: never).
+ *   onPoll(jobId)            Called on every Jobs.get, e.g. to move a fake clock forward.
+ *   errorResult              The status.errorResult every query job finishes with.
+ *   location                 The jobReference location (default 'US').
+ *   failInserts              How many job inserts fail with a backend error before creating the job.
+ *   loseInsertResponses      How many job inserts create the job and then fail with a backend error,
+ *                            as when the response is lost. Inserting a job ID again fails with a
+ *                            409 duplicate, like the real API.
+ * @returns {Object} The BigQuery fake; calls lists every call, and jobs/loads what was inserted.
+ */
+function createBigQuery(options) {
+    const opts = options || {};
+    const results = new Map();
+    const polls = new Map();
+    const location = opts.location || 'US';
+    let nextJobId = 1;
+    let failedInserts = 0;
+    let lostInsertResponses = 0;
+    const backendError = () => Object.assign(new Error('API call to bigquery.jobs.insert failed with error: Backend error'), {
+        details: { code: 503, errors: [{ reason: 'backendError' }] }
+    });
+    const jobStatus = jobId => {
+        if ((polls.get(jobId) || 0) < (opts.pollsUntilDone || 0)) return { state: 'RUNNING' };
+        return opts.errorResult && results.has(jobId) ? { state: 'DONE', errorResult: opts.errorResult } : { state: 'DONE' };
+    };
+
+    const bigQuery = {
+        calls: [],
+        queries: [],
+        loads: [],
+        Jobs: {
+            insert(request, projectId, mediaBlob) {
+                bigQuery.calls.push({ method: 'Jobs.insert', projectId: projectId, request: request });
+                const configuration = request.configuration || {};
+                if (configuration.dryRun) {
+                    return {
+                        status: { state: 'DONE' },
+                        statistics: { totalBytesProcessed: String(opts.bytesProcessed === undefined ? 1048576 : opts.bytesProcessed) }
+                    };
+                }
+                if (failedInserts < (opts.failInserts || 0)) {
+                    failedInserts++;
+                    throw backendError();
+                }
+                const jobId = request.jobReference && request.jobReference.jobId ? request.jobReference.jobId : `job_${nextJobId++}`;
+                if (results.has(jobId) || bigQuery.loads.some(load => load.jobId === jobId)) {
+                    throw Object.assign(new Error(`API call to bigquery.jobs.insert failed with error: Already Exists: Job ${projectId}:${location}.${jobId}`), {
+                        details: { code: 409, errors: [{ reason: 'duplicate' }] }
+                    });
+                }
+                if (configuration.query) {
+                    bigQuery.queries.push(configuration.query.query);
+                    const result = opts.onQuery ? opts.onQuery(configuration.query.query, request) : null;
+                    results.set(jobId, result || { fields: [], rows: [] });
+                } else if (configuration.load) {
+                    bigQuery.loads.push({
+                        projectId: projectId,
+                        jobId: jobId,
+                        configuration: configuration.load,
+                        data: mediaBlob ? mediaBlob.getDataAsString() : null
+                    });
+                }
+                if (lostInsertResponses < (opts.loseInsertResponses || 0)) {
+                    lostInsertResponses++;
+                    throw backendError();
+                }
+                return {
+                    jobReference: { projectId: projectId, jobId: jobId, location: location },
+                    status: jobStatus(jobId),
+                    statistics: {}
+                };
+            },
+            get(projectId, jobId, params) {
+                bigQuery.calls.push({ method: 'Jobs.get', projectId: projectId, jobId: jobId, params: params });
+                polls.set(jobId, (polls.get(jobId) || 0) + 1);
+                if (opts.onPoll) opts.onPoll(jobId);
+                return { jobReference: { projectId: projectId, jobId: jobId, location: location }, status: jobStatus(jobId) };
+            },
+            cancel(projectId, jobId, params) {
+                bigQuery.calls.push({ method: 'Jobs.cancel', projectId: projectId, jobId: jobId, params: params });
+                return { job: { jobReference: { projectId: projectId, jobId: jobId } } };
+            },
+            getQueryResults(projectId, jobId, params) {
+                bigQuery.calls.push({ method: 'Jobs.getQueryResults', projectId: projectId, jobId: jobId, params: params });
+                const result = results.get(jobId);
+                if (!result) {
+                    throw new Error(`Not found: Job ${projectId}:${jobId}`);
+                }
+                const start = params && params.pageToken ? parseInt(params.pageToken, 10) : 0;
+                let pageSize = (params && params.maxResults) || result.rows.length;
+                if (opts.maxPageRows) {
+                    pageSize = Math.min(pageSize, opts.maxPageRows);
+                }
+                const pageRows = result.rows.slice(start, start + pageSize);
+                const page = {
+                    jobComplete: true,
+                    schema: { fields: result.fields.map(name => ({ name: name, type: 'STRING' })) },
+                    totalRows: String(result.rows.length),
+                    rows: pageRows.map(row => ({ f: row.map(value => ({ v: value === null ? null : String(value) })) }))
+                };
+                if (start + pageSize < result.rows.length) {
+                    page.pageToken = String(start + pageSize);
+                }
+                return page;
+            }
+        }
+    };
+    return bigQuery;
+}
+
+
+module.exports = { createBigQuery };
@@ -0,0 +1,97 @@
+// In-memory fake of DriveApp: files with text content, and folders that hold them.
+
+const { createBlob } = require('./platform');
+
+/**
+ * Builds the DriveApp fake.
+ * @returns {Object} The DriveApp fake. addFile and addFolder seed it; files lists every file,
+ *     trashed or not, in creation order.
+ */
+function createDriveApp() {
+    const folders = new Map();
+    let nextFileId = 1;
+
+    const driveApp = {
+        files: [],
+
+        addFile(name, content, options) {
+            const opts = options || {};
+            const file = {
+                id: opts.id || `file_${nextFileId++}`,
+                name: name,
+                content: String(content),
+                mimeType: opts.mimeType || 'text/plain',
+                folderId: opts.folderId || null,
+                trashed: false
+            };
+            file.api = {
+                getId: () => file.id,
+                getName: () => file.name,
+                getMimeType: () => file.mimeType,
+                getBlob: () => createBlob(file.content, file.mimeType, file.name),
+                isTrashed: () => file.trashed,
+                setTrashed(trashed) {
+                    file.trashed = trashed;
+                    return file.api;
+                },
+                setContent(content) {
+                    file.content = String(content);
+                    return file.api;
+                }
+            };
+            driveApp.files.push(file);
+            return file;
+        },
+        addFolder(id, name) {
+            const folderFiles = () => driveApp.files.filter(file => file.folderId === id && !file.trashed);
+            const folder = {
+                getId: () => id,
+                getName: () => name || id,
+                getFiles: () => createFileIterator(folderFiles()),
+                getFilesByName: fileName => createFileIterator(folderFiles().filter(file => file.name === fileName)),
+                createFile(fileName, content, mimeType) {
+                    return driveApp.addFile(fileName, content, { folderId: id, mimeType: mimeType }).api;
+                }
+            };
+            folders.set(id, folder);
+            return folder;
+        },
+
+        getFileById(id) {
+            const file = driveApp.files.find(candidate => candidate.id === id);
+            if (!file) {
+                throw new Error(`No item with the given ID could be found. Possibly because you have not edited this item or you do not have permission to access it. (${id})`);
+            }
+            return file.api;
+        },
+        getFolderById(id) {
+            if (!folders.has(id)) {
+                throw new Error(`No item with the given ID could be found. Possibly because you have not edited this item or you do not have permission to access it. (${id})`);
+            }
+            return folders.get(id);
+        }
+    };
+    return driveApp;
+}
+
+
+/**
+ * A FileIterator over a snapshot of files.
+ * @param {Object[]} files The files.
+ * @returns {{hasNext: function(): boolean, next: function(): Object}} The iterator.
+ */
+function createFileIterator(files) {
+    let index = 0;
+    return {
+        hasNext: () => index < files.length,
+        next() {
+            if (index >= files.length) {
+                throw new Error('Cannot retrieve the next object: iterator has reached the end.');
+            }
+            return files[index++].api;
+        }
+    };
+}
+
+
+module.exports = { createDriveApp };
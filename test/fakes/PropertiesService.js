@@ -0,0 +1,60 @@
+// In-memory fake of PropertiesService.
+
+/**
+ * A Properties store backed by a plain object.
+ * @param {Object<string, string>} [initial] The starting properties.
+ * @returns {Object} The Properties fake.
+ */
+function createProperties(initial) {
+    const values = Object.assign({}, initial);
+    const properties = {
+        getProperty: key => (Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : null),
+        getProperties: () => Object.assign({}, values),
+        getKeys: () => Object.keys(values),
+        setProperty(key, value) {
+            values[key] = String(value);
+            return properties;
+        },
+        setProperties(newValues, deleteAllOthers) {
+            if (deleteAllOthers) {
+                Object.keys(values).forEach(key => delete values[key]);
+            }
+            Object.keys(newValues).forEach(key => {
+                values[key] = String(newValues[key]);
+            });
+            return properties;
+        },
+        deleteProperty(key) {
+            delete values[key];
+            return properties;
+        },
+        deleteAllProperties() {
+            Object.keys(values).forEach(key => delete values[key]);
+            return properties;
+        }
+    };
+    return properties;
+}
+
+
+/**
+ * PropertiesService with separate script, user and document stores.
+ * @param {Object<string, string>} [scriptProperties] The starting script properties.
+ * @param {Object<string, string>} [userProperties] The starting user properties.
+ * @returns {Object} The PropertiesService fake.
+ */
+function createPropertiesService(scriptProperties, userProperties) {
+    const stores = {
+        script: createProperties(scriptProperties),
+        user: createProperties(userProperties),
+        document: createProperties()
+    };
+    return {
+        getScriptProperties: () => stores.script,
+        getUserProperties: () => stores.user,
+        getDocumentProperties: () => stores.document
+    };
+}
+
+
+module.exports = { createProperties, createPropertiesService };
@@ -0,0 +1,481 @@
+// In-memory fake of SpreadsheetApp. Spreadsheets hold tabs of cells (value, number format, note),
+// charts, frozen rows/columns, row groups and conditional format rules, so tests can assert exactly
+// what a script wrote. Like the real service, setValues rejects data that does not match the range
+// and turns number and 'yyyy-MM-dd' strings into numbers and dates, unless the cells are plain text.
+
+const { createUtilities } = require('./platform');
+
+const dateParser = createUtilities();
+
+/**
+ * A rectangular block of cells on a FakeSheet.
+ */
+class FakeRange {
+    constructor(sheet, row, column, numRows, numColumns) {
+        if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+            throw new Error(`Invalid range: row ${row}, column ${column}, ${numRows} x ${numColumns}.`);
+        }
+        this.sheet = sheet;
+        this.row = row;
+        this.column = column;
+        this.numRows = numRows;
+        this.numColumns = numColumns;
+    }
+
+    getRow() { return this.row; }
+    getColumn() { return this.column; }
+    getNumRows() { return this.numRows; }
+    getNumColumns() { return this.numColumns; }
+    getLastRow() { return this.row + this.numRows - 1; }
+    getLastColumn() { return this.column + this.numColumns - 1; }
+    getSheet() { return this.sheet; }
+
+    getA1Notation() {
+        const start = `${columnToLetters(this.column)}${this.row}`;
+        if (this.numRows === 1 && this.numColumns === 1) return start;
+        return `${start}:${columnToLetters(this.getLastColumn())}${this.getLastRow()}`;
+    }
+
+    forEachCell(callback) {
+        for (let i = 0; i < this.numRows; i++) {
+            for (let j = 0; j < this.numColumns; j++) {
+                callback(this.row + i, this.column + j, i, j);
+            }
+        }
+    }
+
+    readGrid(store, blank) {
+        const grid = [];
+        for (let i = 0; i < this.numRows; i++) {
+            const line = [];
+            for (let j = 0; j < this.numColumns; j++) {
+                const value = store.get(cellKey(this.row + i, this.column + j));
+                line.push(value === undefined ? blank : value);
+            }
+            grid.push(line);
+        }
+        return grid;
+    }
+
+    writeGrid(store, grid, what) {
+        checkDimensions(grid, this, what);
+        this.forEachCell((r, c, i, j) => {
+            const value = grid[i][j];
+            if (value === '' || value === null || value === undefined) {
+                store.delete(cellKey(r, c));
+            } else {
+                store.set(cellKey(r, c), value);
+            }
+        });
+        return this;
+    }
+
+    fill(store, value) {
+        return this.writeGrid(store, Array.from({ length: this.numRows }, () => Array(this.numColumns).fill(value)));
+    }
+
+    getValues() { return this.readGrid(this.sheet.values, ''); }
+    getValue() { return this.getValues()[0][0]; }
+    getDisplayValues() { return this.getValues().map(line => line.map(value => String(value))); }
+    setValues(values) {
+        this.sheet.ensureSize(this.getLastRow(), this.getLastColumn());
+        checkDimensions(values, this, 'data');
+        const formats = this.getNumberFormats();
+        const timeZone = this.sheet.spreadsheet.timeZone;
+        return this.writeGrid(this.sheet.values, values.map((line, i) => line.map((value, j) =>
+            (formats[i][j] === '@' ? value : parseTypedValue(value, timeZone)))), 'data');
+    }
+    setValue(value) { return this.setValues(Array.from({ length: this.numRows }, () => Array(this.numColumns).fill(value))); }
+
+    getNumberFormats() { return this.readGrid(this.sheet.numberFormats, 'General'); }
+    getNumberFormat() { return this.getNumberFormats()[0][0]; }
+    setNumberFormats(formats) { return this.writeGrid(this.sheet.numberFormats, formats, 'number formats'); }
+    setNumberFormat(format) { return this.fill(this.sheet.numberFormats, format); }
+
+    getNotes() { return this.readGrid(this.sheet.notes, ''); }
+    getNote() { return this.getNotes()[0][0]; }
+    setNotes(notes) { return this.writeGrid(this.sheet.notes, notes, 'notes'); }
+    setNote(note) { return this.fill(this.sheet.notes, note); }
+    clearNote() { return this.fill(this.sheet.notes, ''); }
+
+    getFontWeights() { return this.readGrid(this.sheet.fontWeights, 'normal'); }
+    setFontWeight(weight) { return this.fill(this.sheet.fontWeights, weight); }
+    getBackgrounds() { return this.readGrid(this.sheet.backgrounds, '#ffffff'); }
+    setBackground(color) { return this.fill(this.sheet.backgrounds, color); }
+    setBackgrounds(colors) { return this.writeGrid(this.sheet.backgrounds, colors, 'backgrounds'); }
+
+    // Formatting the tests do not inspect
+    setFontColor() { return this; }
+    setFontStyle() { return this; }
+    setFontSize() { return this; }
+    setHorizontalAlignment() { return this; }
+    setVerticalAlignment() { return this; }
+    setWrap() { return this; }
+    setBorder() { return this; }
+
+    shiftRowGroupDepth(delta) {
+        for (let r = this.row; r <= this.getLastRow(); r++) {
+            const depth = Math.min(Math.max((this.sheet.rowGroupDepths.get(r) || 0) + delta, 0), 8);
+            if (depth > 0) {
+                this.sheet.rowGroupDepths.set(r, depth);
+            } else {
+                this.sheet.rowGroupDepths.delete(r);
+            }
+        }
+        return this;
+    }
+
+    clearContent() { return this.fill(this.sheet.values, ''); }
+    clearFormat() {
+        this.fill(this.sheet.numberFormats, '');
+        this.fill(this.sheet.fontWeights, '');
+        return this.fill(this.sheet.backgrounds, '');
+    }
+    clear() {
+        this.clearContent();
+        this.clearNote();
+        return this.clearFormat();
+    }
+}
+
+
+/**
+ * One tab of a FakeSpreadsheet.
+ */
+class FakeSheet {
+    constructor(spreadsheet, name) {
+        this.spreadsheet = spreadsheet;
+        this.name = name;
+        this.values = new Map();
+        this.numberFormats = new Map();
+        this.notes = new Map();
+        this.fontWeights = new Map();
+        this.backgrounds = new Map();
+        this.charts = [];
+        this.conditionalFormatRules = [];
+        this.frozenRows = 0;
+        this.frozenColumns = 0;
+        this.rowGroupDepths = new Map();
+        this.rowGroupControlPosition = 'AFTER';
+        this.maxRows = 1000;
+        this.maxColumns = 26;
+        this.hidden = false;
+        this.sheetId = spreadsheet.nextSheetId++;
+    }
+
+    getName() { return this.name; }
+    setName(name) {
+        if (name !== this.name && this.spreadsheet.getSheetByName(name)) {
+            throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+        }
+        this.name = name;
+        return this;
+    }
+    getSheetId() { return this.sheetId; }
+    getIndex() { return this.spreadsheet.sheets.indexOf(this) + 1; }
+    getParent() { return this.spreadsheet; }
+
+    getRange(row, column, numRows, numColumns) {
+        if (typeof row === 'string') {
+            return this.getRangeByA1(row);
+        }
+        return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+    }
+    getRangeByA1(a1) {
+        const match = a1.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+        if (!match) {
+            throw new Error(`Range not found: ${a1}`);
+        }
+        const startColumn = lettersToColumn(match[1]);
+        const startRow = parseInt(match[2], 10);
+        const endColumn = match[3] ? lettersToColumn(match[3]) : startColumn;
+        const endRow = match[4] ? parseInt(match[4], 10) : startRow;
+        return new FakeRange(this, startRow, startColumn, endRow - startRow + 1, endColumn - startColumn + 1);
+    }
+    getDataRange() {
+        return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+    }
+    getLastRow() {
+        let lastRow = 0;
+        this.values.forEach((value, key) => { lastRow = Math.max(lastRow, parseCellKey(key).row); });
+        return lastRow;
+    }
+    getLastColumn() {
+        let lastColumn = 0;
+        this.values.forEach((value, key) => { lastColumn = Math.max(lastColumn, parseCellKey(key).column); });
+        return lastColumn;
+    }
+    getMaxRows() { return this.maxRows; }
+    getMaxColumns() { return this.maxColumns; }
+    // Rows grow as data is written, but columns have to be inserted first
+    ensureSize(rows, columns) {
+        this.maxRows = Math.max(this.maxRows, rows);
+        if (columns > this.maxColumns) {
+            throw new Error(`The coordinates of the range are outside the dimensions of the sheet (${this.maxRows} x ${this.maxColumns}).`);
+        }
+    }
+    insertColumnsAfter(afterPosition, howMany) { this.maxColumns += howMany; return this; }
+    insertRowsAfter(afterPosition, howMany) { this.maxRows += howMany; return this; }
+
+    clear() {
+        [this.values, this.numberFormats, this.notes, this.fontWeights, this.backgrounds].forEach(store => store.clear());
+        this.conditionalFormatRules = [];
+        return this;
+    }
+    clearContents() { this.values.clear(); return this; }
+
+    setFrozenRows(rows) { this.frozenRows = rows; }
+    getFrozenRows() { return this.frozenRows; }
+    setFrozenColumns(columns) { this.frozenColumns = columns; }
+    getFrozenColumns() { return this.frozenColumns; }
+    getRowGroupDepth(row) { return this.rowGroupDepths.get(row) || 0; }
+    setRowGroupControlPosition(position) { this.rowGroupControlPosition = position; return this; }
+    setColumnWidth() { return this; }
+    autoResizeColumns() { return this; }
+    hideSheet() { this.hidden = true; return this; }
+    showSheet() { this.hidden = false; return this; }
+    isSheetHidden() { return this.hidden; }
+
+    getCharts() { return this.charts.slice(); }
+    removeChart(chart) { this.charts = this.charts.filter(existing => existing !== chart); }
+    insertChart(chart) { this.charts.push(chart); }
+    newChart() { return new FakeChartBuilder(); }
+
+    getConditionalFormatRules() { return this.conditionalFormatRules.slice(); }
+    setConditionalFormatRules(rules) { this.conditionalFormatRules = rules.slice(); }
+}
+
+
+/**
+ * Records what the script asked for; build() returns a plain chart description.
+ */
+class FakeChartBuilder {
+    constructor() {
+        this.chart = { type: null, ranges: [], options: {}, position: null, mergeStrategy: null, numHeaders: null };
+    }
+    setChartType(type) { this.chart.type = type; return this; }
+    addRange(range) { this.chart.ranges.push(range.getA1Notation()); return this; }
+    setMergeStrategy(strategy) { this.chart.mergeStrategy = strategy; return this; }
+    setNumHeaders(numHeaders) { this.chart.numHeaders = numHeaders; return this; }
+    setTransposeRowsAndColumns(transpose) { this.chart.transpose = transpose; return this; }
+    setOption(name, value) { this.chart.options[name] = value; return this; }
+    setPosition(anchorRow, anchorColumn, offsetX, offsetY) {
+        this.chart.position = { row: anchorRow, column: anchorColumn, offsetX: offsetX, offsetY: offsetY };
+        return this;
+    }
+    build() { return Object.assign({}, this.chart); }
+}
+
+
+/**
+ * A spreadsheet: an ordered list of tabs.
+ */
+class FakeSpreadsheet {
+    constructor(id, name, timeZone) {
+        this.id = id;
+        this.name = name || id;
+        this.timeZone = timeZone || 'America/New_York';
+        this.sheets = [];
+        this.activeSheet = null;
+        this.nextSheetId = 0;
+    }
+
+    getId() { return this.id; }
+    getName() { return this.name; }
+    getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+    getSpreadsheetTimeZone() { return this.timeZone; }
+    getSheets() { return this.sheets.slice(); }
+    getSheetByName(name) { return this.sheets.find(sheet => sheet.name === name) || null; }
+    insertSheet(name) {
+        const sheetName = name || `Sheet${this.sheets.length + 1}`;
+        if (this.getSheetByName(sheetName)) {
+            throw new Error(`A sheet with the name "${sheetName}" already exists. Please enter another name.`);
+        }
+        const sheet = new FakeSheet(this, sheetName);
+        this.sheets.push(sheet);
+        this.activeSheet = sheet;
+        return sheet;
+    }
+    deleteSheet(sheet) {
+        this.sheets = this.sheets.filter(existing => existing !== sheet);
+        if (this.activeSheet === sheet) {
+            this.activeSheet = this.sheets[0] || null;
+        }
+    }
+    getActiveSheet() { return this.activeSheet || this.sheets[0] || null; }
+    setActiveSheet(sheet) {
+        this.activeSheet = sheet;
+        return sheet;
+    }
+    moveActiveSheet(position) {
+        const sheet = this.getActiveSheet();
+        this.sheets = this.sheets.filter(existing => existing !== sheet);
+        this.sheets.splice(position - 1, 0, sheet);
+    }
+}
+
+
+/**
+ * Builds the SpreadsheetApp fake. Besides the Apps Script methods it has helpers for tests:
+ * addSpreadsheet to seed a spreadsheet and tab(id, name) / tabNames(id) to inspect one.
+ * @returns {Object} The SpreadsheetApp fake.
+ */
+function createSpreadsheetApp() {
+    const spreadsheets = new Map();
+    const spreadsheetApp = {
+        flushCount: 0,
+        GroupControlTogglePosition: { BEFORE: 'BEFORE', AFTER: 'AFTER' },
+        InterpolationType: { NUMBER: 'NUMBER', PERCENT: 'PERCENT', PERCENTILE: 'PERCENTILE', MIN: 'MIN', MAX: 'MAX' },
+
+        openById(id) {
+            if (!spreadsheets.has(id)) {
+                throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp. (no spreadsheet "${id}")`);
+            }
+            return spreadsheets.get(id);
+        },
+        flush() {
+            spreadsheetApp.flushCount++;
+        },
+        getUi() {
+            throw new Error('Cannot call SpreadsheetApp.getUi() from this context.');
+        },
+        newConditionalFormatRule() {
+            return new FakeConditionalFormatRuleBuilder();
+        },
+
+        /**
+         * Seeds a spreadsheet. tabs maps tab name -> grid of values, in tab order.
+         */
+        addSpreadsheet(id, tabs, options) {
+            const spreadsheet = new FakeSpreadsheet(id, options && options.name, options && options.timeZone);
+            Object.keys(tabs || {}).forEach(name => {
+                const grid = tabs[name];
+                const sheet = spreadsheet.insertSheet(name);
+                if (grid.length > 0) {
+                    sheet.getRange(1, 1, grid.length, grid[0].length).setValues(grid);
+                }
+            });
+            spreadsheet.activeSheet = spreadsheet.sheets[0] || null;
+            spreadsheets.set(id, spreadsheet);
+            return spreadsheet;
+        },
+        getSpreadsheet(id) {
+            return spreadsheets.get(id);
+        },
+        tabNames(id) {
+            return spreadsheetApp.openById(id).getSheets().map(sheet => sheet.getName());
+        },
+        /**
+         * Returns what a tab holds: values (trimmed to the data range), number formats and notes
+         * keyed by A1 cell, charts, frozen rows/columns, row group depths by row and conditional format rules.
+         */
+        tab(id, name) {
+            const sheet = spreadsheetApp.openById(id).getSheetByName(name);
+            if (!sheet) {
+                throw new Error(`Spreadsheet "${id}" has no tab named "${name}". It has: ${spreadsheetApp.tabNames(id).join(', ')}.`);
+            }
+            const byCell = store => {
+                const cells = {};
+                Array.from(store.keys())
+                    .map(parseCellKey)
+                    .sort((a, b) => a.row - b.row || a.column - b.column)
+                    .forEach(cell => {
+                        cells[`${columnToLetters(cell.column)}${cell.row}`] = store.get(cellKey(cell.row, cell.column));
+                    });
+                return cells;
+            };
+            return {
+                values: sheet.values.size > 0 ? sheet.getDataRange().getValues() : [],
+                numberFormats: byCell(sheet.numberFormats),
+                notes: byCell(sheet.notes),
+                fontWeights: byCell(sheet.fontWeights),
+                backgrounds: byCell(sheet.backgrounds),
+                charts: sheet.getCharts(),
+                frozenRows: sheet.frozenRows,
+                frozenColumns: sheet.frozenColumns,
+                rowGroupDepths: Object.fromEntries(sheet.rowGroupDepths),
+                rowGroupControlPosition: sheet.rowGroupControlPosition,
+                conditionalFormatRules: sheet.getConditionalFormatRules(),
+                sheet: sheet
+            };
+        }
+    };
+    return spreadsheetApp;
+}
+
+
+/**
+ * Records the condition and format of a conditional format rule.
+ */
+class FakeConditionalFormatRuleBuilder {
+    constructor() {
+        this.rule = { ranges: [], condition: null, format: {} };
+    }
+    setRanges(ranges) { this.rule.ranges = ranges.map(range => range.getA1Notation()); return this; }
+    whenNumberGreaterThan(value) { this.rule.condition = { type: 'NUMBER_GREATER_THAN', values: [value] }; return this; }
+    whenNumberGreaterThanOrEqualTo(value) { this.rule.condition = { type: 'NUMBER_GREATER_THAN_OR_EQUAL_TO', values: [value] }; return this; }
+    whenNumberLessThan(value) { this.rule.condition = { type: 'NUMBER_LESS_THAN', values: [value] }; return this; }
+    whenNumberLessThanOrEqualTo(value) { this.rule.condition = { type: 'NUMBER_LESS_THAN_OR_EQUAL_TO', values: [value] }; return this; }
+    whenNumberBetween(start, end) { this.rule.condition = { type: 'NUMBER_BETWEEN', values: [start, end] }; return this; }
+    whenNumberEqualTo(value) { this.rule.condition = { type: 'NUMBER_EQUAL_TO', values: [value] }; return this; }
+    whenTextEqualTo(text) { this.rule.condition = { type: 'TEXT_EQUAL_TO', values: [text] }; return this; }
+    whenTextContains(text) { this.rule.condition = { type: 'TEXT_CONTAINS', values: [text] }; return this; }
+    whenTextStartsWith(text) { this.rule.condition = { type: 'TEXT_STARTS_WITH', values: [text] }; return this; }
+    whenFormulaSatisfied(formula) { this.rule.condition = { type: 'CUSTOM_FORMULA', values: [formula] }; return this; }
+    setGradientMinpoint(color) { this.rule.gradient = Object.assign({}, this.rule.gradient, { min: color }); return this; }
+    setGradientMaxpoint(color) { this.rule.gradient = Object.assign({}, this.rule.gradient, { max: color }); return this; }
+    setGradientMinpointWithValue(color, type, value) { this.rule.gradient = Object.assign({}, this.rule.gradient, { min: color, minValue: value }); return this; }
+    setGradientMaxpointWithValue(color, type, value) { this.rule.gradient = Object.assign({}, this.rule.gradient, { max: color, maxValue: value }); return this; }
+    setGradientMidpointWithValue(color, type, value) { this.rule.gradient = Object.assign({}, this.rule.gradient, { mid: color, midValue: value }); return this; }
+    setFontColor(color) { this.rule.format.fontColor = color; return this; }
+    setBackground(color) { this.rule.format.background = color; return this; }
+    setBold(bold) { this.rule.format.bold = bold; return this; }
+    build() { return Object.assign({}, this.rule); }
+}
+
+
+function cellKey(row, column) {
+    return `${row},${column}`;
+}
+
+function parseCellKey(key) {
+    const [row, column] = key.split(',').map(Number);
+    return { row: row, column: column };
+}
+
+function columnToLetters(column) {
+    let letters = '';
+    for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function lettersToColumn(letters) {
+    return letters.split('').reduce((column, letter) => column * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * What Sheets stores for a value written with setValues: strings that look like numbers or ISO
+ * dates are parsed the way they would be if typed into the cell.
+ */
+function parseTypedValue(value, timeZone) {
+    if (typeof value !== 'string') return value;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return dateParser.parseDate(value, timeZone, 'yyyy-MM-dd');
+    return value;
+}
+
+function checkDimensions(grid, range, what) {
+    if (!Array.isArray(grid) || grid.length !== range.numRows) {
+        throw new Error(`The number of rows in the ${what} does not match the number of rows in the range. The ${what} has ${Array.isArray(grid) ? grid.length : 0} but the range has ${range.numRows}.`);
+    }
+    grid.forEach(line => {
+        if (!Array.isArray(line) || line.length !== range.numColumns) {
+            throw new Error(`The number of columns in the ${what} does not match the number of columns in the range. The ${what} has ${Array.isArray(line) ? line.length : 0} but the range has ${range.numColumns}.`);
+        }
+    });
+}
+
+
+module.exports = { createSpreadsheetApp, FakeSpreadsheet, FakeSheet, FakeRange };
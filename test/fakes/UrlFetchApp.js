@@ -0,0 +1,66 @@
+// In-memory fake of UrlFetchApp. A handler answers each request, so tests control what every
+// URL returns and can assert on what was sent.
+
+/**
+ * Builds an HTTPResponse.
+ * @param {{code: number, body: (string|Object), headers: Object}} response A body object is sent as JSON.
+ * @returns {Object} The HTTPResponse fake.
+ */
+function createHttpResponse(response) {
+    const code = response.code || 200;
+    const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body === undefined ? {} : response.body);
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, response.headers);
+    return {
+        getResponseCode: () => code,
+        getContentText: () => body,
+        getHeaders: () => Object.assign({}, headers),
+        getAllHeaders: () => Object.assign({}, headers),
+        getBlob: () => ({ getDataAsString: () => body })
+    };
+}
+
+
+/**
+ * Builds the UrlFetchApp fake.
+ * @param {function(string, Object): {code: number, body: (string|Object), headers: Object}} handler
+ *     Answers a request; return a 4xx/5xx code to simulate an error.
+ * @returns {Object} The UrlFetchApp fake; requests lists every { url, params } fetched.
+ */
+function createUrlFetchApp(handler) {
+    const urlFetchApp = {
+        requests: [],
+        fetch(url, params) {
+            const opts = params || {};
+            urlFetchApp.requests.push({ url: url, params: opts });
+            const response = createHttpResponse(handler ? handler(url, opts) || {} : { code: 404, body: 'Not Found' });
+            if (response.getResponseCode() >= 400 && !opts.muteHttpExceptions) {
+                throw new Error(`Request failed for ${url} returned code ${response.getResponseCode()}. Truncated server response: ${response.getContentText().slice(0, 100)}`);
+            }
+            return response;
+        },
+        fetchAll(requests) {
+            return requests.map(request => (typeof request === 'string'
+                ? urlFetchApp.fetch(request)
+                : urlFetchApp.fetch(request.url, request)));
+        }
+    };
+    return urlFetchApp;
+}
+
+
+/**
+ * Splits a fetched URL into its path and decoded query parameters.
+ * @param {string} url The URL.
+ * @returns {{base: string, query: Object<string, string>}} The parts.
+ */
+function parseUrl(url) {
+    const parsed = new URL(url);
+    const query = {};
+    parsed.searchParams.forEach((value, key) => {
+        query[key] = value;
+    });
+    return { base: `${parsed.origin}${parsed.pathname}`, query: query };
+}
+
+
+module.exports = { createUrlFetchApp, createHttpResponse, parseUrl };
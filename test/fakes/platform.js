@@ -0,0 +1,275 @@
+// In-memory fakes for the small Apps Script services every project touches: Logger, console,
+// Utilities, Session, HtmlService, ScriptApp, Charts and the OAuth2 library.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Logger and console that collect messages instead of printing them.
+ * @returns {{Logger: Object, console: Object, messages: string[]}}
+ */
+function createLogger() {
+    const messages = [];
+    const log = (...args) => {
+        let message = String(args[0]);
+        args.slice(1).forEach(arg => {
+            message = message.replace('%s', String(arg));
+        });
+        messages.push(message);
+    };
+    return {
+        messages: messages,
+        Logger: { log: log, getLog: () => messages.join('\n'), clear: () => { messages.length = 0; } },
+        console: { log: log, info: log, warn: log, error: log }
+    };
+}
+
+
+/**
+ * Returns the parts of an instant in a time zone.
+ * @param {Date} date The instant.
+ * @param {string} timeZone An IANA time zone.
+ * @returns {{yyyy: string, MM: string, dd: string, HH: string, mm: string, ss: string}}
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return { yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second };
+}
+
+const DATE_PATTERN_TOKENS = /yyyy|MM|dd|HH|mm|ss|'[^']*'/g;
+
+/**
+ * Utilities with formatDate/parseDate for the yyyy, MM, dd, HH, mm and ss tokens, an RFC 4180
+ * parseCsv, blobs, UUIDs and digests. sleep() returns at once and adds to sleptMs.
+ * @returns {Object} The Utilities fake.
+ */
+function createUtilities() {
+    const utilities = {
+        sleptMs: 0,
+        DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+        Charset: { UTF_8: 'utf8' },
+        sleep(ms) {
+            utilities.sleptMs += ms;
+        },
+        formatDate(date, timeZone, pattern) {
+            const parts = getZonedParts(date, timeZone);
+            return pattern.replace(DATE_PATTERN_TOKENS, token => token.startsWith("'") ? token.slice(1, -1) : parts[token]);
+        },
+        parseDate(text, timeZone, pattern) {
+            const tokens = pattern.match(DATE_PATTERN_TOKENS) || [];
+            const regex = new RegExp('^' + pattern.replace(DATE_PATTERN_TOKENS, token => token.startsWith("'") ? token.slice(1, -1) : `(\\d{${token.length}})`) + '$');
+            const match = String(text).match(regex);
+            if (!match) {
+                throw new Error(`Unparseable date: "${text}"`);
+            }
+            const values = { yyyy: 1970, MM: 1, dd: 1, HH: 0, mm: 0, ss: 0 };
+            tokens.filter(token => !token.startsWith("'")).forEach((token, i) => {
+                values[token] = parseInt(match[i + 1], 10);
+            });
+            // Find the instant whose wall-clock time in the zone matches, correcting for the zone offset
+            const wallClock = Date.UTC(values.yyyy, values.MM - 1, values.dd, values.HH, values.mm, values.ss);
+            let instant = wallClock;
+            for (let i = 0; i < 2; i++) {
+                const parts = getZonedParts(new Date(instant), timeZone);
+                const shown = Date.UTC(+parts.yyyy, +parts.MM - 1, +parts.dd, +parts.HH, +parts.mm, +parts.ss);
+                instant += wallClock - shown;
+            }
+            return new Date(instant);
+        },
+        parseCsv(csv) {
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+            for (let i = 0; i < csv.length; i++) {
+                const char = csv[i];
+                if (quoted) {
+                    if (char === '"' && csv[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"') {
+                    quoted = true;
+                } else if (char === ',') {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && csv[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+            if (field !== '' || row.length > 0) {
+                row.push(field);
+                rows.push(row);
+            }
+            return rows;
+        },
+        newBlob(data, contentType, name) {
+            return createBlob(data, contentType, name);
+        },
+        getUuid() {
+            return require('crypto').randomUUID();
+        },
+        computeDigest(algorithm, value) {
+            const bytes = require('crypto').createHash(algorithm).update(String(value), 'utf8').digest();
+            return Array.from(bytes).map(byte => (byte > 127 ? byte - 256 : byte));
+        },
+        computeHmacSha256Signature(value, key) {
+            const bytes = require('crypto').createHmac('sha256', String(key)).update(String(value), 'utf8').digest();
+            return Array.from(bytes).map(byte => (byte > 127 ? byte - 256 : byte));
+        },
+        base64Encode(data) {
+            return Buffer.from(typeof data === 'string' ? data : Buffer.from(data)).toString('base64');
+        }
+    };
+    return utilities;
+}
+
+
+/**
+ * A Blob holding text.
+ * @param {string} data The contents.
+ * @param {string} [contentType] The MIME type.
+ * @param {string} [name] The blob name.
+ * @returns {Object} The Blob fake.
+ */
+function createBlob(data, contentType, name) {
+    return {
+        getDataAsString: () => String(data),
+        getContentType: () => contentType || 'text/plain',
+        getName: () => name || null,
+        getBytes: () => Array.from(Buffer.from(String(data), 'utf8'))
+    };
+}
+
+
+/**
+ * HtmlService that serves the project's .html files, which is how the projects store text assets.
+ * @param {string} projectDir The Apps Script project folder.
+ * @returns {Object} The HtmlService fake.
+ */
+function createHtmlService(projectDir) {
+    return {
+        createHtmlOutputFromFile(name) {
+            const file = path.join(projectDir, `${name}.html`);
+            if (!fs.existsSync(file)) {
+                throw new Error(`No HTML file named ${name} was found.`);
+            }
+            const content = fs.readFileSync(file, 'utf8');
+            return { getContent: () => content };
+        }
+    };
+}
+
+
+/**
+ * ScriptApp that keeps the project's triggers in memory.
+ * @returns {Object} The ScriptApp fake; triggers lists the current triggers.
+ */
+function createScriptApp() {
+    const scriptApp = {
+        triggers: [],
+        getProjectTriggers: () => scriptApp.triggers.slice(),
+        deleteTrigger(trigger) {
+            scriptApp.triggers = scriptApp.triggers.filter(existing => existing !== trigger);
+        },
+        newTrigger(handlerFunction) {
+            const trigger = { handlerFunction: handlerFunction, schedule: {} };
+            trigger.getHandlerFunction = () => trigger.handlerFunction;
+            const builder = {
+                timeBased: () => builder,
+                everyDays: days => { trigger.schedule.everyDays = days; return builder; },
+                everyHours: hours => { trigger.schedule.everyHours = hours; return builder; },
+                everyWeeks: weeks => { trigger.schedule.everyWeeks = weeks; return builder; },
+                onMonthDay: day => { trigger.schedule.onMonthDay = day; return builder; },
+                onWeekDay: day => { trigger.schedule.onWeekDay = day; return builder; },
+                atHour: hour => { trigger.schedule.atHour = hour; return builder; },
+                create: () => {
+                    scriptApp.triggers.push(trigger);
+                    return trigger;
+                }
+            };
+            return builder;
+        },
+        WeekDay: { MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY', FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY' }
+    };
+    return scriptApp;
+}
+
+
+/**
+ * The Charts enums used with the embedded chart builder.
+ * @returns {Object} The Charts fake.
+ */
+function createCharts() {
+    const chartTypes = ['AREA', 'BAR', 'BUBBLE', 'CANDLESTICK', 'COLUMN', 'COMBO', 'GEO', 'HISTOGRAM', 'LINE', 'ORG', 'PIE', 'SCATTER', 'SPARKLINE', 'STEPPED_AREA', 'TABLE', 'TIMELINE', 'TREEMAP'];
+    const ChartType = {};
+    chartTypes.forEach(type => {
+        ChartType[type] = type;
+    });
+    return {
+        ChartType: ChartType,
+        ChartMergeStrategy: { MERGE_COLUMNS: 'MERGE_COLUMNS', MERGE_ROWS: 'MERGE_ROWS' }
+    };
+}
+
+
+/**
+ * The OAuth2 library (apps-script-oauth2). Services built with createService always have access
+ * and hand out the given token.
+ * @param {string} [accessToken] The token getAccessToken returns.
+ * @returns {Object} The OAuth2 fake; services lists every service created.
+ */
+function createOAuth2(accessToken) {
+    const oauth2 = {
+        services: [],
+        createService(name) {
+            const service = { name: name, settings: {}, resetCount: 0 };
+            ['setTokenUrl', 'setPrivateKey', 'setIssuer', 'setSubject', 'setPropertyStore', 'setScope', 'setClientId', 'setClientSecret', 'setCallbackFunction', 'setCache', 'setLock'].forEach(method => {
+                service[method] = value => {
+                    service.settings[method.slice(3, 4).toLowerCase() + method.slice(4)] = value;
+                    return service;
+                };
+            });
+            service.hasAccess = () => true;
+            service.getAccessToken = () => accessToken || 'fake-access-token';
+            service.getLastError = () => null;
+            service.reset = () => { service.resetCount++; };
+            oauth2.services.push(service);
+            return service;
+        }
+    };
+    return oauth2;
+}
+
+
+module.exports = {
+    createLogger,
+    createUtilities,
+    createBlob,
+    createHtmlService,
+    createScriptApp,
+    createCharts,
+    createOAuth2
+};
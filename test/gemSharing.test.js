@@ -0,0 +1,114 @@
+// Runs the gem sharing report's runGemReport against in-memory fakes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadAppsScriptProject, plain } = require('./appsScriptProject');
+const { createOAuth2 } = require('./fakes/platform');
+const { createSpreadsheetApp } = require('./fakes/SpreadsheetApp');
+const { createUrlFetchApp, parseUrl } = require('./fakes/UrlFetchApp');
+
+// The project keeps its IDs as placeholders in Code.js, so the fakes use the same values
+const DESTINATION_SHEET_ID = 'SHEET_ID';
+
+const HEADERS = ['File Name', 'URL', 'Owner', 'Editor(s)', 'Viewer(s)', 'Created', 'Modified', 'Opened by Me'];
+
+const FIRST_PAGE = {
+    files: [
+        {
+            id: 'gem-1',
+            name: 'Budget helper',
+            webViewLink: 'https://gemini.google.com/gem/gem-1',
+            owners: [{ emailAddress: 'OWNER_EMAIL' }],
+            createdTime: '2025-01-10T15:00:00.000Z',
+            modifiedTime: '2025-01-12T04:30:00.000Z',
+            viewedByMeTime: '2025-01-13T12:00:00.000Z',
+            permissions: [
+                { role: 'owner', emailAddress: 'OWNER_EMAIL' },
+                { role: 'writer', emailAddress: 'ana@example.gov' },
+                { role: 'writer', displayName: 'Finance Team' },
+                { role: 'reader', emailAddress: 'ben@example.gov' },
+                { role: 'commenter', domain: 'example.gov' }
+            ]
+        }
+    ],
+    nextPageToken: 'page-2'
+};
+
+const SECOND_PAGE = {
+    files: [
+        {
+            id: 'gem-2',
+            name: 'Draft reviewer',
+            webViewLink: 'https://gemini.google.com/gem/gem-2',
+            owners: [],
+            createdTime: '2025-02-01T12:00:00.000Z',
+            modifiedTime: '2025-02-02T12:00:00.000Z'
+        }
+    ]
+};
+
+function setUp(pages) {
+    const spreadsheetApp = createSpreadsheetApp();
+    spreadsheetApp.addSpreadsheet(DESTINATION_SHEET_ID, { Gems: [['old', 'rows', 'here']] });
+    const urlFetchApp = createUrlFetchApp(url => {
+        const pageToken = parseUrl(url).query.pageToken;
+        return { body: pages[pageToken || 'first'] };
+    });
+    const project = loadAppsScriptProject('gem sharing/appscript', {
+        SpreadsheetApp: spreadsheetApp,
+        UrlFetchApp: urlFetchApp,
+        OAuth2: createOAuth2('service-token'),
+        scriptProperties: { SA_PRIVATE_KEY: 'line1\\nline2', SA_CLIENT_EMAIL: 'reporter@project.iam.gserviceaccount.com' }
+    });
+    return { project, spreadsheetApp, urlFetchApp };
+}
+
+
+test('runGemReport writes every gem the owner has, with its sharing, to the first tab', () => {
+    const { project, spreadsheetApp } = setUp({ first: FIRST_PAGE, 'page-2': SECOND_PAGE });
+    project.context.runGemReport();
+
+    assert.deepEqual(plain(spreadsheetApp.tab(DESTINATION_SHEET_ID, 'Gems').values), [
+        HEADERS,
+        [
+            'Budget helper', 'https://gemini.google.com/gem/gem-1', 'OWNER_EMAIL',
+            'ana@example.gov, Finance Team', 'ben@example.gov, example.gov',
+            '01/10/2025', '01/11/2025', '01/13/2025'
+        ],
+        [
+            'Draft reviewer', 'https://gemini.google.com/gem/gem-2', 'Unknown',
+            '', '', '02/01/2025', '02/02/2025', 'Never'
+        ]
+    ]);
+});
+
+
+test('runGemReport queries Drive for the owner\'s gems with the service account token', () => {
+    const { project, urlFetchApp } = setUp({ first: FIRST_PAGE, 'page-2': SECOND_PAGE });
+    project.context.runGemReport();
+
+    assert.equal(urlFetchApp.requests.length, 2);
+    const { base, query } = parseUrl(urlFetchApp.requests[0].url);
+    assert.equal(base, 'https://www.googleapis.com/drive/v3/files');
+    assert.equal(query.q, "mimeType = 'application/vnd.google-gemini.gem' and 'OWNER_EMAIL' in owners and trashed = false");
+    assert.equal(query.pageSize, '100');
+    assert.equal(query.supportsAllDrives, 'true');
+    assert.equal(query.pageToken, '');
+    assert.equal(parseUrl(urlFetchApp.requests[1].url).query.pageToken, 'page-2');
+    assert.deepEqual(plain(urlFetchApp.requests[0].params.headers), { Authorization: 'Bearer service-token' });
+    assert.equal(urlFetchApp.requests[0].params.muteHttpExceptions, true);
+
+    const service = project.services.OAuth2.services[0];
+    assert.equal(service.settings.privateKey, 'line1\nline2');
+    assert.equal(service.settings.issuer, 'reporter@project.iam.gserviceaccount.com');
+});
+
+
+test('runGemReport leaves the sheet alone when there are no gems', () => {
+    const { project, spreadsheetApp } = setUp({ first: { files: [] } });
+    project.context.runGemReport();
+
+    assert.deepEqual(plain(spreadsheetApp.tab(DESTINATION_SHEET_ID, 'Gems').values), [['old', 'rows', 'here']]);
+    assert.ok(project.messages.includes('No Gems found.'));
+});
@@ -0,0 +1,1766 @@
+// Runs the gemini report pipeline against in-memory fakes and checks every grid it writes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadAppsScriptProject, plain } = require('./appsScriptProject');
+const { createAdminReports } = require('./fakes/AdminDirectory');
+const { createBigQuery } = require('./fakes/BigQuery');
+const { createDriveApp } = require('./fakes/DriveApp');
+const { createSpreadsheetApp } = require('./fakes/SpreadsheetApp');
+
+const SCRIPT_PROPERTIES = {
+    TARGET_SPREADSHEET_ID: 'central',
+    OU_SPREADSHEET_ID: 'ou-map',
+    STAFF_COUNT_SPREADSHEET_ID: 'staff-count',
+    BQ_GEMINI_PROJECT_ID: 'gemini-project',
+    BQ_ACTIVITY_TABLE: 'gemini-project.workspace.activity'
+};
+
+const COMPARE_PREVIOUS = { REPORT_COMPARE_PREVIOUS: 'true' };
+
+const OU_MAP = [
+    ['Primary Email', 'OU'],
+    ['ana@example.gov', 'Finance'],
+    ['ben@example.gov', 'Finance'],
+    ['cam@example.gov', 'Health']
+];
+
+const STAFF_COUNTS = [
+    ['OU', 'Number of active staff emails', 'Gemini usage', 'Gemini report sheet id'],
+    ['Finance', 10, 1, 'ou-finance'],
+    ['Health', 4, 1, 'ou-health'],
+    ['Legal', 6, 0, '']
+];
+
+// What the activity query returns; zed@example.gov is not in the OU sheet
+const ACTIVITY = [
+    ['ana@example.gov', 'docs', 'summarize', 5],
+    ['ana@example.gov', 'gmail', 'draft', 2],
+    ['ben@example.gov', 'docs', 'summarize', 1],
+    ['cam@example.gov', 'gmail', 'summarize', 1],
+    ['cam@example.gov', 'gmail', 'draft', 4],
+    ['zed@example.gov', 'docs', 'summarize', 3]
+];
+
+// What it returns for the previous window, 2024-12-04 to 2024-12-31
+const PREVIOUS_ACTIVITY = [
+    ['ana@example.gov', 'docs', 'summarize', 3],
+    ['cam@example.gov', 'gmail', 'draft', 6],
+    ['zed@example.gov', 'docs', 'summarize', 1]
+];
+
+const PREVIOUS_WINDOW_LABEL = '2024-12-04 to 2024-12-31 (CUSTOM, America/New_York)';
+
+const RAW_ACTIVITY = [
+    ['User', 'App', 'Action', 'Count', 'OU'],
+    ['ana@example.gov', 'docs', 'summarize', 5, 'Finance'],
+    ['ana@example.gov', 'gmail', 'draft', 2, 'Finance'],
+    ['ben@example.gov', 'docs', 'summarize', 1, 'Finance'],
+    ['cam@example.gov', 'gmail', 'draft', 4, 'Health'],
+    ['cam@example.gov', 'gmail', 'summarize', 1, 'Health']
+];
+
+/**
+ * Loads the project with the fixture spreadsheets. Each OU spreadsheet starts with a tab under
+ * the name older versions wrote, to check it is renamed rather than duplicated.
+ */
+function setUp(options) {
+    const opts = options || {};
+    const spreadsheetApp = createSpreadsheetApp();
+    spreadsheetApp.addSpreadsheet('central', opts.centralTabs || {});
+    spreadsheetApp.addSpreadsheet('ou-map', { Sheet1: opts.ouMap || OU_MAP });
+    spreadsheetApp.addSpreadsheet('staff-count', { Sheet1: opts.staffCounts || STAFF_COUNTS });
+    spreadsheetApp.addSpreadsheet('ou-finance', { Sheet1: [['stale']] });
+    spreadsheetApp.addSpreadsheet('ou-health', { Sheet1: [['stale']] });
+    Object.keys(opts.spreadsheets || {}).forEach(id => spreadsheetApp.addSpreadsheet(id, opts.spreadsheets[id]));
+    const bigQuery = createBigQuery(Object.assign({
+        maxPageRows: opts.maxPageRows,
+        onQuery: query => ({
+            fields: ['User', 'App', 'Action', 'Count'],
+            rows: query.includes('DATE "2024-12-04"') ? PREVIOUS_ACTIVITY : ACTIVITY
+        })
+    }, opts.bigQuery));
+    const project = loadAppsScriptProject('gemini report', Object.assign({
+        SpreadsheetApp: spreadsheetApp,
+        BigQuery: bigQuery,
+        scriptProperties: Object.assign({}, SCRIPT_PROPERTIES, opts.scriptProperties)
+    }, opts.services));
+    const reportWindow = project.context.resolveReportWindow({ startDate: '2025-01-01', endDate: '2025-01-28' });
+    return { project, spreadsheetApp, bigQuery, reportWindow };
+}
+
+const OU_SUMMARY_HEADERS = ['Sum(Count)', 'Count(User)', 'Number of active staff emails', 'Adoption %'];
+
+const CHANGE_HEADERS = [
+    'Sum(Count) change', 'Sum(Count) change %', 'Count(User) change', 'Count(User) change %', 'Adoption % change', 'Adoption % change %'
+];
+
+function grid(spreadsheetApp, id, tab) {
+    return plain(spreadsheetApp.tab(id, tab).values);
+}
+
+
+test('runBigQueryReport renders the query from the template and the window', () => {
+    const { project, bigQuery, reportWindow } = setUp();
+    project.context.runBigQueryReport(reportWindow);
+
+    const inserts = bigQuery.calls.filter(call => call.method === 'Jobs.insert');
+    assert.equal(inserts.length, 2);
+    assert.equal(inserts[0].request.configuration.dryRun, true);
+    assert.equal(inserts[0].projectId, 'gemini-project');
+    assert.equal(bigQuery.queries.length, 1);
+    assert.match(bigQuery.queries[0], /FROM `gemini-project\.workspace\.activity`/);
+    assert.match(bigQuery.queries[0], /BETWEEN DATE "2025-01-01" AND DATE "2025-01-28"/);
+    assert.match(bigQuery.queries[0], /event_name = "feature_utilization"/);
+    assert.match(bigQuery.queries[0], /NOT IN \("inactive", "unknown"\)/);
+    assert.doesNotMatch(bigQuery.queries[0], /\{\{/);
+});
+
+
+test('runBigQueryReport writes the activity merged with OUs and sorted by OU, user, app and action', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp();
+    project.context.runBigQueryReport(reportWindow);
+
+    assert.deepEqual(spreadsheetApp.tabNames('central'), ['Raw activity', 'Unmapped users']);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity'), RAW_ACTIVITY);
+    const raw = spreadsheetApp.tab('central', 'Raw activity');
+    assert.equal(raw.frozenRows, 1);
+    assert.equal(raw.notes.A1, 'Reporting window: 2025-01-01 to 2025-01-28 (CUSTOM, America/New_York)');
+});
+
+
+test('runBigQueryReport writes the previous window\'s activity for the change columns', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({ scriptProperties: COMPARE_PREVIOUS });
+    project.context.runBigQueryReport(reportWindow);
+
+    assert.equal(bigQuery.queries.length, 2);
+    assert.match(bigQuery.queries[1], /BETWEEN DATE "2024-12-04" AND DATE "2024-12-31"/);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Previous activity'), [
+        ['User', 'App', 'Action', 'Count', 'OU'],
+        ['ana@example.gov', 'docs', 'summarize', 3, 'Finance'],
+        ['cam@example.gov', 'gmail', 'draft', 6, 'Health']
+    ]);
+    assert.equal(spreadsheetApp.tab('central', 'Previous activity').notes.A1, `Reporting window: ${PREVIOUS_WINDOW_LABEL}`);
+    // The unmapped list covers the current window only
+    assert.equal(grid(spreadsheetApp, 'central', 'Unmapped users')[1][1], 3);
+});
+
+
+test('runBigQueryReport lists users missing from the OU sheet', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp();
+    project.context.runBigQueryReport(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Unmapped users'), [
+        ['User', 'Sum(Count)', 'Rows', 'Apps', '', 'Summary', ''],
+        ['zed@example.gov', 3, 1, 'docs', '', 'Unmapped users', 1],
+        ['', '', '', '', '', 'Unmapped Sum(Count)', 3],
+        ['', '', '', '', '', 'Total Sum(Count) from BigQuery', 16],
+        ['', '', '', '', '', 'Share of activity', 3 / 16],
+        ['', '', '', '', '', 'Handling', 'Excluded from the report']
+    ]);
+    assert.equal(spreadsheetApp.tab('central', 'Unmapped users').numberFormats.G5, '0.00%');
+});
+
+
+test('runBigQueryReport reads every result page', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({ maxPageRows: 2, scriptProperties: COMPARE_PREVIOUS });
+    project.context.runBigQueryReport(reportWindow);
+
+    // Three pages for the current window and two for the previous one
+    assert.equal(bigQuery.calls.filter(call => call.method === 'Jobs.getQueryResults').length, 5);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity'), RAW_ACTIVITY);
+});
+
+
+test('runBigQueryReport reads the results from the job\'s location', () => {
+    const { project, bigQuery, reportWindow } = setUp({ bigQuery: { location: 'asia-northeast1' } });
+    project.context.runBigQueryReport(reportWindow);
+
+    const pages = bigQuery.calls.filter(call => call.method === 'Jobs.getQueryResults');
+    assert.ok(pages.length > 0);
+    pages.forEach(call => assert.equal(call.params.location, 'asia-northeast1'));
+});
+
+
+/** The job IDs the script gave the jobs it inserted, dry runs aside, in order. */
+function insertedJobIds(bigQuery) {
+    return bigQuery.calls
+        .filter(call => call.method === 'Jobs.insert' && !call.request.configuration.dryRun)
+        .map(call => call.request.jobReference.jobId);
+}
+
+test('runBigQueryReport cancels a job still running at the deadline', () => {
+    const clock = { now: Date.UTC(2025, 0, 29) };
+    const { project, bigQuery, reportWindow } = setUp({
+        scriptProperties: { BQ_JOB_TIMEOUT_SECONDS: '60' },
+        bigQuery: { pollsUntilDone: Infinity, location: 'EU', onPoll: () => { clock.now += 10000; } }
+    });
+    project.evaluate('Date').now = () => clock.now;
+
+    assert.throws(() => project.context.runBigQueryReport(reportWindow), error => error.category === 'TIMEOUT');
+    const cancels = bigQuery.calls.filter(call => call.method === 'Jobs.cancel');
+    assert.deepEqual(cancels.map(call => [call.jobId, plain(call.params)]), [[insertedJobIds(bigQuery)[0], { location: 'EU' }]]);
+    assert.equal(bigQuery.calls.filter(call => call.method === 'Jobs.getQueryResults').length, 0);
+});
+
+
+test('runBigQueryReport gives every window of a run one time budget', () => {
+    // Each poll takes 200 of the 240 seconds, so the current window uses up the budget
+    const clock = { now: Date.UTC(2025, 0, 29) };
+    const { project, bigQuery, reportWindow } = setUp({
+        scriptProperties: COMPARE_PREVIOUS,
+        bigQuery: { pollsUntilDone: 2, onPoll: () => { clock.now += 200000; } }
+    });
+    project.evaluate('Date').now = () => clock.now;
+    project.context.runBigQueryReport(reportWindow);
+
+    assert.equal(bigQuery.queries.length, 1);
+    assert.ok(project.messages.some(message => /ERROR fetching the previous window: BigQuery TIMEOUT error: .*budget was used up/.test(message)));
+});
+
+
+test('runBigQueryReport reports a failed job with its error class', () => {
+    const { project, bigQuery, reportWindow } = setUp({
+        bigQuery: { errorResult: { reason: 'responseTooLarge', message: 'Response too large to return.' } }
+    });
+
+    assert.throws(() => project.context.runBigQueryReport(reportWindow), error => error.category === 'RESULT_SIZE'
+        && error.message.startsWith(`BigQuery RESULT_SIZE error (job ${insertedJobIds(bigQuery)[0]}): Response too large to return. — The query result`));
+});
+
+
+test('runBigQueryReport waits for the job an insert started when the retry finds it already exists', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({ bigQuery: { loseInsertResponses: 1 } });
+    project.context.runBigQueryReport(reportWindow);
+
+    // Both attempts sent the same job ID, and only the first one started a query
+    const jobIds = insertedJobIds(bigQuery);
+    assert.equal(jobIds.length, 2);
+    assert.match(jobIds[0], /^gemini_report_[0-9a-f-]{36}$/);
+    assert.equal(jobIds[1], jobIds[0]);
+    assert.equal(bigQuery.queries.length, 1);
+    assert.equal(grid(spreadsheetApp, 'central', 'Raw activity').length, 6);
+    assert.ok(project.messages.includes(`BigQuery job ${jobIds[0]} was already started by an earlier attempt. Waiting for it instead.`));
+});
+
+
+test('retries of a failed BigQuery call do not wait past the run\'s deadline', () => {
+    const clock = { now: Date.UTC(2025, 0, 29) };
+    const { project, bigQuery, reportWindow } = setUp({
+        scriptProperties: { BQ_JOB_TIMEOUT_SECONDS: '3' },
+        bigQuery: { failInserts: Infinity }
+    });
+    project.evaluate('Date').now = () => clock.now;
+    project.services.Utilities.sleep = ms => { clock.now += ms; };
+
+    assert.throws(() => project.context.runBigQueryReport(reportWindow), error => error.category === 'TRANSIENT');
+    // The first backoff is 2 to 3 seconds and the second is cut short at the deadline
+    assert.equal(clock.now, Date.UTC(2025, 0, 29) + 3000);
+    assert.equal(insertedJobIds(bigQuery).length, 3);
+});
+
+
+test('classifyBigQueryError maps reasons and messages to error classes', () => {
+    const { project } = setUp();
+    const classify = project.context.classifyBigQueryError;
+    [
+        ['quotaExceeded', 'Quota exceeded: too many concurrent queries', 'QUOTA'],
+        ['bytesBilledLimitExceeded', 'Query exceeded limit for bytes billed: 1000.', 'COST_LIMIT'],
+        ['accessDenied', 'Access Denied: Table activity: User does not have permission', 'PERMISSION'],
+        ['responseTooLarge', 'Response too large to return.', 'RESULT_SIZE'],
+        ['resourcesExceeded', 'Resources exceeded during query execution', 'RESULT_SIZE'],
+        ['invalidQuery', 'Syntax error: Unexpected keyword FROM', 'SYNTAX'],
+        ['notFound', 'Not found: Table gemini-project:workspace.activity', 'NOT_FOUND'],
+        ['backendError', 'Backend error. Job aborted.', 'TRANSIENT'],
+        ['stopped', 'Job execution was cancelled: User requested cancellation', 'TIMEOUT']
+    ].forEach(([reason, message, category]) => {
+        assert.equal(classify(reason, message), category, reason);
+        if (category !== 'TIMEOUT') {
+            assert.equal(classify('', message), category, message);
+        }
+    });
+    assert.equal(classify('', 'Something else went wrong'), 'UNKNOWN');
+});
+
+
+test('runBigQueryReport refuses to run a query whose dry run exceeds BQ_MAX_BYTES_BILLED', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({
+        scriptProperties: { BQ_MAX_BYTES_BILLED: '1000000' },
+        bigQuery: { bytesProcessed: 1048576 }
+    });
+
+    assert.throws(() => project.context.runBigQueryReport(reportWindow), error => error.category === 'COST_LIMIT'
+        && /Estimated scan of 1\.00 MiB .* exceeds the ceiling of 976\.56 KiB\. The query was not run\./.test(error.message));
+    assert.equal(bigQuery.queries.length, 0);
+    assert.deepEqual(spreadsheetApp.tabNames('central'), []);
+});
+
+
+test('runBigQueryReport passes BQ_MAX_BYTES_BILLED on to BigQuery when the estimate is within it', () => {
+    const { project, bigQuery, reportWindow } = setUp({ scriptProperties: { BQ_MAX_BYTES_BILLED: '2000000' } });
+    project.context.runBigQueryReport(reportWindow);
+
+    const query = bigQuery.calls.find(call => call.method === 'Jobs.insert' && !call.request.configuration.dryRun);
+    assert.equal(query.request.configuration.query.maximumBytesBilled, '2000000');
+    assert.ok(project.messages.includes('Estimated scan is within the ceiling of 1.91 MiB.'));
+});
+
+
+/** Builds a Reports API activity with one Gemini event. */
+function geminiActivity(email, time, app, action, category) {
+    return {
+        id: { time: time },
+        actor: email ? { email: email } : {},
+        events: [{
+            name: 'feature_utilization',
+            parameters: [
+                { name: 'app_name', value: app },
+                { name: 'action', value: action },
+                { name: 'event_category', value: category || 'active' }
+            ]
+        }]
+    };
+}
+
+test('the Reports API source counts Gemini events per user, app and action', () => {
+    const adminReports = createAdminReports([
+        geminiActivity('ana@example.gov', '2025-01-02T15:00:00Z', 'docs', 'summarize'),
+        geminiActivity('ana@example.gov', '2025-01-03T15:00:00Z', 'docs', 'summarize'),
+        geminiActivity('ana@example.gov', '2025-01-04T15:00:00Z', 'gmail', 'draft'),
+        geminiActivity('cam@example.gov', '2025-01-28T23:00:00Z', 'gmail', 'draft'),
+        geminiActivity('cam@example.gov', '2025-01-10T15:00:00Z', 'gmail', 'draft', 'inactive'),
+        geminiActivity('cam@example.gov', '2024-12-31T15:00:00Z', 'gmail', 'draft'),
+        geminiActivity('', '2025-01-05T15:00:00Z', 'docs', 'summarize')
+    ]);
+    const { project, spreadsheetApp, reportWindow } = setUp({ services: { AdminReports: adminReports } });
+    project.context.runActivityReport(reportWindow, project.context.getDataSource('REPORTS_API'));
+
+    // The window runs midnight to midnight in New York, so 23:00 UTC on the 28th is still in it
+    assert.deepEqual(plain(adminReports.calls[0].params), {
+        eventName: 'feature_utilization',
+        startTime: '2025-01-01T05:00:00.000Z',
+        endTime: '2025-01-29T05:00:00.000Z',
+        maxResults: 1000,
+        pageToken: undefined
+    });
+    assert.equal(adminReports.calls[0].applicationName, 'gemini_in_workspace_apps');
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count', 'OU'],
+        ['ana@example.gov', 'docs', 'summarize', 2, 'Finance'],
+        ['ana@example.gov', 'gmail', 'draft', 1, 'Finance'],
+        ['cam@example.gov', 'gmail', 'draft', 1, 'Health']
+    ]);
+    assert.equal(grid(spreadsheetApp, 'central', 'Unmapped users')[3][5], 'Total Sum(Count) from Admin Reports API');
+});
+
+
+test('the Reports API source pages through the results and keeps the date at daily grain', () => {
+    const activities = [];
+    for (let i = 0; i < 1001; i++) {
+        activities.push(geminiActivity('ben@example.gov', `2025-01-0${1 + (i % 2)}T15:00:00Z`, 'docs', 'summarize'));
+    }
+    const adminReports = createAdminReports(activities);
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        services: { AdminReports: adminReports },
+        scriptProperties: { REPORT_DAILY_GRAIN: 'true' }
+    });
+    project.context.runActivityReport(reportWindow, project.context.getDataSource('REPORTS_API'));
+
+    assert.deepEqual(adminReports.calls.map(call => call.params.pageToken), [undefined, '1000']);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count', 'Date', 'OU'],
+        ['ben@example.gov', 'docs', 'summarize', 501, '2025-01-01', 'Finance'],
+        ['ben@example.gov', 'docs', 'summarize', 500, '2025-01-02', 'Finance']
+    ]);
+});
+
+
+test('the Reports API source retries rate limits and server errors, and fails at once on anything else', () => {
+    const activities = [geminiActivity('ana@example.gov', '2025-01-02T15:00:00Z', 'docs', 'summarize')];
+    let adminReports = createAdminReports(activities, [
+        { code: 429, reason: 'rateLimitExceeded', message: 'Quota exceeded for quota metric' },
+        { code: 503, reason: 'backendError', message: 'Service unavailable' }
+    ]);
+    let { project, spreadsheetApp, reportWindow } = setUp({ services: { AdminReports: adminReports } });
+    project.context.runActivityReport(reportWindow, project.context.getDataSource('REPORTS_API'));
+    assert.equal(adminReports.calls.length, 3);
+    assert.equal(grid(spreadsheetApp, 'central', 'Raw activity').length, 2);
+
+    adminReports = createAdminReports(activities, [{ code: 403, reason: 'forbidden', message: 'Caller does not have access to the customers reporting data.' }]);
+    ({ project, reportWindow } = setUp({ services: { AdminReports: adminReports } }));
+    assert.throws(
+        () => project.context.runActivityReport(reportWindow, project.context.getDataSource('REPORTS_API')),
+        error => error.category === 'PERMISSION'
+            && error.message.startsWith('Admin Reports API PERMISSION error: API call to reports.activities.list failed with error: Caller does not have access')
+    );
+    assert.equal(adminReports.calls.length, 1);
+    assert.equal(project.services.Utilities.sleptMs, 0);
+
+    const classify = (code, reason, message) => project.context.classifyReportsApiError(Object.assign(new Error(message || ''), code ? { details: { code: code, errors: [{ reason: reason }] } } : {}));
+    assert.equal(classify(400, 'invalid', 'Bad Request'), 'INVALID');
+    assert.equal(classify(404, 'notFound', 'Not Found'), 'NOT_FOUND');
+    assert.equal(classify(500, 'internalError', 'Internal error'), 'TRANSIENT');
+    assert.equal(classify(0, '', 'Invalid value for customerId'), 'INVALID');
+    assert.equal(classify(0, '', 'Too many requests'), 'QUOTA');
+});
+
+
+test('the CSV source reads the window\'s rows from a Drive file', () => {
+    const driveApp = createDriveApp();
+    driveApp.addFile('activity.csv', [
+        'Date,User,App,Action,Count,Note',
+        '2025-01-02,ana@example.gov,docs,summarize,5,',
+        '2025-01-03,cam@example.gov,gmail,draft,"4","with, comma"',
+        ',,,,,',
+        '2024-12-31,ben@example.gov,docs,summarize,9,',
+        '2025-01-29,ben@example.gov,docs,summarize,9,'
+    ].join('\n'), { id: 'csv-file' });
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        services: { DriveApp: driveApp },
+        scriptProperties: { CSV_FILE_ID: 'csv-file' }
+    });
+    project.context.runActivityReport(reportWindow, project.context.getDataSource('CSV'));
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count', 'OU'],
+        ['ana@example.gov', 'docs', 'summarize', 5, 'Finance'],
+        ['cam@example.gov', 'gmail', 'draft', 4, 'Health']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Unmapped users')[3].slice(5), ['Total Sum(Count) from CSV file in Drive', 9]);
+    assert.ok(project.messages.includes('Read 2 rows from the CSV file (2 outside 2025-01-01 to 2025-01-28 (CUSTOM, America/New_York) skipped).'));
+});
+
+
+test('the CSV source reads dates written as M/d/yyyy or with a time, and skips dates it cannot read', () => {
+    const driveApp = createDriveApp();
+    driveApp.addFile('activity.csv', [
+        'Date,User,App,Action,Count',
+        '1/2/2025,ana@example.gov,docs,summarize,5',
+        '2025-01-28 17:30:00,cam@example.gov,gmail,draft,4',
+        '2025-01-29T03:00:00Z,cam@example.gov,gmail,draft,1',
+        '12/31/2024,ben@example.gov,docs,summarize,9',
+        '2025-01-29 08:00,ben@example.gov,docs,summarize,9',
+        'yesterday,ben@example.gov,docs,summarize,9',
+        '2/30/2025,ben@example.gov,docs,summarize,9'
+    ].join('\n'), { id: 'csv-file' });
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        services: { DriveApp: driveApp },
+        scriptProperties: { CSV_FILE_ID: 'csv-file', REPORT_DAILY_GRAIN: 'true' }
+    });
+    project.context.runActivityReport(reportWindow, project.context.getDataSource('CSV'));
+
+    // 03:00 UTC on the 29th is still the 28th in New York
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity').map(row => [row[0], row[4]]), [
+        ['User', 'Date'],
+        ['ana@example.gov', '2025-01-02'],
+        ['cam@example.gov', '2025-01-28'],
+        ['cam@example.gov', '2025-01-28']
+    ]);
+    assert.ok(project.messages.includes('Read 3 rows from the CSV file (2 outside 2025-01-01 to 2025-01-28 (CUSTOM, America/New_York) skipped).'));
+    assert.ok(project.messages.includes('WARNING: Skipped 2 CSV rows whose Date could not be read, such as "yesterday". Use yyyy-MM-dd or M/d/yyyy.'));
+});
+
+
+test('the CSV source needs CSV_FILE_ID and the activity columns', () => {
+    const driveApp = createDriveApp();
+    driveApp.addFile('activity.csv', 'User,App,Count\nana@example.gov,docs,5', { id: 'csv-file' });
+    let { project, reportWindow } = setUp({ services: { DriveApp: driveApp } });
+    assert.throws(() => project.context.runActivityReport(reportWindow, project.context.getDataSource('CSV')),
+        /the CSV_FILE_ID script property is not set/);
+
+    ({ project, reportWindow } = setUp({ services: { DriveApp: driveApp }, scriptProperties: { CSV_FILE_ID: 'csv-file' } }));
+    assert.throws(() => project.context.runActivityReport(reportWindow, project.context.getDataSource('CSV')),
+        /The CSV file is missing required columns \(Action\)/);
+});
+
+
+test('aggregateData writes the summary tabs in manifest order', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(spreadsheetApp.tabNames('central'), [
+        'About this report',
+        'Overall',
+        'By OU',
+        'By app',
+        'By OU & app',
+        'User leaderboard',
+        'App rankings',
+        'Engagement tiers',
+        'Champions',
+        'By action',
+        'By app & action',
+        'By OU, app & action',
+        'Staff count checks',
+        'Raw activity'
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Overall'), [
+        ['Group', 'Sum(Count)', 'Count(User)', 'Number of active staff emails', 'Adoption %'],
+        ['All', 13, 3, 14, 3 / 14]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU'), [
+        ['OU', 'Sum(Count)', 'OU Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %'],
+        ['Health', 5, 5 / 13, 1, 4, 1 / 4],
+        ['Finance', 8, 8 / 13, 2, 10, 2 / 10]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By app'), [
+        ['App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) OU', 'Max(User) Action'],
+        ['docs', 6, 6 / 13, 2, 14, 2 / 14, 'ana@example.gov', 'Finance', 'summarize'],
+        ['gmail', 7, 7 / 13, 2, 14, 2 / 14, 'cam@example.gov', 'Health', 'draft']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU & app'), [
+        ['OU', 'App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) Action'],
+        ['Finance', 'docs', 6, 6 / 8, 2, 10, 2 / 10, 'ana@example.gov', 'summarize'],
+        ['Finance', 'gmail', 2, 2 / 8, 1, 10, 1 / 10, 'ana@example.gov', 'draft'],
+        ['Health', 'gmail', 5, 1, 1, 4, 1 / 4, 'cam@example.gov', 'draft']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'User leaderboard'), [
+        ['User', 'OU', 'docs', 'gmail', 'Overall', 'Tier'],
+        ['ana@example.gov', 'Finance', 5, 2, 7, 'Light'],
+        ['cam@example.gov', 'Health', 0, 5, 5, 'Light'],
+        ['ben@example.gov', 'Finance', 1, 0, 1, 'Light']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'App rankings'), [
+        ['Rank', 'docs', 'gmail'],
+        [1, 'ana@example.gov (Finance)', 'cam@example.gov (Health)'],
+        [2, 'ben@example.gov (Finance)', 'ana@example.gov (Finance)'],
+        [3, '', '']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By action'), [
+        ['Action', 'Sum(Count)', 'Unique(User)'],
+        ['draft', 6, 2],
+        ['summarize', 7, 3]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By app & action'), [
+        ['App', 'Action', 'Sum(Count)', 'Unique(User)'],
+        ['docs', 'summarize', 6, 2],
+        ['gmail', 'draft', 6, 2],
+        ['gmail', 'summarize', 1, 1]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU, app & action'), [
+        ['OU', 'App', 'Action', 'Sum(Count)', 'Unique(User)'],
+        ['Finance', 'docs', 'summarize', 6, 2],
+        ['Finance', 'gmail', 'draft', 2, 1],
+        ['Health', 'gmail', 'draft', 4, 1],
+        ['Health', 'gmail', 'summarize', 1, 1]
+    ]);
+});
+
+
+test('aggregateData goes on past the App rankings when no row has a user', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': [RAW_ACTIVITY[0], ['', 'docs', 'summarize', 5, 'Finance']] }
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.ok(project.messages.includes('No user data found. Skipping App rankings.'));
+    assert.equal(spreadsheetApp.tabNames('central').includes('App rankings'), false);
+    assert.equal(spreadsheetApp.tabNames('central')[0], 'About this report');
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'Raw activity'), [['User', 'App', 'Action', 'Count'], ['', 'docs', 'summarize', 5]]);
+});
+
+
+test('aggregateData formats, freezes, charts and annotates the summary tabs', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    const byOu = spreadsheetApp.tab('central', 'By OU');
+    assert.deepEqual(byOu.numberFormats, { C2: '0.00%', E2: '0', F2: '0.00%', C3: '0.00%', E3: '0', F3: '0.00%' });
+    assert.equal(byOu.frozenRows, 1);
+    assert.equal(byOu.charts.length, 1);
+    assert.equal(spreadsheetApp.tab('central', 'By app').charts.length, 2);
+    assert.equal(spreadsheetApp.tab('central', 'By OU & app').charts.length, 4);
+
+    const rankings = spreadsheetApp.tab('central', 'App rankings');
+    assert.equal(rankings.frozenRows, 1);
+    assert.equal(rankings.frozenColumns, 1);
+
+    assert.equal(spreadsheetApp.tab('central', 'By app').notes.C1, 'Share of all Gemini actions that were in this app.');
+    assert.equal(spreadsheetApp.tab('central', 'Overall').notes.A1, [
+        'Total Gemini activity and adoption across every OU.',
+        'Reporting window: 2025-01-01 to 2025-01-28 (CUSTOM, America/New_York)'
+    ].join('\n\n'));
+});
+
+
+test('aggregateData writes each OU its own rows, renaming tabs left by older versions', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    const ouTabs = ['About this report', 'OU summary', 'By app', 'User leaderboard', 'App rankings', 'Champions', 'By app & action', 'Raw activity'];
+    assert.deepEqual(spreadsheetApp.tabNames('ou-finance'), ouTabs);
+    assert.deepEqual(spreadsheetApp.tabNames('ou-health'), ouTabs);
+
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'OU summary'), [
+        ['Sum(Count)', 'Count(User)', 'Number of active staff emails', 'Adoption %'],
+        [8, 2, 10, 2 / 10]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'By app'), [
+        ['App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) Action'],
+        ['docs', 6, 6 / 8, 2, 10, 2 / 10, 'ana@example.gov', 'summarize'],
+        ['gmail', 2, 2 / 8, 1, 10, 1 / 10, 'ana@example.gov', 'draft']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'User leaderboard'), [
+        ['User', 'docs', 'gmail', 'Overall', 'Tier'],
+        ['ana@example.gov', 5, 2, 7, 'Light'],
+        ['ben@example.gov', 1, 0, 1, 'Light']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'App rankings'), [
+        ['Rank', 'docs', 'gmail'],
+        [1, 'ana@example.gov', 'ana@example.gov'],
+        [2, 'ben@example.gov', '']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'By app & action'), [
+        ['App', 'Action', 'Sum(Count)', 'Unique(User)'],
+        ['docs', 'summarize', 6, 2],
+        ['gmail', 'draft', 2, 1]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count'],
+        ['ana@example.gov', 'docs', 'summarize', 5],
+        ['ana@example.gov', 'gmail', 'draft', 2],
+        ['ben@example.gov', 'docs', 'summarize', 1]
+    ]);
+
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'OU summary'), [
+        ['Sum(Count)', 'Count(User)', 'Number of active staff emails', 'Adoption %'],
+        [5, 1, 4, 1 / 4]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'By app'), [
+        ['App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) Action'],
+        ['gmail', 5, 1, 1, 4, 1 / 4, 'cam@example.gov', 'draft']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'User leaderboard'), [
+        ['User', 'docs', 'gmail', 'Overall', 'Tier'],
+        ['cam@example.gov', 0, 5, 5, 'Light']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'App rankings'), [
+        ['Rank', 'docs', 'gmail'],
+        [1, '', 'cam@example.gov']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'By app & action'), [
+        ['App', 'Action', 'Sum(Count)', 'Unique(User)'],
+        ['gmail', 'draft', 4, 1],
+        ['gmail', 'summarize', 1, 1]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count'],
+        ['cam@example.gov', 'gmail', 'draft', 4],
+        ['cam@example.gov', 'gmail', 'summarize', 1]
+    ]);
+    assert.equal(spreadsheetApp.tab('ou-health', 'By app').charts.length, 2);
+});
+
+
+test('the full run reads BigQuery once and fills the central and OU spreadsheets', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({ scriptProperties: COMPARE_PREVIOUS });
+    project.context.runFullReportAndAggregation({ startDate: reportWindow.startDate, endDate: reportWindow.endDate });
+
+    assert.equal(bigQuery.queries.length, 2);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity'), RAW_ACTIVITY);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'User leaderboard'), [
+        ['User', 'OU', 'docs', 'gmail', 'Overall', 'Tier'],
+        ['ana@example.gov', 'Finance', 5, 2, 7, 'Light'],
+        ['cam@example.gov', 'Health', 0, 5, 5, 'Light'],
+        ['ben@example.gov', 'Finance', 1, 0, 1, 'Light']
+    ]);
+    assert.equal(spreadsheetApp.tabNames('central').length, 16);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'OU summary'), [
+        [...OU_SUMMARY_HEADERS, ...CHANGE_HEADERS],
+        [5, 1, 4, 1 / 4, -1, -1 / 6, 0, 0, 0, 0]
+    ]);
+});
+
+
+test('aggregateData adds change columns against the previous window to the OU and app summaries', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ scriptProperties: COMPARE_PREVIOUS });
+    project.context.runBigQueryReport(reportWindow);
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU'), [
+        ['OU', 'Sum(Count)', 'OU Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', ...CHANGE_HEADERS],
+        ['Health', 5, 5 / 13, 1, 4, 1 / 4, -1, -1 / 6, 0, 0, 0, 0],
+        ['Finance', 8, 8 / 13, 2, 10, 2 / 10, 5, 5 / 3, 1, 1, 2 / 10 - 1 / 10, (2 / 10 - 1 / 10) / (1 / 10)]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By app'), [
+        ['App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) OU', 'Max(User) Action', ...CHANGE_HEADERS],
+        ['docs', 6, 6 / 13, 2, 14, 2 / 14, 'ana@example.gov', 'Finance', 'summarize', 3, 1, 1, 1, 2 / 14 - 1 / 14, (2 / 14 - 1 / 14) / (1 / 14)],
+        ['gmail', 7, 7 / 13, 2, 14, 2 / 14, 'cam@example.gov', 'Health', 'draft', 1, 1 / 6, 1, 1, 2 / 14 - 1 / 14, (2 / 14 - 1 / 14) / (1 / 14)]
+    ]);
+    // Finance had no gmail activity in the previous window, so its % changes are blank
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU & app'), [
+        ['OU', 'App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) Action', ...CHANGE_HEADERS],
+        ['Finance', 'docs', 6, 6 / 8, 2, 10, 2 / 10, 'ana@example.gov', 'summarize', 3, 1, 1, 1, 2 / 10 - 1 / 10, (2 / 10 - 1 / 10) / (1 / 10)],
+        ['Finance', 'gmail', 2, 2 / 8, 1, 10, 1 / 10, 'ana@example.gov', 'draft', 2, '', 1, '', 1 / 10, ''],
+        ['Health', 'gmail', 5, 1, 1, 4, 1 / 4, 'cam@example.gov', 'draft', -1, -1 / 6, 0, 0, 0, 0]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'OU summary'), [
+        [...OU_SUMMARY_HEADERS, ...CHANGE_HEADERS],
+        [8, 2, 10, 2 / 10, 5, 5 / 3, 1, 1, 2 / 10 - 1 / 10, (2 / 10 - 1 / 10) / (1 / 10)]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'By app'), [
+        ['App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) Action', ...CHANGE_HEADERS],
+        ['docs', 6, 6 / 8, 2, 10, 2 / 10, 'ana@example.gov', 'summarize', 3, 1, 1, 1, 2 / 10 - 1 / 10, (2 / 10 - 1 / 10) / (1 / 10)],
+        ['gmail', 2, 2 / 8, 1, 10, 1 / 10, 'ana@example.gov', 'draft', 2, '', 1, '', 1 / 10, '']
+    ]);
+    assert.equal(spreadsheetApp.tabNames('central').at(-1), 'Previous activity');
+    assert.equal(spreadsheetApp.tab('central', 'Previous activity').notes.A1, [
+        'The activity rows of the previous reporting window, which the change columns compare against.',
+        `Reporting window: ${PREVIOUS_WINDOW_LABEL}`
+    ].join('\n\n'));
+});
+
+
+test('aggregateData formats the change columns with arrows and colours them by direction', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ scriptProperties: COMPARE_PREVIOUS });
+    project.context.runBigQueryReport(reportWindow);
+    project.context.aggregateData(reportWindow);
+
+    const byOu = spreadsheetApp.tab('central', 'By OU');
+    assert.equal(byOu.numberFormats.G2, '"▲ "#,##0;"▼ "#,##0;"– "0');
+    assert.equal(byOu.numberFormats.H2, '"▲ "0.00%;"▼ "0.00%;"– "0.00%');
+    assert.equal(byOu.numberFormats.K3, '"▲ "0.00%;"▼ "0.00%;"– "0.00%');
+    assert.deepEqual(plain(byOu.conditionalFormatRules), [
+        { ranges: ['G2:G3', 'H2:H3', 'I2:I3', 'J2:J3', 'K2:K3', 'L2:L3'], condition: { type: 'NUMBER_GREATER_THAN', values: [0] }, format: { fontColor: '#137333' } },
+        { ranges: ['G2:G3', 'H2:H3', 'I2:I3', 'J2:J3', 'K2:K3', 'L2:L3'], condition: { type: 'NUMBER_LESS_THAN', values: [0] }, format: { fontColor: '#a50e0e' } }
+    ]);
+    assert.equal(spreadsheetApp.tab('central', 'By OU & app').conditionalFormatRules[0].ranges[0], 'J2:J4');
+    assert.equal(spreadsheetApp.tab('central', 'By OU').notes.K1, 'Change in adoption since the previous reporting window, in percentage points.');
+
+    const ouSummary = spreadsheetApp.tab('ou-finance', 'OU summary');
+    assert.equal(ouSummary.numberFormats.E2, '"▲ "#,##0;"▼ "#,##0;"– "0');
+    assert.equal(ouSummary.numberFormats.J2, '"▲ "0.00%;"▼ "0.00%;"– "0.00%');
+    assert.deepEqual(plain(ouSummary.conditionalFormatRules[1].ranges), ['E2', 'F2', 'G2', 'H2', 'I2', 'J2']);
+    const ouApps = spreadsheetApp.tab('ou-health', 'By app');
+    assert.equal(ouApps.numberFormats.I2, '"▲ "#,##0;"▼ "#,##0;"– "0');
+    assert.deepEqual(plain(ouApps.conditionalFormatRules[0].ranges), ['I2', 'J2', 'K2', 'L2', 'M2', 'N2']);
+});
+
+
+test('aggregateData leaves out the change columns when the previous activity covers another window', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ scriptProperties: COMPARE_PREVIOUS });
+    project.context.runBigQueryReport(reportWindow);
+    spreadsheetApp.tab('central', 'Previous activity').sheet.getRange(1, 1).setNote('Reporting window: 2024-11-01 to 2024-11-30 (LAST_FULL_MONTH, America/New_York)');
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Previous activity'), []);
+    assert.equal(grid(spreadsheetApp, 'central', 'By OU')[0].length, 6);
+    assert.deepEqual(plain(spreadsheetApp.tab('central', 'By OU').conditionalFormatRules), []);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'OU summary')[0], OU_SUMMARY_HEADERS);
+});
+
+
+test('the Previous activity tab keeps the window it was fetched for when runs without the comparison arrange the tabs', () => {
+    const staleWindow = 'Reporting window: 2024-11-01 to 2024-11-30 (LAST_FULL_MONTH, America/New_York)';
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY, 'Previous activity': RAW_ACTIVITY }
+    });
+    spreadsheetApp.tab('central', 'Previous activity').sheet.getRange(1, 1).setNote(staleWindow);
+    project.context.aggregateData(reportWindow);
+    assert.match(spreadsheetApp.tab('central', 'Previous activity').notes.A1, /2024-11-01 to 2024-11-30/);
+    assert.doesNotMatch(spreadsheetApp.tab('central', 'Previous activity').notes.A1, /2024-12-04/);
+
+    // Turning the comparison on later does not compare against the stale rows
+    project.services.PropertiesService.getScriptProperties().setProperty('REPORT_COMPARE_PREVIOUS', 'true');
+    project.context.aggregateData(reportWindow);
+    assert.equal(grid(spreadsheetApp, 'central', 'By OU')[0].length, 6);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Previous activity'), []);
+});
+
+
+test('without REPORT_COMPARE_PREVIOUS the run skips the previous window and keeps the old layout', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp();
+    project.context.runFullReportAndAggregation({ startDate: reportWindow.startDate, endDate: reportWindow.endDate });
+
+    assert.equal(bigQuery.queries.length, 1);
+    assert.equal(spreadsheetApp.tabNames('central').includes('Previous activity'), false);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU'), [
+        ['OU', 'Sum(Count)', 'OU Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %'],
+        ['Health', 5, 5 / 13, 1, 4, 1 / 4],
+        ['Finance', 8, 8 / 13, 2, 10, 2 / 10]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'OU summary'), [OU_SUMMARY_HEADERS, [5, 1, 4, 1 / 4]]);
+});
+
+
+test('aggregateData classifies users into engagement tiers and counts the tiers per OU', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        scriptProperties: { REPORT_ENGAGEMENT_TIERS: '{"Power": 6, "Regular": 2}' }
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'User leaderboard').map(row => row.at(-1)), ['Tier', 'Power', 'Regular', 'Light']);
+    // Staff with no activity are Inactive: Finance has 10 staff and 2 users, Health 4 and 1
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Engagement tiers'), [
+        ['OU', 'Power users', 'Regular users', 'Light users', 'Inactive staff', 'Power %', 'Regular %', 'Light %', 'Inactive %'],
+        ['Finance', 1, 0, 1, 8, 1 / 10, 0, 1 / 10, 8 / 10],
+        ['Health', 0, 1, 0, 3, 0, 1 / 4, 0, 3 / 4]
+    ]);
+    const tiers = spreadsheetApp.tab('central', 'Engagement tiers');
+    assert.equal(tiers.numberFormats.E3, '0');
+    assert.equal(tiers.numberFormats.I3, '0.00%');
+    assert.equal(tiers.charts.length, 1);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'User leaderboard'), [
+        ['User', 'docs', 'gmail', 'Overall', 'Tier'],
+        ['ana@example.gov', 5, 2, 7, 'Power'],
+        ['ben@example.gov', 1, 0, 1, 'Light']
+    ]);
+    assert.equal(spreadsheetApp.tab('ou-finance', 'User leaderboard').numberFormats.D2, '0');
+});
+
+
+test('getEngagementTierThresholds rejects thresholds out of order or unknown tiers', () => {
+    const thresholds = json => setUp({ scriptProperties: { REPORT_ENGAGEMENT_TIERS: json } }).project.context.getEngagementTierThresholds();
+
+    assert.deepEqual(plain(thresholds('{"Power": 100, "Regular": "20"}')), { Power: 100, Regular: 20, Light: 1 });
+    assert.throws(() => thresholds('{"Power": 5, "Regular": 10}'), /Power > Regular > Light/);
+    assert.throws(() => thresholds('{"Heavy": 5}'), /Unknown engagement tier "Heavy"/);
+    assert.throws(() => thresholds('{"Light": 0}'), /positive number of actions/);
+    assert.throws(() => thresholds('not json'), /not valid JSON/);
+});
+
+
+test('aggregateData lists the top users of each OU and app, centrally and per OU', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Champions'), [
+        ['Scope', 'Group', 'Rank', 'User', 'OU', 'Sum(Count)', 'Share of group', 'Top action'],
+        ['OU', 'Finance', 1, 'ana@example.gov', 'Finance', 7, 7 / 8, 'summarize'],
+        ['OU', 'Finance', 2, 'ben@example.gov', 'Finance', 1, 1 / 8, 'summarize'],
+        ['OU', 'Health', 1, 'cam@example.gov', 'Health', 5, 1, 'draft'],
+        ['App', 'docs', 1, 'ana@example.gov', 'Finance', 5, 5 / 6, 'summarize'],
+        ['App', 'docs', 2, 'ben@example.gov', 'Finance', 1, 1 / 6, 'summarize'],
+        ['App', 'gmail', 1, 'cam@example.gov', 'Health', 5, 5 / 7, 'draft'],
+        ['App', 'gmail', 2, 'ana@example.gov', 'Finance', 2, 2 / 7, 'draft']
+    ]);
+    assert.equal(spreadsheetApp.tab('central', 'Champions').numberFormats.G8, '0.00%');
+    // Within the OU, each app's champions are ranked among the OU's users only
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'Champions'), [
+        ['Scope', 'Group', 'Rank', 'User', 'Sum(Count)', 'Share of group', 'Top action'],
+        ['OU', 'Finance', 1, 'ana@example.gov', 7, 7 / 8, 'summarize'],
+        ['OU', 'Finance', 2, 'ben@example.gov', 1, 1 / 8, 'summarize'],
+        ['App', 'docs', 1, 'ana@example.gov', 5, 5 / 6, 'summarize'],
+        ['App', 'docs', 2, 'ben@example.gov', 1, 1 / 6, 'summarize'],
+        ['App', 'gmail', 1, 'ana@example.gov', 2, 1, 'draft']
+    ]);
+    assert.equal(spreadsheetApp.tab('ou-finance', 'Champions').numberFormats.F2, '0.00%');
+});
+
+
+test('aggregateData keeps every user tied at the last champion rank', () => {
+    const raw = [
+        RAW_ACTIVITY[0],
+        ['ana@example.gov', 'docs', 'summarize', 3, 'Finance'],
+        ['ben@example.gov', 'docs', 'summarize', 2, 'Finance'],
+        ['dee@example.gov', 'docs', 'draft', 1, 'Finance'],
+        ['dee@example.gov', 'docs', 'summarize', 1, 'Finance'],
+        ['eve@example.gov', 'docs', 'summarize', 1, 'Finance']
+    ];
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': raw }, scriptProperties: { REPORT_TOP_N: '2' } });
+    project.context.aggregateData(reportWindow);
+
+    // ben and dee tie for second; eve is fourth and left out. dee's tied actions go to the first alphabetically
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Champions').filter(row => row[0] === 'OU'), [
+        ['OU', 'Finance', 1, 'ana@example.gov', 'Finance', 3, 3 / 8, 'summarize'],
+        ['OU', 'Finance', 2, 'ben@example.gov', 'Finance', 2, 2 / 8, 'summarize'],
+        ['OU', 'Finance', 2, 'dee@example.gov', 'Finance', 2, 2 / 8, 'draft']
+    ]);
+});
+
+
+test('aggregateData suppresses the user counts, adoption and top users of groups below REPORT_MIN_GROUP_SIZE', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        scriptProperties: { REPORT_MIN_GROUP_SIZE: '2', BQ_HISTORY_TABLE: 'gemini-project.history.aggregates' }
+    });
+    project.context.aggregateData(reportWindow);
+
+    // Health has one user; suppressed rows sort after the rest
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU'), [
+        ['OU', 'Sum(Count)', 'OU Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %'],
+        ['Finance', 8, 8 / 13, 2, 10, 2 / 10],
+        ['Health', 5, 5 / 13, '<2', 4, '<2']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By app').slice(1).map(row => row[3]), [2, 2]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By OU & app'), [
+        ['OU', 'App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) Action'],
+        ['Finance', 'docs', 6, 6 / 8, 2, 10, 2 / 10, 'ana@example.gov', 'summarize'],
+        ['Finance', 'gmail', 2, 2 / 8, '<2', 10, '<2', '<2', '<2'],
+        ['Health', 'gmail', 5, 1, '<2', 4, '<2', '<2', '<2']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Engagement tiers').slice(1), [
+        ['Finance', 0, 0, 2, 8, 0, 0, 2 / 10, 8 / 10],
+        ['Health', '<2', '<2', '<2', '<2', '<2', '<2', '<2', '<2']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Suppression log'), [
+        ['Tab', 'Group', 'Count(User)', 'Number of active staff emails', 'Reason', 'Suppressed columns'],
+        ['By OU', 'Health', 1, 4, 'Fewer than 2 users', 'Count(User), Adoption %'],
+        ['By OU & app', 'Finance / gmail', 1, 10, 'Fewer than 2 users', 'Count(User), Adoption %, Max(User), Max(User) Action'],
+        ['By OU & app', 'Health / gmail', 1, 4, 'Fewer than 2 users', 'Count(User), Adoption %, Max(User), Max(User) Action'],
+        ['Engagement tiers', 'Health', 1, 4, 'Fewer than 2 users', 'Power users, Regular users, Light users, Inactive staff, Power %, Regular %, Light %, Inactive %'],
+        ['Champions', 'OU: Health', 1, 4, 'Fewer than 2 users', 'Left out']
+    ]);
+    // Champions leave out small groups, and App rankings the apps too few users used
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Champions').map(row => row.slice(0, 4)), [
+        ['Scope', 'Group', 'Rank', 'User'],
+        ['OU', 'Finance', 1, 'ana@example.gov'],
+        ['OU', 'Finance', 2, 'ben@example.gov'],
+        ['App', 'docs', 1, 'ana@example.gov'],
+        ['App', 'docs', 2, 'ben@example.gov'],
+        ['App', 'gmail', 1, 'cam@example.gov'],
+        ['App', 'gmail', 2, 'ana@example.gov']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'App rankings')[0], ['Rank', 'docs', 'gmail']);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'Champions').map(row => row.slice(0, 3)), [
+        ['Scope', 'Group', 'Rank'],
+        ['OU', 'Finance', 1],
+        ['OU', 'Finance', 2],
+        ['App', 'docs', 1],
+        ['App', 'docs', 2]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'Champions'), [['Scope', 'Group', 'Rank', 'User', 'Sum(Count)', 'Share of group', 'Top action']]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'App rankings'), [
+        ['Rank', 'docs'],
+        [1, 'ana@example.gov'],
+        [2, 'ben@example.gov']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'App rankings'), [['Rank']]);
+
+    // The OU spreadsheets get the same suppressed rows, and never the log
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'OU summary'), [
+        OU_SUMMARY_HEADERS,
+        [5, '<2', 4, '<2']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'By app').slice(1), [
+        ['docs', 6, 6 / 8, 2, 10, 2 / 10, 'ana@example.gov', 'summarize'],
+        ['gmail', 2, 2 / 8, '<2', 10, '<2', '<2', '<2']
+    ]);
+    assert.ok(!spreadsheetApp.tabNames('ou-finance').includes('Suppression log'));
+
+    // The history keeps the real values of suppressed groups
+    const snapshot = bigQuery.loads[0].data.split('\n').map(line => JSON.parse(line));
+    const health = snapshot.find(row => row.grain === 'OU' && row.ou === 'Health');
+    assert.deepEqual([health.sum_count, health.user_count, health.staff_count, health.adoption_pct], [5, 1, 4, 1 / 4]);
+    const financeGmail = snapshot.find(row => row.grain === 'OU_APP' && row.ou === 'Finance' && row.app === 'gmail');
+    assert.deepEqual([financeGmail.user_count, financeGmail.adoption_pct], [1, 1 / 10]);
+});
+
+
+test('aggregateData suppresses groups in OUs with fewer active staff than the minimum, and is off by default', () => {
+    // Finance lists only one active staff email, though two of its users had activity
+    let { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        scriptProperties: { REPORT_MIN_GROUP_SIZE: '2' },
+        staffCounts: [STAFF_COUNTS[0], ['Finance', 1, 1, 'ou-finance'], STAFF_COUNTS[2], STAFF_COUNTS[3]]
+    });
+    project.context.aggregateData(reportWindow);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Suppression log').slice(1).map(row => row.slice(0, 5)), [
+        ['By OU', 'Finance', 2, 1, 'Fewer than 2 active staff'],
+        ['By OU', 'Health', 1, 4, 'Fewer than 2 users'],
+        ['By OU & app', 'Finance / docs', 2, 1, 'Fewer than 2 active staff'],
+        ['By OU & app', 'Finance / gmail', 1, 1, 'Fewer than 2 users'],
+        ['By OU & app', 'Health / gmail', 1, 4, 'Fewer than 2 users'],
+        ['Engagement tiers', 'Finance', 2, 1, 'Fewer than 2 active staff'],
+        ['Engagement tiers', 'Health', 1, 4, 'Fewer than 2 users'],
+        ['Champions', 'OU: Finance', 2, 1, 'Fewer than 2 active staff'],
+        ['Champions', 'OU: Health', 1, 4, 'Fewer than 2 users']
+    ]);
+    // By app is not grouped by OU, so only its user counts matter
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By app').slice(1).map(row => row[3]), [2, 2]);
+
+    ({ project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } }));
+    project.context.aggregateData(reportWindow);
+    assert.ok(!spreadsheetApp.tabNames('central').includes('Suppression log'));
+    assert.throws(
+        () => setUp({ scriptProperties: { REPORT_MIN_GROUP_SIZE: 'five' } }).project.context.getMinGroupSize(),
+        /REPORT_MIN_GROUP_SIZE must be a whole number/
+    );
+});
+
+
+test('buildAggregateSnapshotRows finds the metric columns by header', () => {
+    const { project, reportWindow } = setUp();
+    const metrics = ['Sum(Count)', 'Count(User)', 'Number of active staff emails', 'Adoption %'];
+    const rows = plain(project.context.buildAggregateSnapshotRows(reportWindow, {
+        results9: [['Group', 'Hours saved', ...metrics], ['All', 2.5, 13, 3, 14, 3 / 14]],
+        results8: [['OU', 'Adoption %', 'Sum(Count)', 'Number of active staff emails', 'Count(User)'], ['Health', 1 / 4, 5, 4, 1]],
+        results7: [['App', ...metrics], ['docs', 6, 2, 14, '']],
+        results6: [['OU', 'App', 'Hours saved', ...metrics], ['Health', 'gmail', 1, 5, 1, 4, 1 / 4]],
+        results5: [['User', 'OU', 'docs', 'gmail', 'Overall', 'Tier'], ['cam@example.gov', 'Health', 0, 5, 5, 'Light']]
+    }, new Date('2025-02-01T12:00:00Z')));
+
+    assert.deepEqual(rows.map(row => [row.grain, row.ou, row.app, row.user, row.sum_count, row.user_count, row.staff_count, row.adoption_pct]), [
+        ['ALL', null, null, null, 13, 3, 14, 3 / 14],
+        ['OU', 'Health', null, null, 5, 1, 4, 1 / 4],
+        ['APP', null, 'docs', null, 6, 2, 14, null],
+        ['OU_APP', 'Health', 'gmail', null, 5, 1, 4, 1 / 4],
+        ['USER_APP', 'Health', 'gmail', 'cam@example.gov', 5, null, null, null]
+    ]);
+    assert.throws(() => project.context.buildAggregateSnapshotRows(reportWindow, {
+        results9: [['Group', 'Sum(Count)'], ['All', 13]]
+    }, new Date()), /The ALL aggregates have no "Count\(User\)" column to snapshot/);
+});
+
+
+test('aggregateData lists the staff count sheet\'s problems and goes on with the run', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        staffCounts: [
+            STAFF_COUNTS[0],
+            ['Finance', 10, 1, 'ou-finance'],
+            ['Legal', 'n/a', 'yes', 'ou-legal'],
+            ['Finance', 0, 1, 'ou-finance'],
+            ['Parks', 3, 1, '']
+        ]
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Staff count checks'), [
+        ['Severity', 'Check', 'Row', 'OU', 'Finding'],
+        ['Warning', 'Staff count', 3, 'Legal', '"n/a" is not a number of active staff emails. It is counted as 0, so the OU has no adoption %.'],
+        ['Warning', 'Gemini usage', 3, 'Legal', '"yes" is not 0 or 1. The OU\'s staff are left out of the Gemini usage total.'],
+        ['Warning', 'Gemini report sheet id', 3, 'Legal', 'The spreadsheet "ou-legal" could not be opened. Check the id and that this script\'s account can edit it.'],
+        ['Warning', 'Duplicate OU', 4, 'Finance', 'The OU is also on row 2. This row\'s staff count replaces it, and both rows count towards the Gemini usage total.'],
+        ['Warning', 'Staff count', 4, 'Finance', 'The OU has 0 active staff emails, so it has no adoption %.'],
+        ['Warning', 'Missing OU', '', 'Health', 'The OU has 2 activity rows but no staff count row, so it has no staff count or adoption %.']
+    ]);
+    assert.equal(spreadsheetApp.tab('central', 'Staff count checks').frozenRows, 1);
+    // The run went on with the sheet as it is
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Overall')[1], ['All', 13, 3, 13, 3 / 13]);
+});
+
+
+test('aggregateData stops when the staff count sheet lacks a required column, after listing it', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        staffCounts: STAFF_COUNTS.map(row => row.slice(0, 3))
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Staff count checks'), [
+        ['Severity', 'Check', 'Row', 'OU', 'Finding'],
+        ['Error', 'Headers', 1, '', 'The required column "Gemini report sheet id" is missing.']
+    ]);
+    assert.deepEqual(spreadsheetApp.tabNames('central'), ['Raw activity', 'Staff count checks']);
+});
+
+
+test('the staff count checks say so when there are no problems', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Staff count checks'), [
+        ['Severity', 'Check', 'Row', 'OU', 'Finding'],
+        ['OK', 'All checks', '', '', 'No problems found in the staff count sheet.']
+    ]);
+});
+
+
+const PATH_RAW_ACTIVITY = [
+    ['User', 'App', 'Action', 'Count', 'OU'],
+    ['ana@example.gov', 'docs', 'summarize', 5, '/Agency/Finance'],
+    ['ana@example.gov', 'gmail', 'draft', 2, '/Agency/Finance'],
+    ['ben@example.gov', 'docs', 'summarize', 1, '/Agency/Finance/Payroll'],
+    ['cam@example.gov', 'gmail', 'draft', 4, '/Health']
+];
+
+const PATH_STAFF_COUNTS = [
+    [...STAFF_COUNTS[0], 'Include sub-OUs'],
+    ['/Agency', 2, 1, 'ou-finance', 1],
+    ['/Agency/Finance', 10, 1, '', ''],
+    ['/Agency/Finance/Payroll', 3, 1, '', ''],
+    ['/Health', 4, 1, 'ou-health', '']
+];
+
+test('aggregateData rolls every OU up into its parents on a collapsible tab', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': PATH_RAW_ACTIVITY },
+        staffCounts: PATH_STAFF_COUNTS
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'OU rollup'), [
+        ['OU', 'Level', 'Sum(Count)', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'OUs included'],
+        ['/Agency', 1, 8, 2, 15, 2 / 15, 3],
+        ['/Agency/Finance', 2, 8, 2, 13, 2 / 13, 2],
+        ['/Agency/Finance/Payroll', 3, 1, 1, 3, 1 / 3, 1],
+        ['/Health', 1, 4, 1, 4, 1 / 4, 1]
+    ]);
+    const rollup = spreadsheetApp.tab('central', 'OU rollup');
+    assert.deepEqual(rollup.rowGroupDepths, { 3: 1, 4: 2 });
+    assert.equal(rollup.rowGroupControlPosition, 'BEFORE');
+    assert.equal(rollup.numberFormats.F2, '0.00%');
+    assert.equal(spreadsheetApp.tabNames('central')[3], 'OU rollup');
+    // Finance's 10 staff could already include Payroll's 3; Agency's 2 can't include its 13
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Staff count checks').slice(1), [
+        ['Warning', 'Sub-OU staff', 3, '/Agency/Finance', 'The OU\'s 10 active staff are at least the 3 on its sub-OUs\' rows. '
+            + 'If that count already includes the sub-OUs, change it to the staff directly in this OU, or the OU rollups count the sub-OUs twice.']
+    ]);
+});
+
+
+test('a parent OU with Include sub-OUs gets a write-back covering all its descendants', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': PATH_RAW_ACTIVITY },
+        staffCounts: PATH_STAFF_COUNTS
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'OU summary'), [OU_SUMMARY_HEADERS, [8, 2, 15, 2 / 15]]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'By app'), [
+        ['App', 'Sum(Count)', 'App Count %', 'Count(User)', 'Number of active staff emails', 'Adoption %', 'Max(User)', 'Max(User) Action'],
+        ['docs', 6, 6 / 8, 2, 15, 2 / 15, 'ana@example.gov', 'summarize'],
+        ['gmail', 2, 2 / 8, 1, 15, 1 / 15, 'ana@example.gov', 'draft']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'User leaderboard'), [
+        ['User', 'docs', 'gmail', 'Overall', 'Tier'],
+        ['ana@example.gov', 5, 2, 7, 'Light'],
+        ['ben@example.gov', 1, 0, 1, 'Light']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'App rankings'), [
+        ['Rank', 'docs', 'gmail'],
+        [1, 'ana@example.gov', 'ana@example.gov'],
+        [2, 'ben@example.gov', '']
+    ]);
+    assert.equal(grid(spreadsheetApp, 'ou-finance', 'Raw activity').length, 4);
+    // An OU without the flag still gets only its own rows
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'OU summary'), [OU_SUMMARY_HEADERS, [4, 1, 4, 1 / 4]]);
+});
+
+
+test('getOuPathLevels and isOuWithin read OU paths', () => {
+    const { project } = setUp();
+    assert.deepEqual(plain(project.context.getOuPathLevels('/Agency/Division/Unit')), ['/Agency', '/Agency/Division', '/Agency/Division/Unit']);
+    assert.deepEqual(plain(project.context.getOuPathLevels('Finance')), ['Finance']);
+    assert.equal(project.context.isOuWithin('/Agency/Division', '/Agency'), true);
+    assert.equal(project.context.isOuWithin('/Agency', '/Agency'), true);
+    assert.equal(project.context.isOuWithin('/Agency B', '/Agency'), false);
+    assert.equal(project.context.isOuWithin('/AgencyX/Unit', '/Agency'), false);
+});
+
+
+test('REPORT_JOIN_DIRECTORY adds department and manager to the activity and breaks adoption down by them', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        scriptProperties: { REPORT_JOIN_DIRECTORY: 'true', ...COMPARE_PREVIOUS },
+        ouMap: [
+            ['Primary Email', 'OU', 'Department', 'Manager'],
+            ['ana@example.gov', 'Finance', 'Budget', 'dee@example.gov'],
+            ['ben@example.gov', 'Finance', 'Budget', 'ana@example.gov'],
+            ['cam@example.gov', 'Health', 'Clinics', 'dee@example.gov'],
+            ['dee@example.gov', 'Finance', 'Budget', '']
+        ]
+    });
+    project.context.runBigQueryReport(reportWindow);
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count', 'OU', 'Department', 'Manager'],
+        ['ana@example.gov', 'docs', 'summarize', 5, 'Finance', 'Budget', 'dee@example.gov'],
+        ['ana@example.gov', 'gmail', 'draft', 2, 'Finance', 'Budget', 'dee@example.gov'],
+        ['ben@example.gov', 'docs', 'summarize', 1, 'Finance', 'Budget', 'ana@example.gov'],
+        ['cam@example.gov', 'gmail', 'draft', 4, 'Health', 'Clinics', 'dee@example.gov'],
+        ['cam@example.gov', 'gmail', 'summarize', 1, 'Health', 'Clinics', 'dee@example.gov']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Previous activity')[0], ['User', 'App', 'Action', 'Count', 'OU', 'Department', 'Manager']);
+    // dee has no activity but is in Budget's staff
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By department'), [
+        ['Department', 'Sum(Count)', 'Count(User)', 'Department staff', 'Adoption %'],
+        ['Clinics', 5, 1, 1, 1],
+        ['Budget', 8, 2, 3, 2 / 3]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By manager'), [
+        ['Manager', 'Sum(Count)', 'Count(User)', 'Direct reports', 'Adoption %'],
+        ['ana@example.gov', 1, 1, 1, 1],
+        ['dee@example.gov', 12, 2, 2, 1]
+    ]);
+    assert.equal(spreadsheetApp.tab('central', 'By department').charts.length, 1);
+    // The OU write-back keeps its four raw columns
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'Raw activity')[0], ['User', 'App', 'Action', 'Count']);
+});
+
+
+test('REPORT_JOIN_DIRECTORY needs Department and Manager columns in the OU sheet', () => {
+    const { project, reportWindow } = setUp({ scriptProperties: { REPORT_JOIN_DIRECTORY: 'true' } });
+    assert.throws(() => project.context.runBigQueryReport(reportWindow), /the OU sheet has no Department, Manager column/);
+});
+
+
+const ACTION_TAXONOMY = [
+    ['App', 'Action', 'Friendly name', 'Category', 'Include'],
+    ['docs', 'summarize', 'Summarize a document', 'Summarizing', true],
+    ['', 'draft', 'Draft text', 'Drafting', ''],
+    ['gmail', 'summarize', 'Summarize an email', 'Summarizing', false]
+];
+
+test('ACTION_TAXONOMY_SPREADSHEET_ID renames, categorises and excludes actions before aggregating', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': [...RAW_ACTIVITY, ['ben@example.gov', 'docs', 'proofread', 2, 'Finance']] },
+        scriptProperties: { ACTION_TAXONOMY_SPREADSHEET_ID: 'taxonomy' },
+        spreadsheets: { taxonomy: { Sheet1: ACTION_TAXONOMY } }
+    });
+    project.context.aggregateData(reportWindow);
+
+    // cam's gmail summaries are excluded; ben's proofreading is not in the taxonomy
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By category'), [
+        ['Category', 'Sum(Count)', 'Category Count %', 'Count(User)', 'docs', 'gmail'],
+        ['Drafting', 6, 6 / 14, 2, 0, 6],
+        ['Summarizing', 6, 6 / 14, 2, 6, 0],
+        ['Uncategorized', 2, 2 / 14, 1, 2, 0]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'By app & action'), [
+        ['App', 'Action', 'Sum(Count)', 'Unique(User)'],
+        ['docs', 'proofread', 2, 1],
+        ['docs', 'Summarize a document', 6, 2],
+        ['gmail', 'Draft text', 6, 2]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Unmapped actions'), [
+        ['App', 'Action', 'Sum(Count)', 'Count(User)'],
+        ['docs', 'proofread', 2, 1]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Overall')[1].slice(0, 3), ['All', 14, 3]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count'],
+        ['cam@example.gov', 'gmail', 'Draft text', 4]
+    ]);
+});
+
+
+test('aggregateData stops when the action taxonomy sheet lacks a column', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        scriptProperties: { ACTION_TAXONOMY_SPREADSHEET_ID: 'taxonomy' },
+        spreadsheets: { taxonomy: { Sheet1: ACTION_TAXONOMY.map(row => row.slice(0, 4)) } }
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(spreadsheetApp.tabNames('central'), ['Raw activity']);
+    assert.ok(project.messages.some(message => /missing columns \(Include\)/.test(message)));
+});
+
+
+const TIME_SAVED = [
+    ['App', 'Action', 'Minutes saved'],
+    ['docs', 'summarize', 6],
+    ['', 'draft', 3]
+];
+
+/** Returns a column of a grid by its header, without the header. */
+function column(rows, header) {
+    const index = rows[0].indexOf(header);
+    assert.notEqual(index, -1, `no ${header} column`);
+    return rows.slice(1).map(row => row[index]);
+}
+
+test('TIME_SAVED_SPREADSHEET_ID adds estimated hours saved and prints the assumptions', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        scriptProperties: { TIME_SAVED_SPREADSHEET_ID: 'time-saved', ACTION_TAXONOMY_SPREADSHEET_ID: 'taxonomy' },
+        spreadsheets: { 'time-saved': { Sheet1: TIME_SAVED }, taxonomy: { Sheet1: ACTION_TAXONOMY.slice(0, 3) } }
+    });
+    project.context.aggregateData(reportWindow);
+
+    // Minutes: ana 5 x 6 + 2 x 3, ben 1 x 6, cam 4 x 3 + 1 x 0 (gmail summarize is not in the table)
+    assert.deepEqual(column(grid(spreadsheetApp, 'central', 'Overall'), 'Est. hours saved'), [54 / 60]);
+    // By OU is ordered by adoption, Health first
+    assert.deepEqual(column(grid(spreadsheetApp, 'central', 'By OU'), 'Est. hours saved'), [12 / 60, 42 / 60]);
+    assert.deepEqual(column(grid(spreadsheetApp, 'central', 'By app'), 'Est. hours saved'), [36 / 60, 18 / 60]);
+    assert.deepEqual(column(grid(spreadsheetApp, 'central', 'By OU & app'), 'Est. hours saved'), [36 / 60, 6 / 60, 12 / 60]);
+    assert.deepEqual(column(grid(spreadsheetApp, 'central', 'User leaderboard'), 'Est. hours saved'), [36 / 60, 12 / 60, 6 / 60]);
+    assert.equal(spreadsheetApp.tab('central', 'By OU').notes.G1,
+        'Actions times the minutes each saves, from the Time saved assumptions tab, in hours. Actions not in that table count as 0.');
+
+    const assumptions = [
+        ['App', 'Action', 'Minutes saved per action'],
+        ['(any app)', 'draft', 3],
+        ['docs', 'summarize', 6]
+    ];
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Time saved assumptions'), assumptions);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'Time saved assumptions'), assumptions);
+    assert.deepEqual(column(grid(spreadsheetApp, 'ou-finance', 'OU summary'), 'Est. hours saved'), [42 / 60]);
+    assert.deepEqual(column(grid(spreadsheetApp, 'ou-finance', 'By app'), 'Est. hours saved'), [36 / 60, 6 / 60]);
+    assert.deepEqual(column(grid(spreadsheetApp, 'ou-health', 'User leaderboard'), 'Est. hours saved'), [12 / 60]);
+    assert.equal(spreadsheetApp.tab('ou-health', 'User leaderboard').numberFormats.F2, '0.0');
+});
+
+
+test('aggregateData adds no hours saved without a time saved table', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    ['Overall', 'By OU', 'By app', 'User leaderboard'].forEach(name => {
+        assert.equal(grid(spreadsheetApp, 'central', name)[0].indexOf('Est. hours saved'), -1);
+    });
+    assert.equal(spreadsheetApp.tabNames('central').indexOf('Time saved assumptions'), -1);
+});
+
+
+test('REPORT_COHORT_RETENTION fetches a lookback window at daily grain', () => {
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({
+        scriptProperties: { REPORT_DAILY_GRAIN: 'true', REPORT_COHORT_RETENTION: 'weekly' }
+    });
+    project.context.runBigQueryReport(reportWindow);
+
+    assert.equal(bigQuery.queries.length, 2);
+    assert.match(bigQuery.queries[1], /BETWEEN DATE "2024-11-06" AND DATE "2025-01-28"/);
+    assert.equal(spreadsheetApp.tab('central', 'Cohort activity').notes.A1,
+        'Reporting window: 2024-11-06 to 2025-01-28 (COHORT_LOOKBACK, America/New_York)');
+});
+
+
+// Daily activity over the cohort lookback: ana and ben start the week of 2025-01-06, cam two weeks later
+const COHORT_ACTIVITY = [
+    ['User', 'App', 'Action', 'Count', 'Date', 'OU'],
+    ['ana@example.gov', 'docs', 'summarize', 2, '2025-01-06', 'Finance'],
+    ['ana@example.gov', 'docs', 'summarize', 1, '2025-01-14', 'Finance'],
+    ['ana@example.gov', 'gmail', 'draft', 1, '2025-01-27', 'Finance'],
+    ['ben@example.gov', 'docs', 'summarize', 1, '2025-01-08', 'Finance'],
+    ['ben@example.gov', 'docs', 'summarize', 1, '2025-01-09', 'Finance'],
+    ['cam@example.gov', 'gmail', 'draft', 3, '2025-01-20', 'Health'],
+    ['cam@example.gov', 'gmail', 'draft', 1, '2025-01-28', 'Health']
+];
+
+/**
+ * Sets up aggregateData at daily grain with the cohort lookback already fetched.
+ */
+function setUpCohorts(scriptProperties) {
+    const setup = setUp({
+        centralTabs: { 'Raw activity': COHORT_ACTIVITY, 'Cohort activity': COHORT_ACTIVITY },
+        scriptProperties: Object.assign({ REPORT_DAILY_GRAIN: 'true' }, scriptProperties)
+    });
+    setup.spreadsheetApp.tab('central', 'Cohort activity').sheet.getRange(1, 1)
+        .setNote('Reporting window: 2024-11-06 to 2025-01-28 (COHORT_LOOKBACK, America/New_York)');
+    return setup;
+}
+
+/** Pads a cohort row's weekly shares with blanks to the lookback's 12 weeks. */
+function cohortRow(cohort, ou, users, shares) {
+    return [cohort, ou, users, ...shares, ...new Array(12 - shares.length).fill('')];
+}
+
+test('REPORT_COHORT_RETENTION writes weekly retention overall and per OU as a heatmap', () => {
+    const { project, spreadsheetApp, reportWindow } = setUpCohorts({ REPORT_COHORT_RETENTION: 'WEEKLY' });
+    project.context.aggregateData(reportWindow);
+
+    // ben's third week had not started by 2025-01-28, so only ana counts in Week 3
+    const cohorts = grid(spreadsheetApp, 'central', 'Cohort retention');
+    assert.deepEqual(cohorts[0].slice(0, 5), ['Cohort', 'OU', 'Users', 'Week 0', 'Week 1']);
+    assert.equal(cohorts[0].length, 15);
+    assert.deepEqual(cohorts.slice(1), [
+        cohortRow('2025-01-06', 'All', 2, [1, 0.5, 0, 1]),
+        cohortRow('2025-01-20', 'All', 1, [1, 1]),
+        cohortRow('2025-01-06', 'Finance', 2, [1, 0.5, 0, 1]),
+        cohortRow('2025-01-20', 'Health', 1, [1, 1])
+    ]);
+    const tab = spreadsheetApp.tab('central', 'Cohort retention');
+    assert.deepEqual(plain(tab.conditionalFormatRules.map(rule => [rule.ranges, rule.gradient])), [
+        [['D2:O5'], { min: '#ffffff', minValue: '0', max: '#57bb8a', maxValue: '1' }]
+    ]);
+    assert.equal(tab.numberFormats.D2, '0%');
+    assert.equal(tab.frozenColumns, 3);
+    assert.match(tab.notes.A1, /Reporting window: 2024-11-06 to 2025-01-28 \(COHORT_LOOKBACK/);
+});
+
+
+test('REPORT_COHORT_RETENTION groups monthly cohorts and suppresses small ones', () => {
+    const { project, spreadsheetApp, reportWindow } = setUpCohorts({ REPORT_COHORT_RETENTION: 'MONTHLY', REPORT_MIN_GROUP_SIZE: '2' });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Cohort retention').slice(1), [
+        cohortRow('2025-01-01', 'All', 3, [1, 2 / 3, 0, 1]),
+        cohortRow('2025-01-01', 'Finance', 2, [1, 0.5, 0, 1]),
+        ['2025-01-01', 'Health', ...new Array(13).fill('<2')]
+    ]);
+    assert.ok(grid(spreadsheetApp, 'central', 'Suppression log').some(row => row.join() ===
+        ['Cohort retention', 'Health / 2025-01-01', 1, '', 'Fewer than 2 users', 'Users, Week columns'].join()));
+});
+
+
+test('aggregateData writes no cohort retention by default', () => {
+    const { project, spreadsheetApp, reportWindow } = setUpCohorts({});
+    project.context.aggregateData(reportWindow);
+
+    assert.ok(!spreadsheetApp.tabNames('central').includes('Cohort retention'));
+});
+
+
+test('the Cohort activity tab keeps the lookback it was fetched for when other runs arrange the tabs', () => {
+    const { project, spreadsheetApp, reportWindow } = setUpCohorts({});
+    const staleLookback = '2024-10-09 to 2024-12-31 (COHORT_LOOKBACK, America/New_York)';
+    spreadsheetApp.tab('central', 'Cohort activity').sheet.getRange(1, 1).setNote(`Reporting window: ${staleLookback}`);
+    project.context.aggregateData(reportWindow);
+    assert.ok(spreadsheetApp.tab('central', 'Cohort activity').notes.A1.endsWith(`Reporting window: ${staleLookback}`));
+
+    // Turning the cohorts on later does not build them from the stale rows
+    project.services.PropertiesService.getScriptProperties().setProperty('REPORT_COHORT_RETENTION', 'WEEKLY');
+    project.context.aggregateData(reportWindow);
+    assert.ok(!spreadsheetApp.tabNames('central').includes('Cohort retention'));
+    assert.ok(project.messages.includes('Cohort activity does not cover 2024-11-06 to 2025-01-28 (COHORT_LOOKBACK, America/New_York). Run the full report to fetch it.'));
+});
+
+
+test('aggregateData writes a Daily trend tab at daily grain and keeps the date in the OU spreadsheets', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': COHORT_ACTIVITY },
+        scriptProperties: { REPORT_DAILY_GRAIN: 'true' }
+    });
+    project.context.aggregateData(reportWindow);
+
+    // Four tables of a row per day in the window, with a title and a blank row between them
+    const trend = grid(spreadsheetApp, 'central', 'Daily trend');
+    assert.deepEqual([trend[0][0], trend[31][0], trend[62][0], trend[93][0]], [
+        'Daily active users by app', 'Daily action count by app', 'Daily active users by OU', 'Daily action count by OU'
+    ]);
+    assert.deepEqual(trend.slice(1, 4).map(row => row.slice(0, 4)), [
+        ['Date', 'docs', 'gmail', 'All'],
+        ['2025-01-01', 0, 0, 0],
+        ['2025-01-02', 0, 0, 0]
+    ]);
+    assert.deepEqual(trend[7].slice(0, 4), ['2025-01-06', 1, 0, 1]);
+    assert.deepEqual(trend[31 + 7].slice(0, 4), ['2025-01-06', 2, 0, 2]);
+    assert.deepEqual(trend[62 + 1].slice(0, 4), ['Date', 'Finance', 'Health', 'All']);
+    assert.deepEqual(trend[93 + 29].slice(0, 4), ['2025-01-28', 0, 1, 1]);
+    assert.equal(trend[29][0], '2025-01-28');
+    const tab = spreadsheetApp.tab('central', 'Daily trend');
+    assert.equal(tab.charts.length, 4);
+    assert.match(tab.notes.A1, /Reporting window: 2025-01-01 to 2025-01-28/);
+
+    // The OU spreadsheets keep each row's date
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count', 'Date'],
+        ['cam@example.gov', 'gmail', 'draft', 3, '2025-01-20'],
+        ['cam@example.gov', 'gmail', 'draft', 1, '2025-01-28']
+    ]);
+    assert.equal(spreadsheetApp.tab('ou-health', 'Raw activity').numberFormats.E3, 'yyyy-mm-dd');
+});
+
+
+test('the daily active users on the Daily trend tab hide the days a group was below REPORT_MIN_GROUP_SIZE', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': COHORT_ACTIVITY },
+        scriptProperties: { REPORT_DAILY_GRAIN: 'true', REPORT_MIN_GROUP_SIZE: '2' }
+    });
+    project.context.aggregateData(reportWindow);
+
+    // Each day had at most one user per group; days without users stay 0, action counts are kept
+    const trend = grid(spreadsheetApp, 'central', 'Daily trend');
+    assert.deepEqual(trend[7].slice(0, 4), ['2025-01-06', '<2', 0, '<2']);
+    assert.deepEqual(trend[31 + 7].slice(0, 4), ['2025-01-06', 2, 0, 2]);
+    assert.deepEqual(trend[62 + 21].slice(0, 4), ['2025-01-20', 0, '<2', '<2']);
+    assert.deepEqual(trend[93 + 21].slice(0, 4), ['2025-01-20', 0, 3, 3]);
+    const log = grid(spreadsheetApp, 'central', 'Suppression log').filter(row => row[0] === 'Daily trend');
+    assert.deepEqual(log.find(row => row[1] === 'Health / 2025-01-20'), ['Daily trend', 'Health / 2025-01-20', 1, 4, 'Fewer than 2 users', 'Daily active users by OU']);
+    // Seven active days, each with one app and the All column
+    assert.equal(log.filter(row => row[5] === 'Daily active users by app').length, 14);
+});
+
+
+test('aggregateData skips the Daily trend tab without a Date column', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    assert.equal(spreadsheetApp.tabNames('central').includes('Daily trend'), false);
+    assert.ok(project.messages.includes('No Date column in the raw data. Skipping the Daily trend sheet.'));
+});
+
+
+test('aggregateData appends the run\'s aggregates to BQ_HISTORY_TABLE as a load job', () => {
+    const { project, bigQuery, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        scriptProperties: { BQ_HISTORY_TABLE: 'history.aggregates' }
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.equal(bigQuery.loads.length, 1);
+    const load = bigQuery.loads[0];
+    assert.equal(load.projectId, 'gemini-project');
+    assert.deepEqual(plain(load.configuration.destinationTable), { projectId: 'gemini-project', datasetId: 'history', tableId: 'aggregates' });
+    assert.equal(load.configuration.sourceFormat, 'NEWLINE_DELIMITED_JSON');
+    assert.equal(load.configuration.writeDisposition, 'WRITE_APPEND');
+    assert.deepEqual(plain(load.configuration.timePartitioning), { type: 'DAY', field: 'run_date' });
+    assert.deepEqual(plain(load.configuration.schema.fields.map(field => field.name)), [
+        'run_date', 'run_id', 'run_timestamp', 'window_start', 'window_end', 'window_preset',
+        'grain', 'ou', 'app', 'user', 'sum_count', 'user_count', 'staff_count', 'adoption_pct'
+    ]);
+
+    const rows = load.data.split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(row => row.grain), [
+        'ALL', 'OU', 'OU', 'APP', 'APP', 'OU_APP', 'OU_APP', 'OU_APP', 'USER_APP', 'USER_APP', 'USER_APP', 'USER_APP'
+    ]);
+    assert.ok(rows.every(row => row.window_start === '2025-01-01' && row.window_end === '2025-01-28' && row.window_preset === 'CUSTOM'));
+    assert.equal(new Set(rows.map(row => row.run_id)).size, 1);
+    const pick = row => [row.ou, row.app, row.user, row.sum_count, row.user_count, row.staff_count, row.adoption_pct];
+    assert.deepEqual(pick(rows[0]), [null, null, null, 13, 3, 14, 3 / 14]);
+    assert.deepEqual(pick(rows.find(row => row.grain === 'OU' && row.ou === 'Finance')), ['Finance', null, null, 8, 2, 10, 2 / 10]);
+    assert.deepEqual(pick(rows.find(row => row.grain === 'USER_APP' && row.user === 'cam@example.gov')), ['Health', 'gmail', 'cam@example.gov', 5, null, null, null]);
+});
+
+
+test('the history load shares the run\'s BigQuery time budget with the queries', () => {
+    // The query's one poll takes the whole 240 seconds, leaving nothing for the load
+    const clock = { now: Date.UTC(2025, 0, 29) };
+    const { project, spreadsheetApp, bigQuery, reportWindow } = setUp({
+        scriptProperties: { BQ_HISTORY_TABLE: 'history.aggregates' },
+        bigQuery: { pollsUntilDone: 1, onPoll: () => { clock.now += 240000; } }
+    });
+    project.evaluate('Date').now = () => clock.now;
+    project.context.runFullReportAndAggregation({ startDate: reportWindow.startDate, endDate: reportWindow.endDate });
+
+    assert.equal(bigQuery.loads.length, 0);
+    assert.ok(project.messages.some(message => /^ERROR appending the history snapshot: BigQuery TIMEOUT error: .*budget was used up/.test(message)));
+    assert.equal(grid(spreadsheetApp, 'ou-finance', 'OU summary').length, 2);
+});
+
+
+test('aggregateData writes no history without BQ_HISTORY_TABLE', () => {
+    const { project, bigQuery, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    assert.equal(bigQuery.loads.length, 0);
+    assert.ok(project.messages.includes('BQ_HISTORY_TABLE is not set. Skipping the history snapshot.'));
+});
+
+
+test('aggregateData lists directory users with no activity, centrally and per OU', () => {
+    const directoryHeaders = ['Given Name', 'Family Name', 'Manager', 'Organization', 'Department', 'Address', 'Creation Time',
+        'Last Login Time', 'Service Account', 'Include In Global Address List', 'Primary Email', 'Thumbnail Photo Url'];
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        staffCounts: [
+            [...STAFF_COUNTS[0], 'Directory export sheet id'],
+            [...STAFF_COUNTS[1], 'dir-finance'],
+            [...STAFF_COUNTS[2], 'dir-health'],
+            [...STAFF_COUNTS[3], 'dir-missing']
+        ],
+        spreadsheets: {
+            'dir-finance': {
+                Contacts: [
+                    directoryHeaders,
+                    ['Ana', 'Lopez', '', 'Analyst', 'Budget', '', '', '1/20/2025, 9:30:00 AM', false, true, 'ana@example.gov', ''],
+                    ['Dee', 'Diaz', 'ana@example.gov', 'Clerk', 'Budget', '', '', '1/5/2025, 8:00:00 AM', false, true, 'Dee@Example.gov', ''],
+                    ['Report', 'Bot', '', '', '', '', '', 'Never', true, false, 'bot@example.gov', ''],
+                    ['Eve', '', '', '', '', '', '', 'Never', false, true, 'eve@example.gov', ''],
+                    // Not in the OU sheet, but active: listed on Unmapped users
+                    ['Zed', 'Ng', '', '', '', '', '', 'Never', false, true, 'zed@example.gov', '']
+                ]
+            },
+            'dir-health': {
+                Contacts: [
+                    directoryHeaders,
+                    ['Cam', 'Ito', '', '', 'Clinics', '', '', '1/21/2025, 9:00:00 AM', false, true, 'cam@example.gov', ''],
+                    ['Fay', 'Fox', 'boss@example.gov', 'Nurse', 'Clinics', '', '', '12/1/2024, 10:00:00 AM', false, true, 'fay@example.gov', '']
+                ]
+            }
+        }
+    });
+    project.context.runBigQueryReport(reportWindow);
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'No Gemini activity'), [
+        ['OU', 'User', 'Name', 'Manager', 'Department', 'Last Login Time'],
+        ['Finance', 'Dee@Example.gov', 'Dee Diaz', 'ana@example.gov', 'Budget', '1/5/2025, 8:00:00 AM'],
+        ['Finance', 'eve@example.gov', 'Eve', '', '', 'Never'],
+        ['Health', 'fay@example.gov', 'Fay Fox', 'boss@example.gov', 'Clinics', '12/1/2024, 10:00:00 AM']
+    ]);
+    assert.equal(spreadsheetApp.tab('central', 'No Gemini activity').frozenRows, 1);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'No Gemini activity'), [
+        ['User', 'Name', 'Manager', 'Department', 'Last Login Time'],
+        ['fay@example.gov', 'Fay Fox', 'boss@example.gov', 'Clinics', '12/1/2024, 10:00:00 AM']
+    ]);
+    assert.ok(spreadsheetApp.tabNames('ou-finance').includes('No Gemini activity'));
+    assert.ok(project.messages.some(message => message.startsWith('ERROR reading the directory export for OU "Legal"')));
+});
+
+
+test('users whose only actions the taxonomy excludes are not listed as having no activity', () => {
+    const directoryHeaders = ['Given Name', 'Family Name', 'Manager', 'Department', 'Primary Email', 'Last Login Time'];
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        staffCounts: [
+            [...STAFF_COUNTS[0], 'Directory export sheet id'],
+            [...STAFF_COUNTS[1], ''],
+            [...STAFF_COUNTS[2], 'dir-health'],
+            [...STAFF_COUNTS[3], '']
+        ],
+        scriptProperties: { ACTION_TAXONOMY_SPREADSHEET_ID: 'taxonomy' },
+        spreadsheets: {
+            taxonomy: { Sheet1: [...ACTION_TAXONOMY, ['gmail', 'draft', 'Draft an email', 'Drafting', false]] },
+            'dir-health': {
+                Contacts: [
+                    directoryHeaders,
+                    ['Cam', 'Ito', '', 'Clinics', 'cam@example.gov', '1/21/2025, 9:00:00 AM'],
+                    ['Fay', 'Fox', '', 'Clinics', 'fay@example.gov', '12/1/2024, 10:00:00 AM']
+                ]
+            }
+        }
+    });
+    project.context.aggregateData(reportWindow);
+
+    // cam's gmail actions are all excluded from the summaries, but cam still used Gemini
+    assert.equal(grid(spreadsheetApp, 'central', 'User leaderboard').some(row => row[0] === 'cam@example.gov'), false);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'No Gemini activity').slice(1).map(row => row.slice(0, 2)), [['Health', 'fay@example.gov']]);
+});
+
+
+test('aggregateData skips the no-activity list when no OU has a directory export', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({ centralTabs: { 'Raw activity': RAW_ACTIVITY } });
+    project.context.aggregateData(reportWindow);
+
+    assert.equal(spreadsheetApp.tabNames('central').includes('No Gemini activity'), false);
+    assert.equal(spreadsheetApp.tabNames('ou-finance').includes('No Gemini activity'), false);
+});
+
+
+function staffCountsWithPrivacy(finance, health) {
+    return [
+        [...STAFF_COUNTS[0], 'Privacy'],
+        [...STAFF_COUNTS[1], finance],
+        [...STAFF_COUNTS[2], health],
+        [...STAFF_COUNTS[3], '']
+    ];
+}
+
+
+test('aggregateData writes pseudonyms instead of emails for OUs with a Privacy setting', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        staffCounts: staffCountsWithPrivacy('alias', 'Hash'),
+        scriptProperties: { REPORT_PSEUDONYM_SALT: 'pepper' }
+    });
+    project.context.aggregateData(reportWindow);
+
+    const camHash = 'user-' + require('crypto').createHash('sha256').update('pepper:cam@example.gov').digest('hex').slice(0, 12);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'Raw activity'), [
+        ['User', 'App', 'Action', 'Count'],
+        ['User 001', 'docs', 'summarize', 5],
+        ['User 001', 'gmail', 'draft', 2],
+        ['User 002', 'docs', 'summarize', 1]
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'User leaderboard').map(row => row[0]), ['User', 'User 001', 'User 002']);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'App rankings'), [
+        ['Rank', 'docs', 'gmail'],
+        [1, 'User 001', 'User 001'],
+        [2, 'User 002', '']
+    ]);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'By app').map(row => row[6]), ['Max(User)', 'User 001', 'User 001']);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'Champions').map(row => row[3]), ['User', camHash, camHash]);
+    ['ou-finance', 'ou-health'].forEach(id => {
+        spreadsheetApp.tabNames(id).forEach(tab => {
+            assert.doesNotMatch(JSON.stringify(grid(spreadsheetApp, id, tab)), /@example\.gov/, `${id} / ${tab}`);
+        });
+    });
+
+    // The key is kept centrally only, and is not tied to the reporting window
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Pseudonym key'), [
+        ['OU', 'Pseudonym', 'User', 'Mode'],
+        ['Finance', 'User 001', 'ana@example.gov', 'alias'],
+        ['Finance', 'User 002', 'ben@example.gov', 'alias'],
+        ['Health', camHash, 'cam@example.gov', 'hash']
+    ]);
+    assert.doesNotMatch(spreadsheetApp.tab('central', 'Pseudonym key').notes.A1, /Reporting window/);
+    assert.equal(spreadsheetApp.tabNames('central').at(-2), 'Pseudonym key');
+    // The central tabs keep the emails
+    assert.equal(grid(spreadsheetApp, 'central', 'User leaderboard')[1][0], 'ana@example.gov');
+});
+
+
+test('suppressed cells keep their "<N" in OUs with a Privacy setting', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        staffCounts: staffCountsWithPrivacy('alias', 'alias'),
+        scriptProperties: { REPORT_MIN_GROUP_SIZE: '2' }
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'By app').map(row => row[6]), ['Max(User)', 'User 001', '<2']);
+    assert.deepEqual(grid(spreadsheetApp, 'ou-health', 'By app').map(row => row[6]), ['Max(User)', '<2']);
+    // Only users get pseudonyms; the key never records the label
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Pseudonym key'), [
+        ['OU', 'Pseudonym', 'User', 'Mode'],
+        ['Finance', 'User 001', 'ana@example.gov', 'alias'],
+        ['Finance', 'User 002', 'ben@example.gov', 'alias'],
+        ['Health', 'User 001', 'cam@example.gov', 'alias']
+    ]);
+});
+
+
+test('aliases stay the same from run to run, and a generated salt is saved', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: {
+            'Raw activity': RAW_ACTIVITY,
+            'Pseudonym key': [['OU', 'Pseudonym', 'User', 'Mode'], ['Finance', 'User 007', 'ben@example.gov', 'alias']]
+        },
+        staffCounts: staffCountsWithPrivacy('alias', 'hash')
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(grid(spreadsheetApp, 'ou-finance', 'User leaderboard').map(row => row[0]), ['User', 'User 008', 'User 007']);
+    const salt = project.services.PropertiesService.getScriptProperties().getProperty('REPORT_PSEUDONYM_SALT');
+    assert.match(salt, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(grid(spreadsheetApp, 'central', 'Pseudonym key').slice(1, 3), [
+        ['Finance', 'User 007', 'ben@example.gov', 'alias'],
+        ['Finance', 'User 008', 'ana@example.gov', 'alias']
+    ]);
+});
+
+
+test('the pseudonym key is saved after each OU, before the next OU spreadsheet is written', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        staffCounts: staffCountsWithPrivacy('alias', 'hash'),
+        scriptProperties: { REPORT_PSEUDONYM_SALT: 'pepper' }
+    });
+    const openById = spreadsheetApp.openById;
+    let keyWhenHealthOpened = null;
+    spreadsheetApp.openById = id => {
+        if (id === 'ou-health' && !keyWhenHealthOpened) {
+            keyWhenHealthOpened = grid(spreadsheetApp, 'central', 'Pseudonym key');
+        }
+        return openById(id);
+    };
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(keyWhenHealthOpened, [
+        ['OU', 'Pseudonym', 'User', 'Mode'],
+        ['Finance', 'User 001', 'ana@example.gov', 'alias'],
+        ['Finance', 'User 002', 'ben@example.gov', 'alias']
+    ]);
+    assert.equal(grid(spreadsheetApp, 'central', 'Pseudonym key').length, 4);
+});
+
+
+test('an OU with an unknown Privacy setting is skipped rather than written with emails', () => {
+    const { project, spreadsheetApp, reportWindow } = setUp({
+        centralTabs: { 'Raw activity': RAW_ACTIVITY },
+        staffCounts: staffCountsWithPrivacy('', 'secret')
+    });
+    project.context.aggregateData(reportWindow);
+
+    assert.deepEqual(spreadsheetApp.tabNames('ou-health'), ['Sheet1']);
+    assert.equal(grid(spreadsheetApp, 'ou-finance', 'User leaderboard')[1][0], 'ana@example.gov');
+    assert.ok(project.messages.some(message => message.includes('Unknown privacy setting "secret" for OU "Health"')));
+    assert.equal(spreadsheetApp.tabNames('central').includes('Pseudonym key'), false);
+});
+
+
+test('getPreviousReportWindow steps back by the calendar period or the window length', () => {
+    const { project } = setUp();
+    const previous = (preset, today) => {
+        const reportWindow = project.context.resolveReportWindow({ preset: preset, timeZone: 'UTC' }, new Date(`${today}T12:00:00Z`));
+        const previousWindow = project.context.getPreviousReportWindow(reportWindow);
+        return [previousWindow.startDate, previousWindow.endDate];
+    };
+
+    assert.deepEqual(previous('LAST_FULL_MONTH', '2025-03-15'), ['2025-01-01', '2025-01-31']);
+    assert.deepEqual(previous('LAST_FULL_QUARTER', '2025-03-15'), ['2024-07-01', '2024-09-30']);
+    assert.deepEqual(previous('MONTH_TO_DATE', '2025-03-15'), ['2025-02-01', '2025-02-15']);
+    assert.deepEqual(previous('MONTH_TO_DATE', '2025-03-31'), ['2025-02-01', '2025-02-28']);
+    assert.deepEqual(previous('QUARTER_TO_DATE', '2025-03-15'), ['2024-10-01', '2024-12-13']);
+    assert.deepEqual(previous('TRAILING_DAYS', '2025-03-15'), ['2025-01-17', '2025-02-14']);
+
+    const custom = project.context.getPreviousReportWindow(project.context.resolveReportWindow({ startDate: '2025-01-01', endDate: '2025-01-28' }));
+    assert.deepEqual(plain(custom), {
+        preset: 'CUSTOM', startDate: '2024-12-04', endDate: '2024-12-31', timeZone: 'America/New_York', label: PREVIOUS_WINDOW_LABEL
+    });
+});